@@ -4,9 +4,13 @@ import { ServerRouter } from "react-router";
 import { createReadableStreamFromReadable } from "@react-router/node";
 import { isbot } from "isbot";
 import { addDocumentResponseHeaders } from "./shopify.server";
+import { startScheduler } from "./services/scheduler.server";
 
 export const streamTimeout = 5000;
 
+// Scheduled pre-sale releases run inside the app server process
+startScheduler();
+
 export default async function handleRequest(
   request,
   responseStatusCode,
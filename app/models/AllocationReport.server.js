@@ -0,0 +1,68 @@
+import prisma from "../db.server";
+
+const deserialize = (report) => ({
+  ...report,
+  allocations: JSON.parse(report.allocations),
+  orders: JSON.parse(report.orders),
+  createdAt: report.createdAt.toISOString(),
+});
+
+export async function getAllocationReports(shop, take = 10) {
+  const reports = await prisma.allocationReport.findMany({
+    where: { shop },
+    orderBy: { createdAt: "desc" },
+    take,
+  });
+  return reports.map(deserialize);
+}
+
+export async function getAllocationReport(shop, id) {
+  const report = await prisma.allocationReport.findFirst({ where: { id, shop } });
+  return report ? deserialize(report) : null;
+}
+
+// Save what each product or variant was given and which orders got it, from the confirmed plan.
+// `allocations` is [{ id, title, units }] as the user entered it.
+export async function createAllocationReport(shop, { jobId, locationId, allocations, plan, actorName }) {
+  const requested = new Set(allocations.map((a) => a.id));
+  const allocated = Object.fromEntries(allocations.map((a) => [a.id, 0]));
+
+  const orders = plan.map((entry) => {
+    const lines = entry.fulfillmentOrders.flatMap((fo) =>
+      fo.lines.map((line) => {
+        const key = requested.has(line.variantId) ? line.variantId : line.productId;
+        allocated[key] = (allocated[key] ?? 0) + line.quantity;
+
+        const stillHeld = (fo.heldLines ?? [])
+          .filter((held) => held.id === line.id)
+          .reduce((sum, held) => sum + held.quantity, 0);
+        return { title: line.title, quantity: line.quantity, ordered: line.quantity + stillHeld };
+      })
+    );
+
+    return {
+      orderId: entry.orderId,
+      orderName: entry.orderName,
+      createdAt: entry.createdAt,
+      tier: entry.tier || null,
+      partial: lines.some((line) => line.quantity < line.ordered),
+      lines,
+    };
+  });
+
+  const summary = allocations.map((a) => ({ ...a, allocated: allocated[a.id] ?? 0 }));
+
+  return prisma.allocationReport.create({
+    data: {
+      shop,
+      jobId,
+      locationId: locationId || null,
+      allocations: JSON.stringify(summary),
+      orders: JSON.stringify(orders),
+      unitsRequested: summary.reduce((sum, a) => sum + a.units, 0),
+      unitsAllocated: summary.reduce((sum, a) => sum + a.allocated, 0),
+      orderCount: orders.length,
+      actorName: actorName || null,
+    },
+  });
+}
@@ -0,0 +1,57 @@
+import { createHash, randomBytes } from "node:crypto";
+import prisma from "../db.server";
+
+const KEY_PREFIX = "csk_";
+// Writing lastUsedAt on every call would be a write per request; once a minute is enough
+const LAST_USED_RESOLUTION_MS = 60 * 1000;
+
+const hashKey = (key) => createHash("sha256").update(key).digest("hex");
+
+export async function getApiKeys(shop) {
+  return prisma.apiKey.findMany({
+    where: { shop },
+    orderBy: [{ revokedAt: "asc" }, { createdAt: "desc" }],
+    select: { id: true, name: true, prefix: true, createdBy: true, createdAt: true, lastUsedAt: true, revokedAt: true },
+  });
+}
+
+// Returns the new key in full, which is the only time it is available
+export async function createApiKey(shop, { name, createdBy = null }) {
+  const key = `${KEY_PREFIX}${randomBytes(24).toString("base64url")}`;
+  const apiKey = await prisma.apiKey.create({
+    data: { shop, name, prefix: key.slice(0, KEY_PREFIX.length + 6), keyHash: hashKey(key), createdBy },
+  });
+  return { apiKey, key };
+}
+
+export async function revokeApiKey(shop, id) {
+  const { count } = await prisma.apiKey.updateMany({
+    where: { id, shop, revokedAt: null },
+    data: { revokedAt: new Date() },
+  });
+  return count > 0;
+}
+
+const unauthorized = (message) =>
+  Response.json({ error: message }, { status: 401, headers: { "WWW-Authenticate": "Bearer" } });
+
+// The active key behind an API request's `Authorization: Bearer <key>` header.
+// Throws a 401 response otherwise, the way authenticate.admin throws its redirects.
+export async function authenticateApiKey(request) {
+  const [scheme, key] = (request.headers.get("Authorization") || "").split(" ");
+  if (scheme !== "Bearer" || !key?.startsWith(KEY_PREFIX)) {
+    throw unauthorized("Send an API key as 'Authorization: Bearer <key>'.");
+  }
+
+  const apiKey = await prisma.apiKey.findUnique({ where: { keyHash: hashKey(key) } });
+  if (!apiKey || apiKey.revokedAt) throw unauthorized("This API key is not valid or has been revoked.");
+  // Keys outlive an uninstall until the shop's data is purged, but there is nothing to call then
+  if (await prisma.shopPurge.count({ where: { shop: apiKey.shop } }) > 0) {
+    throw unauthorized("The app is no longer installed on this shop.");
+  }
+
+  if (!apiKey.lastUsedAt || Date.now() - apiKey.lastUsedAt.getTime() > LAST_USED_RESOLUTION_MS) {
+    await prisma.apiKey.update({ where: { id: apiKey.id }, data: { lastUsedAt: new Date() } });
+  }
+  return apiKey;
+}
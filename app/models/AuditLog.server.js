@@ -0,0 +1,188 @@
+import prisma from "../db.server";
+
+// The staff member behind an admin request. Online sessions carry the user's details;
+// with offline sessions only the user ID from the session token is known.
+export function actorFromSession(session, sessionToken) {
+  const user = session.onlineAccessInfo?.associated_user;
+  const userId = user?.id ?? sessionToken?.sub;
+  const name = [user?.first_name, user?.last_name].filter(Boolean).join(" ");
+
+  return {
+    actorUserId: userId ? String(userId) : null,
+    actorName: name || null,
+    actorEmail: user?.email || null,
+  };
+}
+
+// Child row for one order of a release, from a job or scheduled run result
+const orderRecord = (result) => ({
+  orderId: result.orderId,
+  orderName: result.orderName,
+  fulfillmentOrderIds: JSON.stringify(result.fulfillmentOrderIds || []),
+  outcome: result.status,
+  releasedLines: JSON.stringify(result.releasedLines || []),
+  releasedHolds: JSON.stringify(result.releasedHolds || []),
+  userErrors: JSON.stringify(result.userErrors || []),
+  error: result.error || null,
+});
+
+// Not awaited here so callers can add it to a transaction
+export function createAuditLog(shop, { action, description, actor = {}, intent = null, filterText = null, orders = [] }) {
+  return prisma.auditLog.create({
+    data: {
+      shop,
+      action,
+      description,
+      actorUserId: actor.actorUserId || null,
+      actorName: actor.actorName || null,
+      actorEmail: actor.actorEmail || null,
+      intent,
+      filterText: filterText || null,
+      orders: { create: orders.map(orderRecord) },
+    },
+  });
+}
+
+export const HISTORY_PAGE_SIZE = 25;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Filters from the history page's query string; dates are YYYY-MM-DD, read as UTC days
+export function parseAuditLogFilters(searchParams) {
+  return {
+    action: searchParams.get("action") || "",
+    actor: searchParams.get("actor") || "",
+    order: searchParams.get("order")?.trim() || "",
+    from: searchParams.get("from") || "",
+    to: searchParams.get("to") || "",
+  };
+}
+
+function auditLogWhere(shop, { action, actor, order, from, to }) {
+  const createdAt = {};
+  if (from && !isNaN(Date.parse(from))) createdAt.gte = new Date(from);
+  if (to && !isNaN(Date.parse(to))) createdAt.lt = new Date(Date.parse(to) + DAY_MS);
+
+  return {
+    shop,
+    ...(action ? { action } : {}),
+    ...(actor ? { actorUserId: actor } : {}),
+    ...(Object.keys(createdAt).length > 0 ? { createdAt } : {}),
+    // Entries from before per-order records only name their orders in the description
+    ...(order
+      ? {
+          OR: [
+            { orders: { some: { orderName: { contains: order } } } },
+            { description: { contains: order } },
+          ],
+        }
+      : {}),
+  };
+}
+
+export async function getAuditLogPage(shop, filters, page = 1) {
+  const where = auditLogWhere(shop, filters);
+  const [logs, total] = await Promise.all([
+    prisma.auditLog.findMany({
+      where,
+      orderBy: { createdAt: "desc" },
+      skip: (page - 1) * HISTORY_PAGE_SIZE,
+      take: HISTORY_PAGE_SIZE,
+      include: { _count: { select: { orders: true } } },
+    }),
+    prisma.auditLog.count({ where }),
+  ]);
+
+  // Entries that released at least one fulfillment order can be undone once
+  const undoable = await prisma.auditLogOrder.groupBy({
+    by: ["auditLogId"],
+    where: { auditLogId: { in: logs.map((log) => log.id) }, releasedHolds: { not: "[]" } },
+  });
+  const undoableIds = new Set(undoable.map((row) => row.auditLogId));
+
+  return {
+    logs: logs.map((log) => ({ ...log, undoable: !log.undoneAt && undoableIds.has(log.id) })),
+    total,
+  };
+}
+
+// Actions and staff members that appear in the log, for the filter menus
+export async function getAuditLogFilterOptions(shop) {
+  const [actions, actors] = await Promise.all([
+    prisma.auditLog.findMany({
+      where: { shop },
+      distinct: ["action"],
+      select: { action: true },
+      orderBy: { action: "asc" },
+    }),
+    prisma.auditLog.findMany({
+      where: { shop, actorUserId: { not: null } },
+      distinct: ["actorUserId"],
+      select: { actorUserId: true, actorName: true, actorEmail: true },
+      orderBy: { createdAt: "desc" },
+    }),
+  ]);
+  return { actions: actions.map((a) => a.action), actors };
+}
+
+const CSV_HEADERS = [
+  "Time",
+  "Action",
+  "Description",
+  "Staff ID",
+  "Staff name",
+  "Staff email",
+  "Intent",
+  "Filter",
+  "Order ID",
+  "Order name",
+  "Fulfillment order IDs",
+  "Outcome",
+  "Released quantities",
+  "User errors",
+  "Error",
+];
+
+// Descriptions, filters and order names come from users. A cell starting like a formula
+// would run when the export is opened in a spreadsheet, so it is kept as text.
+export const csvCell = (value) => {
+  let text = value == null ? "" : String(value);
+  if (/^[=+\-@\t\r]/.test(text)) text = `'${text}`;
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+// Every entry matching the filters, one CSV row per order it touched
+export async function exportAuditLogCsv(shop, filters) {
+  const logs = await prisma.auditLog.findMany({
+    where: auditLogWhere(shop, filters),
+    orderBy: { createdAt: "desc" },
+    include: { orders: { orderBy: { id: "asc" } } },
+  });
+
+  const rows = logs.flatMap((log) => {
+    const entry = [
+      log.createdAt.toISOString(),
+      log.action,
+      log.description,
+      log.actorUserId,
+      log.actorName,
+      log.actorEmail,
+      log.intent,
+      log.filterText,
+    ];
+    if (log.orders.length === 0) return [[...entry, "", "", "", "", "", "", ""]];
+
+    return log.orders.map((order) => [
+      ...entry,
+      order.orderId,
+      order.orderName,
+      JSON.parse(order.fulfillmentOrderIds).join(" "),
+      order.outcome,
+      JSON.parse(order.releasedLines).map((line) => `${line.title} x${line.quantity}`).join("; "),
+      JSON.parse(order.userErrors).join("; "),
+      order.error,
+    ]);
+  });
+
+  return [CSV_HEADERS, ...rows].map((row) => row.map(csvCell).join(",")).join("\r\n");
+}
@@ -0,0 +1,33 @@
+import { describe, expect, it, vi } from "vitest";
+import { csvCell } from "./AuditLog.server";
+
+vi.mock("../db.server", () => ({ default: {} }));
+
+describe("csvCell", () => {
+  it("leaves plain text and numbers as they are", () => {
+    expect(csvCell("#1001")).toBe("#1001");
+    expect(csvCell(42)).toBe("42");
+  });
+
+  it("writes missing values as empty cells", () => {
+    expect(csvCell(null)).toBe("");
+    expect(csvCell(undefined)).toBe("");
+  });
+
+  it("quotes cells with commas, quotes or line breaks", () => {
+    expect(csvCell("Jacket, blue")).toBe('"Jacket, blue"');
+    expect(csvCell('The "big" one')).toBe('"The ""big"" one"');
+    expect(csvCell("two\nlines")).toBe('"two\nlines"');
+  });
+
+  it.each(["=HYPERLINK(\"http://x\")", "+1", "-1+1", "@SUM(A1)", "\tcmd", "\rcmd"])(
+    "keeps %j from running as a formula",
+    (value) => {
+      expect(csvCell(value).replace(/^"/, "")).toMatch(/^'/);
+    }
+  );
+
+  it("quotes a formula that also needs quoting", () => {
+    expect(csvCell("=1,2")).toBe("\"'=1,2\"");
+  });
+});
@@ -0,0 +1,100 @@
+import prisma from "../db.server";
+import { HOLD_DEFAULTS, HOLD_REASONS } from "../utils/holds";
+
+// Customer tags that make up the priority tiers, highest first
+export async function getPriorityTags(shop) {
+  const config = await prisma.configuration.findUnique({ where: { shop } });
+  return JSON.parse(config?.priorityTags || "[]");
+}
+
+export async function setPriorityTags(shop, tags) {
+  const priorityTags = JSON.stringify(tags);
+  await prisma.configuration.upsert({
+    where: { shop },
+    update: { priorityTags },
+    create: { shop, priorityTags },
+  });
+}
+
+// Hold reason, notes templates and order tag, falling back to the original hard-coded values
+export async function getHoldSettings(shop) {
+  const config = await prisma.configuration.findUnique({ where: { shop } });
+  if (!config) return { ...HOLD_DEFAULTS, retagFrom: [] };
+
+  return {
+    holdReason: config.holdReason,
+    holdNotes: config.holdNotes,
+    remainingNotes: config.remainingNotes,
+    presaleTag: config.presaleTag,
+    retagFrom: JSON.parse(config.retagFrom),
+  };
+}
+
+export function parseHoldSettingsForm(formData) {
+  const settings = {
+    holdReason: String(formData.get("holdReason") || ""),
+    holdNotes: String(formData.get("holdNotes") || "").trim(),
+    remainingNotes: String(formData.get("remainingNotes") || "").trim(),
+    presaleTag: String(formData.get("presaleTag") || "").trim(),
+  };
+  const errors = {};
+
+  if (!HOLD_REASONS.some((reason) => reason.value === settings.holdReason)) errors.holdReason = "Choose a hold reason";
+  if (!settings.holdNotes) errors.holdNotes = "Notes are required";
+  if (!settings.remainingNotes) errors.remainingNotes = "Notes are required";
+  if (!settings.presaleTag) errors.presaleTag = "A tag is required";
+  else if (settings.presaleTag.includes(",")) errors.presaleTag = "Tags cannot contain commas";
+  else if (settings.presaleTag.length > 40) errors.presaleTag = "Tags are limited to 40 characters";
+
+  return { settings, errors: Object.keys(errors).length > 0 ? errors : null };
+}
+
+// Save the settings. A new tag queues the old one for moving on existing orders.
+// Returns the tag that was replaced, if any.
+export async function saveHoldSettings(shop, settings) {
+  const current = await getHoldSettings(shop);
+  const tagChanged = current.presaleTag !== settings.presaleTag;
+  const retagFrom = tagChanged
+    ? [...new Set([...current.retagFrom, current.presaleTag])].filter((tag) => tag !== settings.presaleTag)
+    : current.retagFrom;
+
+  const data = { ...settings, retagFrom: JSON.stringify(retagFrom) };
+  await prisma.configuration.upsert({
+    where: { shop },
+    update: data,
+    create: { shop, ...data },
+  });
+  return tagChanged ? current.presaleTag : null;
+}
+
+export async function getPendingRetags() {
+  const configs = await prisma.configuration.findMany({
+    where: { retagFrom: { not: "[]" } },
+    select: { shop: true, presaleTag: true, retagFrom: true },
+  });
+  return configs.map((config) => ({ ...config, retagFrom: JSON.parse(config.retagFrom) }));
+}
+
+// An old tag is off every order, so stop looking for it
+export async function finishRetag(shop, tag) {
+  const config = await prisma.configuration.findUnique({ where: { shop } });
+  const retagFrom = JSON.parse(config.retagFrom).filter((t) => t !== tag);
+  await prisma.configuration.update({
+    where: { shop },
+    data: { retagFrom: JSON.stringify(retagFrom) },
+  });
+}
+
+// Days on hold before an order is reported to notification endpoints as long held
+export async function getLongHeldAlertDays(shop) {
+  const config = await prisma.configuration.findUnique({ where: { shop } });
+  return config?.longHeldAlertDays ?? 14;
+}
+
+export async function setLongHeldAlertDays(shop, longHeldAlertDays) {
+  await prisma.configuration.upsert({
+    where: { shop },
+    update: { longHeldAlertDays },
+    create: { shop, longHeldAlertDays },
+  });
+}
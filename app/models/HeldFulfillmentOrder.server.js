@@ -0,0 +1,199 @@
+import { Prisma } from "@prisma/client";
+import prisma from "../db.server";
+import { holdPeriodChanges } from "./HoldHistory.server";
+
+export const HELD_ORDERS_PAGE_SIZE = 10;
+
+// Dashboard sort options, each ordering orders by their held fulfillment orders
+const SORTS = {
+  queue: [{ _min: { priority: "asc" } }, { _min: { orderCreatedAt: "asc" } }],
+  oldest: [{ _min: { orderCreatedAt: "asc" } }],
+  newest: [{ _min: { orderCreatedAt: "desc" } }],
+  name: [{ _min: { orderName: "asc" } }],
+};
+
+export const HELD_ORDER_SORTS = Object.keys(SORTS);
+
+// One row per held fulfillment order of an order from fetchHeldOrders
+function heldRows(shop, heldOrder) {
+  const orderText = [
+    heldOrder.name,
+    heldOrder.customer.name,
+    heldOrder.customer.email,
+    ...heldOrder.customer.tags,
+  ].join(" ");
+
+  return heldOrder.fulfillmentOrders.map((fo) => ({
+    shop,
+    fulfillmentOrderId: fo.id,
+    orderId: heldOrder.id,
+    orderName: heldOrder.name,
+    orderCreatedAt: new Date(heldOrder.createdAt),
+    customerName: heldOrder.customer.name,
+    customerEmail: heldOrder.customer.email,
+    customerTags: JSON.stringify(heldOrder.customer.tags),
+    customerOrderCount: heldOrder.customer.orderCount,
+    priority: heldOrder.priority ?? 0,
+    locationId: fo.locationId || null,
+    holdReason: fo.hold?.reason || null,
+    holdNotes: fo.hold?.reasonNotes || null,
+    lines: JSON.stringify(fo.lines),
+    searchText: `${orderText} ${fo.lines.map((line) => line.title).join(" ")}`.toLowerCase(),
+  }));
+}
+
+// Back into the fetchHeldOrders shape, one entry per order in the order given
+function heldOrdersFromRows(rows, orderIds, priorityTags) {
+  const byOrder = new Map(orderIds.map((id) => [id, []]));
+  for (const row of rows) byOrder.get(row.orderId)?.push(row);
+
+  return [...byOrder.values()].filter((orderRows) => orderRows.length > 0).map((orderRows) => {
+    const [first] = orderRows;
+    return {
+      id: first.orderId,
+      name: first.orderName,
+      createdAt: first.orderCreatedAt.toISOString(),
+      customer: {
+        name: first.customerName,
+        email: first.customerEmail,
+        orderCount: first.customerOrderCount,
+        tags: JSON.parse(first.customerTags),
+      },
+      priority: first.priority,
+      tier: priorityTags[first.priority] || null,
+      fulfillmentOrders: orderRows.map((row) => ({
+        id: row.fulfillmentOrderId,
+        locationId: row.locationId,
+        hold: row.holdReason ? { reason: row.holdReason, reasonNotes: row.holdNotes } : null,
+        lines: JSON.parse(row.lines),
+      })),
+    };
+  });
+}
+
+function heldOrderWhere(shop, { search = "", locationIds = [], orderIds = null } = {}) {
+  return {
+    shop,
+    ...(search ? { searchText: { contains: search.toLowerCase() } } : {}),
+    ...(locationIds.length > 0 ? { locationId: { in: locationIds } } : {}),
+    ...(orderIds ? { orderId: { in: orderIds } } : {}),
+  };
+}
+
+// Replace what is stored for one order; null means it has no pre-sale hold any more
+export async function saveHeldOrder(shop, orderId, heldOrder) {
+  const rows = heldOrder ? heldRows(shop, heldOrder) : [];
+  await prisma.$transaction([
+    prisma.heldFulfillmentOrder.deleteMany({ where: { shop, orderId } }),
+    ...(rows.length > 0 ? [prisma.heldFulfillmentOrder.createMany({ data: rows })] : []),
+    ...await holdPeriodChanges(shop, rows, { orderId }),
+  ]);
+}
+
+// Rebuild the whole cache for a shop from a full fetchHeldOrders
+export async function replaceHeldOrders(shop, heldOrders) {
+  const syncedAt = new Date();
+  const rows = heldOrders.flatMap((order) => heldRows(shop, order));
+  await prisma.$transaction([
+    prisma.heldFulfillmentOrder.deleteMany({ where: { shop } }),
+    prisma.heldFulfillmentOrder.createMany({ data: rows }),
+    // Holds no webhook told us about most likely came with the order
+    ...await holdPeriodChanges(shop, rows, { heldAt: (row) => row.orderCreatedAt }),
+    prisma.configuration.upsert({
+      where: { shop },
+      update: { heldOrdersSyncedAt: syncedAt },
+      create: { shop, heldOrdersSyncedAt: syncedAt },
+    }),
+  ]);
+}
+
+// Priority tiers changed: `tierOf(customerTags)` gives each row its new position
+export async function setHeldOrderPriorities(shop, tierOf) {
+  const rows = await prisma.heldFulfillmentOrder.findMany({
+    where: { shop },
+    select: { id: true, customerTags: true, priority: true },
+  });
+
+  const updates = rows
+    .map((row) => ({ id: row.id, priority: tierOf(JSON.parse(row.customerTags)), current: row.priority }))
+    .filter((row) => row.priority !== row.current)
+    .map((row) => prisma.heldFulfillmentOrder.update({ where: { id: row.id }, data: { priority: row.priority } }));
+
+  if (updates.length > 0) await prisma.$transaction(updates);
+}
+
+// Orders matching the same filters as heldOrderWhere, counted by the database
+async function countHeldOrders(shop, { search = "", locationIds = [] } = {}) {
+  const conditions = [Prisma.sql`"shop" = ${shop}`];
+  if (search) conditions.push(Prisma.sql`instr("searchText", ${search.toLowerCase()}) > 0`);
+  if (locationIds.length > 0) conditions.push(Prisma.sql`"locationId" IN (${Prisma.join(locationIds)})`);
+
+  const [{ total }] = await prisma.$queryRaw`
+    SELECT COUNT(DISTINCT "orderId") AS total
+    FROM "HeldFulfillmentOrder"
+    WHERE ${Prisma.join(conditions, " AND ")}
+  `;
+  // SQLite counts come back as BigInt
+  return Number(total);
+}
+
+// One page of held orders for the dashboard. A location filter finds orders held there;
+// the page still lists all of their held fulfillment orders.
+export async function getHeldOrderPage(shop, { search, locationId, sort = "queue", page = 1 }, priorityTags = []) {
+  const filters = { search, locationIds: locationId ? [locationId] : [] };
+  const where = heldOrderWhere(shop, filters);
+  const [groups, total] = await Promise.all([
+    prisma.heldFulfillmentOrder.groupBy({
+      by: ["orderId"],
+      where,
+      orderBy: SORTS[sort] || SORTS.queue,
+      skip: (page - 1) * HELD_ORDERS_PAGE_SIZE,
+      take: HELD_ORDERS_PAGE_SIZE,
+    }),
+    countHeldOrders(shop, filters),
+  ]);
+
+  const orderIds = groups.map((group) => group.orderId);
+  const rows = await prisma.heldFulfillmentOrder.findMany({
+    where: { shop, orderId: { in: orderIds } },
+    orderBy: { id: "asc" },
+  });
+
+  return {
+    orders: heldOrdersFromRows(rows, orderIds, priorityTags),
+    total,
+  };
+}
+
+// Every matching held order in release order, in the shape release planning expects
+export async function getHeldOrders(shop, filters = {}, priorityTags = []) {
+  const rows = await prisma.heldFulfillmentOrder.findMany({
+    where: heldOrderWhere(shop, filters),
+    orderBy: [{ priority: "asc" }, { orderCreatedAt: "asc" }, { id: "asc" }],
+  });
+
+  // Filters pick the orders; planning still sees all of their held fulfillment orders
+  const orderIds = [...new Set(rows.map((row) => row.orderId))];
+  const allRows = await prisma.heldFulfillmentOrder.findMany({
+    where: { shop, orderId: { in: orderIds } },
+    orderBy: { id: "asc" },
+  });
+  return heldOrdersFromRows(allRows, orderIds, priorityTags);
+}
+
+export async function getHeldLocationIds(shop) {
+  const rows = await prisma.heldFulfillmentOrder.findMany({
+    where: { shop },
+    distinct: ["locationId"],
+    select: { locationId: true },
+  });
+  return rows.map((row) => row.locationId).filter(Boolean);
+}
+
+export async function getHeldOrdersSyncedAt(shop) {
+  const config = await prisma.configuration.findUnique({
+    where: { shop },
+    select: { heldOrdersSyncedAt: true },
+  });
+  return config?.heldOrdersSyncedAt || null;
+}
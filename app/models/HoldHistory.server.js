@@ -0,0 +1,121 @@
+import prisma from "../db.server";
+
+// Backlog snapshots are refreshed at most this often
+const SNAPSHOT_INTERVAL_MS = 60 * 60 * 1000;
+
+// Snapshot row counting every location together, so orders held in two places count once
+export const ALL_LOCATIONS = "*";
+
+export const dayOf = (date) => date.toISOString().slice(0, 10);
+
+// Units still held on a cached fulfillment order's lines, and what they sold for
+export function heldLineTotals(lines) {
+  return lines.reduce(
+    (totals, line) => ({
+      units: totals.units + line.remainingQuantity,
+      value: totals.value + line.remainingQuantity * (line.unitPrice || 0),
+    }),
+    { units: 0, value: 0 }
+  );
+}
+
+// Hold period writes for a change to the held order cache, to run in the same transaction.
+// `rows` is everything now held for the order, or for the whole shop when no `orderId` is
+// given; held fulfillment orders missing from it were released, cancelled or fulfilled.
+export async function holdPeriodChanges(shop, rows, { orderId = null, heldAt = () => new Date() } = {}) {
+  const now = new Date();
+  const fulfillmentOrderIds = rows.map((row) => row.fulfillmentOrderId);
+  const periods = await prisma.holdPeriod.findMany({ where: { fulfillmentOrderId: { in: fulfillmentOrderIds } } });
+  const periodsById = new Map(periods.map((period) => [period.fulfillmentOrderId, period]));
+
+  const changes = [
+    prisma.holdPeriod.updateMany({
+      where: {
+        shop,
+        releasedAt: null,
+        fulfillmentOrderId: { notIn: fulfillmentOrderIds },
+        ...(orderId ? { orderId } : {}),
+      },
+      data: { releasedAt: now },
+    }),
+  ];
+
+  for (const row of rows) {
+    const period = periodsById.get(row.fulfillmentOrderId);
+    const { units } = heldLineTotals(JSON.parse(row.lines));
+    const data = { orderName: row.orderName, locationId: row.locationId, units };
+
+    if (!period) {
+      changes.push(prisma.holdPeriod.create({
+        data: { shop, fulfillmentOrderId: row.fulfillmentOrderId, orderId: row.orderId, heldAt: heldAt(row), ...data },
+      }));
+    } else if (period.releasedAt) {
+      // Held again after a release, by an undo for instance
+      changes.push(prisma.holdPeriod.update({
+        where: { id: period.id },
+        data: { ...data, heldAt: now, releasedAt: null, alertedAt: null },
+      }));
+    } else if (period.units !== units || period.locationId !== row.locationId) {
+      changes.push(prisma.holdPeriod.update({ where: { id: period.id }, data }));
+    }
+  }
+
+  return changes;
+}
+
+// Write today's held backlog per location from the held order cache
+export async function recordBacklogSnapshot(shop, now = new Date()) {
+  const rows = await prisma.heldFulfillmentOrder.findMany({
+    where: { shop },
+    select: { orderId: true, locationId: true, lines: true },
+  });
+
+  const emptyTotals = () => ({ orderIds: new Set(), units: 0, value: 0 });
+  const byLocation = new Map([[ALL_LOCATIONS, emptyTotals()]]);
+  for (const row of rows) {
+    const locationId = row.locationId || "";
+    if (!byLocation.has(locationId)) byLocation.set(locationId, emptyTotals());
+    const { units, value } = heldLineTotals(JSON.parse(row.lines));
+
+    for (const totals of [byLocation.get(locationId), byLocation.get(ALL_LOCATIONS)]) {
+      totals.orderIds.add(row.orderId);
+      totals.units += units;
+      totals.value += value;
+    }
+  }
+
+  const day = dayOf(now);
+  await prisma.$transaction([
+    // Locations emptied since the last snapshot today drop to zero
+    prisma.heldBacklogSnapshot.updateMany({
+      where: { shop, day, locationId: { notIn: [...byLocation.keys()] } },
+      data: { orders: 0, units: 0, value: 0 },
+    }),
+    ...[...byLocation].map(([locationId, totals]) => {
+      const counts = { orders: totals.orderIds.size, units: totals.units, value: totals.value };
+      return prisma.heldBacklogSnapshot.upsert({
+        where: { shop_day_locationId: { shop, day, locationId } },
+        update: counts,
+        create: { shop, day, locationId, ...counts },
+      });
+    }),
+  ]);
+}
+
+// Scheduler tick: snapshot every shop with a held order cache that hasn't had one this hour
+export async function runBacklogSnapshots(now = new Date()) {
+  const shops = await prisma.configuration.findMany({
+    where: { heldOrdersSyncedAt: { not: null } },
+    select: { shop: true },
+  });
+
+  for (const { shop } of shops) {
+    const latest = await prisma.heldBacklogSnapshot.findFirst({
+      where: { shop, day: dayOf(now) },
+      orderBy: { updatedAt: "desc" },
+    });
+    if (latest && now - latest.updatedAt < SNAPSHOT_INTERVAL_MS) continue;
+
+    await recordBacklogSnapshot(shop, now);
+  }
+}
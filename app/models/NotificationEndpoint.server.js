@@ -0,0 +1,149 @@
+import { randomBytes } from "node:crypto";
+import { lookup } from "node:dns/promises";
+import { isIP } from "node:net";
+import prisma from "../db.server";
+import { NOTIFICATION_EVENTS, NOTIFICATION_FORMATS } from "../utils/notifications";
+
+const DELIVERY_LOG_SIZE = 50;
+
+export async function getNotificationEndpoints(shop) {
+  const endpoints = await prisma.notificationEndpoint.findMany({
+    where: { shop },
+    orderBy: { createdAt: "asc" },
+  });
+  return endpoints.map((endpoint) => ({ ...endpoint, events: JSON.parse(endpoint.events) }));
+}
+
+// Enabled endpoints of a shop that want this event
+export async function getSubscribedEndpoints(shop, event) {
+  return prisma.notificationEndpoint.findMany({
+    where: { shop, enabled: true, events: { contains: `"${event}"` } },
+  });
+}
+
+// Names that never point at the public internet, such as metadata.google.internal
+const INTERNAL_HOSTNAME = /(^|\.)(localhost|local|internal|localdomain)$/i;
+
+function isPrivateIPv4(address) {
+  const [a, b, c] = address.split(".").map(Number);
+  return a === 0 || a === 10 || a === 127 || a >= 224 ||
+    (a === 100 && b >= 64 && b <= 127) || // Carrier-grade NAT
+    (a === 169 && b === 254) || // Link-local, including cloud metadata at 169.254.169.254
+    (a === 172 && b >= 16 && b <= 31) ||
+    (a === 192 && b === 168) ||
+    (a === 192 && b === 0 && c === 0) ||
+    (a === 198 && (b === 18 || b === 19));
+}
+
+export function isPrivateAddress(address) {
+  if (isIP(address) === 4) return isPrivateIPv4(address);
+
+  const ip = address.toLowerCase();
+  // IPv4 addresses written as IPv6, in either of the forms URLs and DNS give them
+  const dotted = ip.match(/^::ffff:(\d+\.\d+\.\d+\.\d+)$/);
+  if (dotted) return isPrivateIPv4(dotted[1]);
+  const hex = ip.match(/^::ffff:([0-9a-f]{1,4}):([0-9a-f]{1,4})$/);
+  if (hex) {
+    const [high, low] = [parseInt(hex[1], 16), parseInt(hex[2], 16)];
+    return isPrivateIPv4(`${high >> 8}.${high & 255}.${low >> 8}.${low & 255}`);
+  }
+  // Unspecified, loopback, unique local, link-local and multicast
+  return ip === "::" || ip === "::1" || /^f[cd]/.test(ip) || /^fe[89ab]/.test(ip) || ip.startsWith("ff");
+}
+
+// Notifications are sent from the server, so an endpoint must be on the public internet:
+// not localhost, a private network, a link-local address or a cloud metadata service.
+// Checked when an endpoint is saved and again before each delivery, as DNS can change.
+// Returns why the URL is refused, or null.
+export async function checkPublicUrl(url) {
+  const hostname = url.hostname.replace(/^\[|\]$/g, "");
+  if (INTERNAL_HOSTNAME.test(hostname)) return `${hostname} is not on the public internet`;
+
+  let addresses = [hostname];
+  if (!isIP(hostname)) {
+    try {
+      addresses = (await lookup(hostname, { all: true })).map((result) => result.address);
+    } catch {
+      return `${hostname} could not be found`;
+    }
+  }
+  if (addresses.some(isPrivateAddress)) return `${hostname} is not on the public internet`;
+  return null;
+}
+
+export async function parseNotificationEndpointForm(formData) {
+  const endpoint = {
+    name: String(formData.get("name") || "").trim(),
+    url: String(formData.get("url") || "").trim(),
+    format: String(formData.get("format") || ""),
+    events: JSON.parse(formData.get("events") || "[]").filter((event) =>
+      NOTIFICATION_EVENTS.some((known) => known.value === event)),
+  };
+  const errors = {};
+
+  let url = null;
+  try {
+    url = new URL(endpoint.url);
+  } catch {
+    // Reported below
+  }
+  if (!endpoint.name) errors.name = "A name is required";
+  if (!url) errors.url = "Enter the full URL, starting with https://";
+  else if (url.protocol !== "https:") errors.url = "Notifications are only sent over https";
+  else {
+    const refused = await checkPublicUrl(url);
+    if (refused) errors.url = `Notifications are only sent to public addresses: ${refused}`;
+  }
+  if (!NOTIFICATION_FORMATS.some((format) => format.value === endpoint.format)) errors.format = "Choose a format";
+  if (endpoint.events.length === 0) errors.events = "Choose at least one event";
+
+  return { endpoint, errors: Object.keys(errors).length > 0 ? errors : null };
+}
+
+export async function createNotificationEndpoint(shop, { name, url, format, events }) {
+  return prisma.notificationEndpoint.create({
+    data: {
+      shop,
+      name,
+      url,
+      format,
+      events: JSON.stringify(events),
+      secret: `whsec_${randomBytes(24).toString("base64url")}`,
+    },
+  });
+}
+
+export async function updateNotificationEndpoint(shop, id, data) {
+  const { count } = await prisma.notificationEndpoint.updateMany({ where: { id, shop }, data });
+  return count > 0;
+}
+
+// Its delivery log goes with it
+export async function removeNotificationEndpoint(shop, id) {
+  const [, { count }] = await prisma.$transaction([
+    prisma.notificationDelivery.deleteMany({ where: { endpointId: id, shop } }),
+    prisma.notificationEndpoint.deleteMany({ where: { id, shop } }),
+  ]);
+  return count > 0;
+}
+
+// Most recent deliveries to any of the shop's endpoints, for the delivery log
+export async function getNotificationDeliveries(shop) {
+  return prisma.notificationDelivery.findMany({
+    where: { shop },
+    orderBy: { createdAt: "desc" },
+    take: DELIVERY_LOG_SIZE,
+    select: {
+      id: true,
+      event: true,
+      status: true,
+      attempts: true,
+      nextAttemptAt: true,
+      responseStatus: true,
+      error: true,
+      createdAt: true,
+      deliveredAt: true,
+      endpoint: { select: { name: true } },
+    },
+  });
+}
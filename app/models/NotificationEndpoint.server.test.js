@@ -0,0 +1,77 @@
+import { beforeEach, describe, expect, it, vi } from "vitest";
+import { lookup } from "node:dns/promises";
+import { checkPublicUrl, isPrivateAddress } from "./NotificationEndpoint.server";
+
+vi.mock("../db.server", () => ({ default: {} }));
+vi.mock("node:dns/promises", () => ({ lookup: vi.fn() }));
+
+const resolvesTo = (...addresses) =>
+  lookup.mockResolvedValue(addresses.map((address) => ({ address, family: address.includes(":") ? 6 : 4 })));
+
+describe("isPrivateAddress", () => {
+  it.each([
+    "0.0.0.0",
+    "10.1.2.3",
+    "100.64.0.1",
+    "127.0.0.1",
+    "169.254.169.254",
+    "172.16.0.1",
+    "172.31.255.255",
+    "192.168.1.1",
+    "198.18.0.1",
+    "224.0.0.1",
+    "::",
+    "::1",
+    "fc00::1",
+    "fd12:3456::1",
+    "fe80::1",
+    "ff02::1",
+    "::ffff:127.0.0.1",
+    "::ffff:7f00:1",
+    "::ffff:a9fe:a9fe",
+  ])("refuses %s", (address) => {
+    expect(isPrivateAddress(address)).toBe(true);
+  });
+
+  it.each(["8.8.8.8", "172.32.0.1", "192.169.0.1", "2606:4700::1111", "::ffff:808:808"])("allows %s", (address) => {
+    expect(isPrivateAddress(address)).toBe(false);
+  });
+});
+
+describe("checkPublicUrl", () => {
+  beforeEach(() => {
+    lookup.mockReset();
+  });
+
+  it("refuses internal host names without looking them up", async () => {
+    expect(await checkPublicUrl(new URL("http://localhost:3000/hook"))).toBe("localhost is not on the public internet");
+    expect(await checkPublicUrl(new URL("http://metadata.google.internal/"))).toBe(
+      "metadata.google.internal is not on the public internet"
+    );
+    expect(lookup).not.toHaveBeenCalled();
+  });
+
+  it("refuses private IP literals, however they are written", async () => {
+    expect(await checkPublicUrl(new URL("http://[::1]/"))).toBe("::1 is not on the public internet");
+    // URL normalises a decimal host to 127.0.0.1
+    expect(await checkPublicUrl(new URL("http://2130706433/"))).toBe("127.0.0.1 is not on the public internet");
+    expect(await checkPublicUrl(new URL("http://[::ffff:169.254.169.254]/"))).toMatch(/not on the public internet/);
+  });
+
+  it("refuses names resolving to a private address", async () => {
+    resolvesTo("93.184.216.34", "10.0.0.5");
+    expect(await checkPublicUrl(new URL("https://hooks.example.com/"))).toBe(
+      "hooks.example.com is not on the public internet"
+    );
+  });
+
+  it("allows names resolving only to public addresses", async () => {
+    resolvesTo("93.184.216.34", "2606:2800:220:1:248:1893:25c8:1946");
+    expect(await checkPublicUrl(new URL("https://hooks.example.com/"))).toBeNull();
+  });
+
+  it("refuses names that do not resolve", async () => {
+    lookup.mockRejectedValue(new Error("ENOTFOUND"));
+    expect(await checkPublicUrl(new URL("https://nowhere.example.com/"))).toBe("nowhere.example.com could not be found");
+  });
+});
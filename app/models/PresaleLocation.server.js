@@ -0,0 +1,42 @@
+import prisma from "../db.server";
+
+// All pre-sale locations configured for a shop, oldest first
+export async function getPresaleLocations(shop) {
+  return prisma.presaleLocation.findMany({
+    where: { shop },
+    orderBy: { createdAt: "asc" },
+  });
+}
+
+// Only the location IDs that should currently receive holds
+export async function getEnabledLocationIds(shop) {
+  const locations = await prisma.presaleLocation.findMany({
+    where: { shop, enabled: true },
+    select: { locationId: true },
+  });
+  return locations.map((l) => l.locationId);
+}
+
+export async function addPresaleLocation(shop, { locationId, label }) {
+  return prisma.presaleLocation.upsert({
+    where: { shop_locationId: { shop, locationId } },
+    update: { label, enabled: true },
+    create: { shop, locationId, label },
+  });
+}
+
+export async function updatePresaleLocation(shop, id, data) {
+  // Scope by shop so one store can never touch another store's rows
+  const { count } = await prisma.presaleLocation.updateMany({
+    where: { id, shop },
+    data,
+  });
+  return count > 0;
+}
+
+export async function removePresaleLocation(shop, id) {
+  const { count } = await prisma.presaleLocation.deleteMany({
+    where: { id, shop },
+  });
+  return count > 0;
+}
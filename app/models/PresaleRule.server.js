@@ -0,0 +1,274 @@
+import prisma from "../db.server";
+
+const LIST_FIELDS = ["productTags", "variantIds", "skus", "collectionIds", "locationIds"];
+
+export const HOLD_SCOPES = {
+  LINE_ITEMS: "LINE_ITEMS",
+  FULFILLMENT_ORDER: "FULFILLMENT_ORDER",
+};
+
+// Rules keep their condition lists as JSON text, since SQLite has no list columns
+function deserialize(rule) {
+  const parsed = { ...rule };
+  for (const field of LIST_FIELDS) {
+    parsed[field] = JSON.parse(rule[field] || "[]");
+  }
+  return parsed;
+}
+
+function serialize(data) {
+  const row = { ...data };
+  for (const field of LIST_FIELDS) {
+    if (field in data) row[field] = JSON.stringify(data[field]);
+  }
+  return row;
+}
+
+export async function getPresaleRules(shop) {
+  const rules = await prisma.presaleRule.findMany({
+    where: { shop },
+    orderBy: { createdAt: "asc" },
+  });
+  return rules.map(deserialize);
+}
+
+// Enabled rules whose date window contains `now`
+export async function getActivePresaleRules(shop, now = new Date()) {
+  const rules = await prisma.presaleRule.findMany({
+    where: {
+      shop,
+      enabled: true,
+      AND: [
+        { OR: [{ startsAt: null }, { startsAt: { lte: now } }] },
+        { OR: [{ endsAt: null }, { endsAt: { gt: now } }] },
+      ],
+    },
+    orderBy: { createdAt: "asc" },
+  });
+  return rules.map(deserialize);
+}
+
+// Rules whose launch date has passed but haven't been released yet, across all shops
+export async function getDueReleaseRules(now = new Date()) {
+  const rules = await prisma.presaleRule.findMany({
+    where: { releaseAt: { lte: now }, releasedAt: null },
+    orderBy: { releaseAt: "asc" },
+  });
+  return rules.map(deserialize);
+}
+
+export async function createPresaleRule(shop, data) {
+  const rule = await prisma.presaleRule.create({
+    data: { ...serialize(data), shop },
+  });
+  return deserialize(rule);
+}
+
+export async function updatePresaleRule(shop, id, data) {
+  const { count } = await prisma.presaleRule.updateMany({
+    where: { id, shop },
+    data: serialize(data),
+  });
+  return count > 0;
+}
+
+export async function deletePresaleRule(shop, id) {
+  const { count } = await prisma.presaleRule.deleteMany({
+    where: { id, shop },
+  });
+  return count > 0;
+}
+
+// Split a free-text list on commas or new lines
+export function parseList(value) {
+  return String(value || "")
+    .split(/[,\n]/)
+    .map((item) => item.trim())
+    .filter(Boolean);
+}
+
+// Accept either numeric IDs pasted from the admin URL or full GIDs
+export function toGid(type, value) {
+  return value.startsWith("gid://") ? value : `gid://shopify/${type}/${value}`;
+}
+
+// Offset in ms between a timezone's wall clock and UTC at the given instant
+function timeZoneOffset(date, timeZone) {
+  const parts = Object.fromEntries(
+    new Intl.DateTimeFormat("en-US", {
+      timeZone,
+      hourCycle: "h23",
+      year: "numeric",
+      month: "2-digit",
+      day: "2-digit",
+      hour: "2-digit",
+      minute: "2-digit",
+      second: "2-digit",
+    })
+      .formatToParts(date)
+      .map((part) => [part.type, Number(part.value)]),
+  );
+  const wallClock = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second);
+  return wallClock - date.getTime();
+}
+
+// Turn a "YYYY-MM-DDTHH:mm" wall-clock time in an IANA timezone into a UTC Date
+export function zonedTimeToUtc(local, timeZone) {
+  // Date would read some other text as a made-up date, so only the date picker's format is accepted
+  if (!/^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}$/.test(local)) return new Date(NaN);
+  const naive = new Date(`${local}:00Z`);
+  if (isNaN(naive)) return naive;
+  // Resolve twice so a launch date right after a DST change lands on the right offset
+  const guess = new Date(naive.getTime() - timeZoneOffset(naive, timeZone));
+  return new Date(naive.getTime() - timeZoneOffset(guess, timeZone));
+}
+
+function isValidTimeZone(timeZone) {
+  try {
+    new Intl.DateTimeFormat("en-US", { timeZone });
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+// A JSON list of IDs from a picker field, or null if it is anything else
+function parseIdList(value) {
+  try {
+    const ids = JSON.parse(value || "[]");
+    return Array.isArray(ids) && ids.every((id) => typeof id === "string") ? ids : null;
+  } catch {
+    return null;
+  }
+}
+
+// Build rule data from the admin form, returning field errors if it is unusable
+export function parsePresaleRuleForm(formData) {
+  const data = {
+    name: String(formData.get("name") || "").trim(),
+    enabled: formData.get("enabled") !== "false",
+    holdScope: formData.get("holdScope") === HOLD_SCOPES.FULFILLMENT_ORDER
+      ? HOLD_SCOPES.FULFILLMENT_ORDER
+      : HOLD_SCOPES.LINE_ITEMS,
+    productTags: parseList(formData.get("productTags")),
+    variantIds: parseList(formData.get("variantIds")).map((id) => toGid("ProductVariant", id)),
+    skus: parseList(formData.get("skus")),
+    collectionIds: parseIdList(formData.get("collectionIds")),
+    locationIds: parseIdList(formData.get("locationIds")),
+    startsAt: null,
+    endsAt: null,
+    releaseAt: null,
+    releaseTimezone: null,
+    releaseUnitsPerLine: null,
+  };
+
+  const errors = {};
+  if (!data.name) errors.name = "Name is required";
+  if (!data.collectionIds) {
+    errors.collectionIds = "Collections could not be read";
+    data.collectionIds = [];
+  }
+  if (!data.locationIds) {
+    errors.locationIds = "Locations could not be read";
+    data.locationIds = [];
+  }
+
+  // Every date is wall-clock time in the chosen timezone, which is kept to show them again
+  const startsAt = formData.get("startsAt");
+  const endsAt = formData.get("endsAt");
+  const releaseAt = formData.get("releaseAt");
+  const timeZone = String(formData.get("releaseTimezone") || "UTC");
+  if ((startsAt || endsAt || releaseAt) && !isValidTimeZone(timeZone)) {
+    errors.releaseTimezone = "Unknown timezone";
+  } else if (startsAt || endsAt || releaseAt) {
+    data.releaseTimezone = timeZone;
+    if (startsAt) data.startsAt = zonedTimeToUtc(startsAt, timeZone);
+    if (endsAt) data.endsAt = zonedTimeToUtc(endsAt, timeZone);
+    if (releaseAt) {
+      data.releaseAt = zonedTimeToUtc(releaseAt, timeZone);
+      if (isNaN(data.releaseAt)) errors.releaseAt = "Invalid launch date";
+      // Moving the launch date into the future schedules a fresh release
+      else if (data.releaseAt > new Date()) data.releasedAt = null;
+    }
+  }
+
+  const releaseUnitsPerLine = String(formData.get("releaseUnitsPerLine") || "").trim();
+  if (releaseUnitsPerLine) {
+    data.releaseUnitsPerLine = Number(releaseUnitsPerLine);
+    if (!Number.isInteger(data.releaseUnitsPerLine) || data.releaseUnitsPerLine < 1) {
+      errors.releaseUnitsPerLine = "Units per line must be a whole number of at least 1";
+    }
+  }
+
+  const hasCondition = LIST_FIELDS.some((field) => data[field].length > 0);
+  if (!hasCondition) {
+    errors.conditions = "Add at least one tag, variant, SKU, collection or location";
+  }
+
+  if (data.startsAt && isNaN(data.startsAt)) errors.startsAt = "Invalid start date";
+  if (data.endsAt && isNaN(data.endsAt)) errors.endsAt = "Invalid end date";
+  if (data.startsAt && data.endsAt && data.endsAt <= data.startsAt) {
+    errors.endsAt = "End date must be after the start date";
+  }
+
+  return { data, errors: Object.keys(errors).length > 0 ? errors : null };
+}
+
+// Flatten a fulfillment order line item node into the fields rules look at
+export function lineFromNode(node, locationId) {
+  return {
+    id: node.id,
+    remainingQuantity: node.remainingQuantity,
+    title: node.lineItem?.title || "Unknown",
+    variantTitle: node.lineItem?.variantTitle || "",
+    sku: node.lineItem?.sku || "",
+    unitPrice: Number(node.lineItem?.discountedUnitPriceSet?.shopMoney.amount || 0),
+    variantId: node.lineItem?.variant?.id || "",
+    productId: node.lineItem?.product?.id || "",
+    inventoryItemId: node.lineItem?.variant?.inventoryItem?.id || "",
+    productTags: node.lineItem?.product?.tags || [],
+    collectionIds: node.lineItem?.product?.collections.nodes.map((c) => c.id) || [],
+    locationId,
+  };
+}
+
+// Every non-empty condition must match; values within one condition are alternatives
+export function ruleMatchesLine(rule, line) {
+  const { productTags, variantId, sku, collectionIds, locationId } = line;
+
+  if (rule.productTags.length > 0) {
+    const tags = productTags.map((tag) => tag.toLowerCase());
+    if (!rule.productTags.some((tag) => tags.includes(tag.toLowerCase()))) return false;
+  }
+  if (rule.variantIds.length > 0 && !rule.variantIds.includes(variantId)) return false;
+  if (rule.skus.length > 0 && !rule.skus.includes(sku)) return false;
+  if (rule.collectionIds.length > 0 && !rule.collectionIds.some((id) => collectionIds.includes(id))) {
+    return false;
+  }
+  if (rule.locationIds.length > 0 && !rule.locationIds.includes(locationId)) return false;
+
+  return true;
+}
+
+// Decide what to hold on one fulfillment order: "ALL", a list of line items, or nothing
+export function evaluateRules(rules, lines) {
+  const matchedLines = [];
+
+  for (const line of lines) {
+    const matching = rules.filter((rule) => ruleMatchesLine(rule, line));
+    if (matching.length === 0) continue;
+
+    if (matching.some((rule) => rule.holdScope === HOLD_SCOPES.FULFILLMENT_ORDER)) {
+      return { scope: "ALL", rules: matching };
+    }
+    matchedLines.push({ line, rules: matching });
+  }
+
+  if (matchedLines.length === 0) return null;
+
+  const matchedRules = [...new Set(matchedLines.flatMap((m) => m.rules))];
+  if (matchedLines.length === lines.length) {
+    return { scope: "ALL", rules: matchedRules };
+  }
+  return { scope: "LINES", lines: matchedLines.map((m) => m.line), rules: matchedRules };
+}
@@ -0,0 +1,143 @@
+import { describe, expect, it, vi } from "vitest";
+import {
+  HOLD_SCOPES,
+  evaluateRules,
+  parsePresaleRuleForm,
+  ruleMatchesLine,
+  zonedTimeToUtc,
+} from "./PresaleRule.server";
+
+vi.mock("../db.server", () => ({ default: {} }));
+
+const rule = (fields = {}) => ({
+  name: "Rule",
+  holdScope: HOLD_SCOPES.LINE_ITEMS,
+  productTags: [],
+  variantIds: [],
+  skus: [],
+  collectionIds: [],
+  locationIds: [],
+  ...fields,
+});
+
+const line = (fields = {}) => ({
+  id: "gid://shopify/FulfillmentOrderLineItem/1",
+  title: "Jacket",
+  productTags: [],
+  variantId: "gid://shopify/ProductVariant/1",
+  sku: "JKT-1",
+  collectionIds: [],
+  locationId: "gid://shopify/Location/1",
+  ...fields,
+});
+
+const form = (fields) => {
+  const formData = new FormData();
+  for (const [key, value] of Object.entries({ name: "Fall drop", skus: "JKT-1", ...fields })) {
+    formData.append(key, value);
+  }
+  return formData;
+};
+
+describe("ruleMatchesLine", () => {
+  it("matches product tags regardless of case", () => {
+    expect(ruleMatchesLine(rule({ productTags: ["Presale-FW26"] }), line({ productTags: ["presale-fw26"] }))).toBe(true);
+    expect(ruleMatchesLine(rule({ productTags: ["presale-fw26"] }), line({ productTags: ["sale"] }))).toBe(false);
+  });
+
+  it("treats the values of one condition as alternatives", () => {
+    expect(ruleMatchesLine(rule({ skus: ["JKT-2", "JKT-1"] }), line())).toBe(true);
+    expect(ruleMatchesLine(rule({ collectionIds: ["c1", "c2"] }), line({ collectionIds: ["c2", "c3"] }))).toBe(true);
+  });
+
+  it("needs every non-empty condition to match", () => {
+    const skuAndLocation = rule({ skus: ["JKT-1"], locationIds: ["gid://shopify/Location/2"] });
+    expect(ruleMatchesLine(skuAndLocation, line())).toBe(false);
+    expect(ruleMatchesLine(skuAndLocation, line({ locationId: "gid://shopify/Location/2" }))).toBe(true);
+  });
+
+  it("matches on variant IDs", () => {
+    expect(ruleMatchesLine(rule({ variantIds: ["gid://shopify/ProductVariant/1"] }), line())).toBe(true);
+    expect(ruleMatchesLine(rule({ variantIds: ["gid://shopify/ProductVariant/2"] }), line())).toBe(false);
+  });
+});
+
+describe("evaluateRules", () => {
+  const jacket = line({ id: "a", sku: "JKT-1" });
+  const shirt = line({ id: "b", sku: "SHT-1" });
+
+  it("holds nothing when no line matches", () => {
+    expect(evaluateRules([rule({ skus: ["HAT-1"] })], [jacket, shirt])).toBeNull();
+  });
+
+  it("holds only the matching lines", () => {
+    const jackets = rule({ skus: ["JKT-1"] });
+    expect(evaluateRules([jackets], [jacket, shirt])).toEqual({ scope: "LINES", lines: [jacket], rules: [jackets] });
+  });
+
+  it("holds the whole shipment when every line matches", () => {
+    const both = rule({ skus: ["JKT-1", "SHT-1"] });
+    expect(evaluateRules([both], [jacket, shirt])).toEqual({ scope: "ALL", rules: [both] });
+  });
+
+  it("holds the whole shipment when a whole-shipment rule matches any line", () => {
+    const shipment = rule({ skus: ["SHT-1"], holdScope: HOLD_SCOPES.FULFILLMENT_ORDER });
+    expect(evaluateRules([shipment], [jacket, shirt])).toEqual({ scope: "ALL", rules: [shipment] });
+  });
+
+  it("lists each matching rule once", () => {
+    const jackets = rule({ name: "Jackets", skus: ["JKT-1"] });
+    const tagged = rule({ name: "Tagged", productTags: ["presale"] });
+    const lines = [line({ id: "a", productTags: ["presale"] }), line({ id: "b" }), shirt];
+    expect(evaluateRules([jackets, tagged], lines).rules).toEqual([jackets, tagged]);
+  });
+});
+
+describe("zonedTimeToUtc", () => {
+  it("resolves wall-clock time in the given timezone", () => {
+    expect(zonedTimeToUtc("2026-01-15T09:00", "America/New_York").toISOString()).toBe("2026-01-15T14:00:00.000Z");
+    expect(zonedTimeToUtc("2026-07-15T09:00", "America/New_York").toISOString()).toBe("2026-07-15T13:00:00.000Z");
+    expect(zonedTimeToUtc("2026-01-15T09:00", "Asia/Kolkata").toISOString()).toBe("2026-01-15T03:30:00.000Z");
+    expect(zonedTimeToUtc("2026-01-15T09:00", "UTC").toISOString()).toBe("2026-01-15T09:00:00.000Z");
+  });
+
+  it("uses the new offset right after a daylight saving change", () => {
+    expect(zonedTimeToUtc("2026-03-08T03:30", "America/New_York").toISOString()).toBe("2026-03-08T07:30:00.000Z");
+    expect(zonedTimeToUtc("2026-03-29T03:00", "Europe/Berlin").toISOString()).toBe("2026-03-29T01:00:00.000Z");
+  });
+
+  it("returns an invalid date for unreadable input", () => {
+    expect(isNaN(zonedTimeToUtc("not a date", "UTC"))).toBe(true);
+  });
+});
+
+describe("parsePresaleRuleForm", () => {
+  it("reads collection and location lists", () => {
+    const { data, errors } = parsePresaleRuleForm(form({
+      collectionIds: JSON.stringify(["gid://shopify/Collection/1"]),
+      locationIds: JSON.stringify(["gid://shopify/Location/1"]),
+    }));
+    expect(errors).toBeNull();
+    expect(data.collectionIds).toEqual(["gid://shopify/Collection/1"]);
+    expect(data.locationIds).toEqual(["gid://shopify/Location/1"]);
+  });
+
+  it("returns field errors for lists that are not JSON lists of IDs", () => {
+    const { errors } = parsePresaleRuleForm(form({ collectionIds: "{oops", locationIds: JSON.stringify([1, 2]) }));
+    expect(errors).toMatchObject({
+      collectionIds: "Collections could not be read",
+      locationIds: "Locations could not be read",
+    });
+  });
+
+  it("resolves dates in the chosen timezone", () => {
+    const { data } = parsePresaleRuleForm(form({ releaseAt: "2026-01-15T09:00", releaseTimezone: "America/New_York" }));
+    expect(data.releaseAt.toISOString()).toBe("2026-01-15T14:00:00.000Z");
+    expect(data.releaseTimezone).toBe("America/New_York");
+  });
+
+  it("rejects an unknown timezone", () => {
+    const { errors } = parsePresaleRuleForm(form({ releaseAt: "2026-01-15T09:00", releaseTimezone: "Mars/Olympus" }));
+    expect(errors.releaseTimezone).toBe("Unknown timezone");
+  });
+});
@@ -0,0 +1,10 @@
+import { authenticateApiKey } from "../models/ApiKey.server";
+import { listHeldOrders } from "../services/api.server";
+
+// Loader: GET /api/v1/held-orders for the shop the API key belongs to
+export const loader = async ({ request }) => {
+  const apiKey = await authenticateApiKey(request);
+  const { searchParams } = new URL(request.url);
+
+  return Response.json(await listHeldOrders(apiKey.shop, searchParams));
+};
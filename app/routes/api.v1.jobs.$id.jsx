@@ -0,0 +1,13 @@
+import { authenticateApiKey } from "../models/ApiKey.server";
+import { getJob } from "../services/jobs.server";
+import { apiJob } from "../services/api.server";
+
+// Loader: GET /api/v1/jobs/:id, progress and per-order results of a release job
+export const loader = async ({ request, params }) => {
+  const apiKey = await authenticateApiKey(request);
+  const id = Number(params.id);
+  const job = Number.isInteger(id) ? await getJob(apiKey.shop, id) : null;
+  if (!job) return Response.json({ error: "Job not found." }, { status: 404 });
+
+  return Response.json({ job: apiJob(job) });
+};
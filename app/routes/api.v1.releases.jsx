@@ -0,0 +1,29 @@
+import { authenticateApiKey } from "../models/ApiKey.server";
+import { createApiRelease, apiJob } from "../services/api.server";
+
+export const loader = () =>
+  Response.json({ error: "Use POST to start a release." }, { status: 405, headers: { Allow: "POST" } });
+
+// POST /api/v1/releases: queue a release job and answer with where to poll it
+export const action = async ({ request }) => {
+  const apiKey = await authenticateApiKey(request);
+
+  let body;
+  try {
+    body = await request.json();
+  } catch {
+    return Response.json({ error: "The request body must be JSON." }, { status: 400 });
+  }
+
+  const { job, unmatched, error } = await createApiRelease(apiKey.shop, apiKey, body);
+  if (error) return Response.json({ error }, { status: 400 });
+  if (!job) {
+    return Response.json({ job: null, message: "No held orders matched, nothing to release.", ...(unmatched ? { unmatched } : {}) });
+  }
+
+  console.log(`🔑 API key '${apiKey.name}' queued release job #${job.id} for ${apiKey.shop}`);
+  return Response.json(
+    { job: apiJob(job), statusUrl: `/api/v1/jobs/${job.id}`, ...(unmatched ? { unmatched } : {}) },
+    { status: 202 }
+  );
+};
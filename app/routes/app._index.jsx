@@ -1,5 +1,14 @@
-import { useEffect, useState, useCallback } from "react";
-import { useActionData, useLoaderData, useSubmit, useNavigation } from "react-router";
+import { useEffect, useState, useCallback, useRef } from "react";
+import {
+  useActionData,
+  useLoaderData,
+  useSubmit,
+  useNavigation,
+  useNavigate,
+  useFetcher,
+  useRevalidator,
+  useSearchParams
+} from "react-router";
 import {
   Page,
   Layout,
@@ -8,6 +17,7 @@ import {
   Button,
   BlockStack,
   Select,
+  InlineGrid,
   Banner,
   Box,
   InlineStack,
@@ -18,32 +28,95 @@ import {
   ButtonGroup,
   TextField,
   IndexTable,
-  LegacyCard,
-  useIndexResourceState
+  ProgressBar,
+  Modal
 } from "@shopify/polaris";
 import { authenticate } from "../shopify.server";
 import prisma from "../db.server";
+import { actorFromSession, createAuditLog } from "../models/AuditLog.server";
+import {
+  getPresaleLocations,
+  addPresaleLocation,
+  updatePresaleLocation,
+  removePresaleLocation,
+} from "../models/PresaleLocation.server";
+import {
+  getPriorityTags,
+  setPriorityTags,
+  getHoldSettings,
+  parseHoldSettingsForm,
+  saveHoldSettings,
+} from "../models/Configuration.server";
+import {
+  HELD_ORDERS_PAGE_SIZE,
+  HELD_ORDER_SORTS,
+  getHeldOrderPage,
+  getHeldLocationIds,
+  getHeldOrdersSyncedAt,
+  setHeldOrderPriorities,
+} from "../models/HeldFulfillmentOrder.server";
+import { planHeldOrderRelease, priorityTier, resyncHeldOrders } from "../services/release.server";
+import { graphqlWithRetry } from "../services/graphql.server";
+import {
+  getRecentJobs,
+  draftReleaseJob,
+  confirmReleaseJob,
+  discardReleaseJob,
+} from "../services/jobs.server";
+import { kickRetag } from "../services/retag.server";
+import { kickInventorySeed } from "../services/inventory.server";
+import { JOB_TONES, isActiveJob, jobProgress } from "../utils/jobs";
+import { HOLD_REASONS, HOLD_PLACEHOLDERS } from "../utils/holds";
+
+const HELD_ORDER_SORT_OPTIONS = [
+  { label: "Release order", value: "queue" },
+  { label: "Oldest first", value: "oldest" },
+  { label: "Newest first", value: "newest" },
+  { label: "Order name", value: "name" },
+];
+
+// A JSON list of IDs sent by the page, or null if it is anything else
+function parseIdList(value) {
+  try {
+    const ids = JSON.parse(value || "[]");
+    return Array.isArray(ids) && ids.every(id => typeof id === "string") ? ids : null;
+  } catch {
+    return null;
+  }
+}
 
 // Loader: fetch orders and audit logs
 export const loader = async ({ request }) => {
   const { admin, session } = await authenticate.admin(request);
+  const searchParams = new URL(request.url).searchParams;
+  const sort = searchParams.get("sort");
+  const heldFilters = {
+    search: searchParams.get("q")?.trim() || "",
+    locationId: searchParams.get("location") || "",
+    sort: HELD_ORDER_SORTS.includes(sort) ? sort : "queue",
+  };
+  const page = Math.max(Number(searchParams.get("page")) || 1, 1);
 
   // Locations
-  const locResponse = await admin.graphql(
+  const locData = await graphqlWithRetry(
+    admin,
     `#graphql
       query {
         locations(first: 20) { nodes { id name } }
       }
     `
   );
-  const locData = await locResponse.json();
-  const shopifyLocations = locData.data.locations.nodes;
+  const shopifyLocations = locData.locations.nodes;
 
   // Settings
-  const config = await prisma.configuration.findUnique({
-    where: { shop: session.shop },
+  const presaleLocations = await getPresaleLocations(session.shop);
+  const enabledLocationIds = presaleLocations.filter(l => l.enabled).map(l => l.locationId);
+  const enabledRuleCount = await prisma.presaleRule.count({
+    where: { shop: session.shop, enabled: true }
   });
-  const savedLocationId = config?.locationId || "";
+  const hasPresaleSetup = enabledLocationIds.length > 0 || enabledRuleCount > 0;
+  const priorityTags = await getPriorityTags(session.shop);
+  const holdSettings = await getHoldSettings(session.shop);
 
   // Audit Logs
   const logs = await prisma.auditLog.findMany({
@@ -52,357 +125,451 @@ export const loader = async ({ request }) => {
     take: 10
   });
 
-  // Held orders
+  // Held orders, one page from the local copy the release action also plans against
   let heldOrders = [];
+  let heldTotal = 0;
+  let heldLocationIds = [];
+  let heldOrdersSyncedAt = null;
 
-  if (savedLocationId) {
-    const holdQuery = await admin.graphql(
-      `#graphql
-        query getHeldOrders($query: String!) {
-          orders(first: 250, query: $query) {
-            nodes {
-              id
-              name
-              createdAt
-              fulfillmentOrders(first: 10) {
-                nodes {
-                  id
-                  status
-                  assignedLocation { location { id } }
-                  lineItems(first: 20) {
-                    nodes {
-                      id
-                      remainingQuantity
-                      lineItem {
-                        title
-                      }
-                    }
-                  }
-                }
-              }
-            }
-          }
-        }
-      `,
-      { variables: { query: "fulfillment_status:unfulfilled" } }
-    );
-
-    const holdData = await holdQuery.json();
-
-    holdData.data.orders.nodes.forEach(order => {
-      const heldFulfillment = order.fulfillmentOrders.nodes.find(fo =>
-        fo.assignedLocation.location?.id === savedLocationId && fo.status === 'ON_HOLD'
-      );
-
-      if (heldFulfillment) {
-        const itemNames = heldFulfillment.lineItems.nodes
-          .map(node => node.lineItem?.title || "Unknown")
-          .join(", ");
-
-        heldOrders.push({
-          id: order.id,
-          name: order.name,
-          customer: "Customer",
-          date: new Date(order.createdAt).toLocaleDateString(),
-          items: itemNames
-        });
-      }
-    });
+  if (hasPresaleSetup) {
+    // The first visit fills the local copy from Shopify; webhooks and releases keep it current after that
+    heldOrdersSyncedAt = await getHeldOrdersSyncedAt(session.shop);
+    if (!heldOrdersSyncedAt) {
+      await resyncHeldOrders(admin, session.shop);
+      heldOrdersSyncedAt = await getHeldOrdersSyncedAt(session.shop);
+    }
+
+    const { orders, total } = await getHeldOrderPage(session.shop, { ...heldFilters, page }, priorityTags);
+    heldTotal = total;
+    heldLocationIds = await getHeldLocationIds(session.shop);
+    heldOrders = orders.map(order => ({
+      id: order.id,
+      name: order.name,
+      customer: order.customer,
+      tier: order.tier,
+      date: new Date(order.createdAt).toLocaleDateString(),
+      items: order.fulfillmentOrders
+        .flatMap(fo => fo.lines)
+        .map(line => line.title)
+        .join(", "),
+      locationIds: [...new Set(order.fulfillmentOrders.map(fo => fo.locationId))]
+    }));
   }
 
   return {
     locations: shopifyLocations,
-    savedLocationId,
+    presaleLocations: presaleLocations.map(l => ({ ...l, createdAt: l.createdAt.toISOString() })),
+    hasPresaleSetup,
+    priorityTags,
+    holdSettings,
     heldOrders,
+    heldTotal,
+    heldFilters,
+    heldLocationIds,
+    heldOrdersSyncedAt: heldOrdersSyncedAt?.toISOString() || null,
+    page,
+    totalPages: Math.max(Math.ceil(heldTotal / HELD_ORDERS_PAGE_SIZE), 1),
     shopDomain: session.shop,
+    jobs: await getRecentJobs(session.shop, 5),
     logs: logs.map(l => ({ ...l, createdAt: l.createdAt.toISOString() }))
   };
 };
 
 // Perform action and log it with order names
 export const action = async ({ request }) => {
-  const { admin, session } = await authenticate.admin(request);
+  const { admin, session, sessionToken } = await authenticate.admin(request);
+  const actor = actorFromSession(session, sessionToken);
   const formData = await request.formData();
   const intent = formData.get("intent");
 
-  // Save settings
-  if (intent === "save") {
-    const selectedLocationId = formData.get("locationId");
-    await prisma.configuration.upsert({
-      where: { shop: session.shop },
-      update: { locationId: selectedLocationId },
-      create: { shop: session.shop, locationId: selectedLocationId },
+  // Pre-sale locations
+  if (intent === "add_location") {
+    const locationId = formData.get("locationId");
+    const label = formData.get("label")?.trim();
+    if (!locationId || !label) {
+      return { status: "error", message: "Choose a location and give it a label." };
+    }
+
+    await addPresaleLocation(session.shop, { locationId, label });
+    kickInventorySeed(session.shop, locationId);
+
+    await createAuditLog(session.shop, {
+      action: "SETTINGS",
+      description: `Added Pre-Sale location '${label}' (ID: ${locationId})`,
+      actor,
+      intent
     });
 
-    await prisma.auditLog.create({
-      data: {
-        shop: session.shop,
-        action: "SETTINGS",
-        description: `Updated Pre-Sale location to ID: ${selectedLocationId}`
-      }
+    return { status: "success", message: `Added '${label}' as a pre-sale location.` };
+  }
+
+  if (intent === "update_location") {
+    const id = Number(formData.get("id"));
+    const label = formData.get("label")?.trim();
+    const enabled = formData.get("enabled") === "true";
+    if (!label) {
+      return { status: "error", message: "Location label can't be empty." };
+    }
+
+    const previous = (await getPresaleLocations(session.shop)).find(l => l.id === id);
+    const updated = await updatePresaleLocation(session.shop, id, { label, enabled });
+    if (!updated) {
+      return { status: "error", message: "That pre-sale location no longer exists." };
+    }
+    // Stock updates were ignored while it was disabled, so start again from today's levels
+    if (enabled && !previous.enabled) kickInventorySeed(session.shop, previous.locationId);
+
+    await createAuditLog(session.shop, {
+      action: "SETTINGS",
+      description: `Updated Pre-Sale location '${label}' (${enabled ? "enabled" : "disabled"})`,
+      actor,
+      intent
     });
 
     return { status: "success", message: "Settings saved successfully!" };
   }
 
+  if (intent === "remove_location") {
+    const id = Number(formData.get("id"));
+    const label = formData.get("label");
+
+    const removed = await removePresaleLocation(session.shop, id);
+    if (!removed) {
+      return { status: "error", message: "That pre-sale location no longer exists." };
+    }
+
+    await createAuditLog(session.shop, {
+      action: "SETTINGS",
+      description: `Removed Pre-Sale location '${label}'`,
+      actor,
+      intent
+    });
+
+    return { status: "success", message: `Removed '${label}'. Existing holds there are left untouched.` };
+  }
+
+  // Priority tiers
+  if (intent === "save_priority_tags") {
+    const tags = [...new Set(
+      String(formData.get("priorityTags") || "").split(/[,\n]/).map(tag => tag.trim()).filter(Boolean)
+    )];
+
+    await setPriorityTags(session.shop, tags);
+    await setHeldOrderPriorities(session.shop, customerTags => priorityTier(customerTags, tags));
+
+    await createAuditLog(session.shop, {
+      action: "SETTINGS",
+      description: tags.length > 0 ? `Set priority tiers: ${tags.join(" > ")}` : "Removed priority tiers",
+      actor,
+      intent
+    });
+
+    return { status: "success", message: "Priority tiers saved." };
+  }
+
+  // Hold reason, notes and order tag
+  if (intent === "save_hold_settings") {
+    const { settings, errors } = parseHoldSettingsForm(formData);
+    if (errors) {
+      return { status: "error", message: Object.values(errors).join(". "), errors };
+    }
+
+    const replacedTag = await saveHoldSettings(session.shop, settings);
+
+    await createAuditLog(session.shop, {
+      action: "SETTINGS",
+      description: `Set hold reason ${settings.holdReason}, notes '${settings.holdNotes}', ` +
+        `remaining items notes '${settings.remainingNotes}' and tag '${settings.presaleTag}'`,
+      actor,
+      intent
+    });
+
+    if (replacedTag) {
+      kickRetag();
+      return {
+        status: "success",
+        message: `Hold settings saved. Orders tagged '${replacedTag}' are being moved to '${settings.presaleTag}' in the background.`
+      };
+    }
+    return { status: "success", message: "Hold settings saved. New holds use them from now on." };
+  }
+
+  // Local copy of the held orders
+  if (intent === "resync") {
+    const { length: count } = await resyncHeldOrders(admin, session.shop);
+
+    await createAuditLog(session.shop, {
+      action: "SETTINGS",
+      description: `Resynced ${count} held orders from Shopify`,
+      actor,
+      intent
+    });
+
+    return { status: "success", message: `Resynced ${count} held orders from Shopify.` };
+  }
+
   // Release
   if (intent === "release_all" || intent === "release_selected") {
-    const targetLocationId = formData.get("locationId");
+    // An empty list means every location
+    const targetLocationIds = parseIdList(formData.get("locationIds"));
+    if (!targetLocationIds) return { status: "error", message: "The locations could not be read. Reload the page and try again." };
     const filterText = formData.get("filterText") || "";
+    const unitsPerLine = Number(formData.get("unitsPerLine")) || null;
 
-    let targetOrderIds = [];
+    let selectedOrderIds = null;
     if (intent === "release_selected") {
-      targetOrderIds = JSON.parse(formData.get("selectedOrderIds"));
-    } else if (intent === "release_all") {
-      targetOrderIds = JSON.parse(formData.get("filteredOrderIds"));
+      selectedOrderIds = parseIdList(formData.get("selectedOrderIds"));
+      if (!selectedOrderIds) return { status: "error", message: "The selected orders could not be read. Reload the page and try again." };
+      if (selectedOrderIds.length === 0) return { status: "error", message: "Select at least one order to release." };
     }
 
-    const holdQuery = await admin.graphql(
-      `#graphql
-        query getHeldOrders($query: String!) {
-          orders(first: 50, query: $query) {
-            nodes {
-              id
-              name # Need name for logs
-              fulfillmentOrders(first: 5) {
-                nodes {
-                  id
-                  status
-                  assignedLocation { location { id } }
-                  lineItems(first: 20) {
-                    nodes {
-                      id
-                      remainingQuantity
-                      lineItem { title }
-                    }
-                  }
-                }
-              }
-            }
-          }
-        }
-      `,
-      { variables: { query: "fulfillment_status:unfulfilled" } }
-    );
-
-    const holdData = await holdQuery.json();
-    let releasedCount = 0;
-    let splitCount = 0;
-    const ordersToCheckForTagRemoval = new Set();
-    const releasedOrderNames = []; // New array to store names
-
-    for (const order of holdData.data.orders.nodes) {
-      if (!targetOrderIds.includes(order.id)) continue;
-
-      const heldFulfillment = order.fulfillmentOrders.nodes.find(fo =>
-        fo.assignedLocation.location?.id === targetLocationId && fo.status === 'ON_HOLD'
-      );
-
-      if (!heldFulfillment) continue;
-
-      const linesToRelease = heldFulfillment.lineItems.nodes.filter(lineNode => {
-        if (!filterText) return true;
-        const title = lineNode.lineItem?.title || "";
-        return title.toLowerCase().includes(filterText.toLowerCase());
-      });
-
-      if (linesToRelease.length === 0) continue;
-
-      const isPartialRelease = linesToRelease.length < heldFulfillment.lineItems.nodes.length;
-
-      //  Split & Release
-      if (isPartialRelease) {
-        // Unlock
-        await admin.graphql(
-          `#graphql
-              mutation releaseHold($id: ID!) {
-                fulfillmentOrderReleaseHold(id: $id) { userErrors { message } }
-              }
-            `,
-          { variables: { id: heldFulfillment.id } }
-        );
-
-        // Split
-        const fulfillmentOrderLineItems = linesToRelease.map(line => ({
-          id: line.id,
-          quantity: line.remainingQuantity
-        }));
-
-        const splitResponse = await admin.graphql(
-          `#graphql
-            mutation fulfillmentOrderSplit($fulfillmentOrderSplits: [FulfillmentOrderSplitInput!]!) {
-              fulfillmentOrderSplit(fulfillmentOrderSplits: $fulfillmentOrderSplits) {
-                fulfillmentOrderSplits {
-                    fulfillmentOrder { id }
-                }
-                userErrors { message }
-              }
-            }
-          `,
-          {
-            variables: {
-              fulfillmentOrderSplits: [{
-                fulfillmentOrderId: heldFulfillment.id,
-                fulfillmentOrderLineItems: fulfillmentOrderLineItems
-              }]
-            }
-          }
-        );
-
-        const splitJson = await splitResponse.json();
-        if (splitJson.data.fulfillmentOrderSplit.userErrors.length > 0) {
-          continue;
-        }
-
-        // Re-lock original
-        await admin.graphql(
-          `#graphql
-              mutation hold($id: ID!, $hold: FulfillmentOrderHoldInput!) {
-                fulfillmentOrderHold(id: $id, fulfillmentHold: $hold) { userErrors { message } }
-              }
-            `,
-          { variables: { id: heldFulfillment.id, hold: { reason: "INVENTORY_OUT_OF_STOCK", reasonNotes: "Remaining Items" } } }
-        );
-
-        releasedCount++;
-        splitCount++;
-        ordersToCheckForTagRemoval.add(order.id);
-        releasedOrderNames.push(order.name); // Track Name
-
-      } else {
-        //  Full release
-        await admin.graphql(
-          `#graphql
-              mutation releaseHold($id: ID!) {
-                fulfillmentOrderReleaseHold(id: $id) { userErrors { message } }
-              }
-            `,
-          { variables: { id: heldFulfillment.id } }
-        );
-        releasedCount++;
-        ordersToCheckForTagRemoval.add(order.id);
-        releasedOrderNames.push(order.name); // Track Name
-      }
-    }
+    // Releasing everything filtered picks the orders with the same search the list used
+    const plan = await planHeldOrderRelease(session.shop, {
+      search: filterText,
+      locationIds: targetLocationIds,
+      orderIds: selectedOrderIds,
+      unitsPerLine
+    });
 
-    // Cleanup tags
-    for (const orderId of ordersToCheckForTagRemoval) {
-      const checkQuery = await admin.graphql(
-        `#graphql
-          query checkStatus($id: ID!) {
-            order(id: $id) {
-              fulfillmentOrders(first: 10) {
-                nodes {
-                  status
-                  assignedLocation { location { id } }
-                }
-              }
-            }
-          }
-        `,
-        { variables: { id: orderId } }
-      );
-      const checkData = await checkQuery.json();
-      const remainingHolds = checkData.data.order.fulfillmentOrders.nodes.some(fo =>
-        fo.assignedLocation.location?.id === targetLocationId && fo.status === 'ON_HOLD'
-      );
-      if (!remainingHolds) {
-        await admin.graphql(
-          `#graphql
-            mutation tagsRemove($id: ID!, $tags: [String!]!) {
-              tagsRemove(id: $id, tags: $tags) { userErrors { message } }
-            }
-          `,
-          { variables: { id: orderId, tags: ["⚠️ Pre-Sale Hold"] } }
-        );
-      }
+    if (plan.length === 0) {
+      return { status: "info", message: "Nothing to release for the current selection." };
     }
 
-    // Logging
-    const actionType = splitCount > 0 ? "SPLIT_RELEASE" : "RELEASE";
+    let description = intent === "release_selected" ? "Release of selected orders" : "Release of all holds";
+    if (filterText) description = `Release of items matching '${filterText}'`;
+    if (unitsPerLine) description += ` (up to ${unitsPerLine} per line)`;
 
-    // Create a string like: "#1001, #1002, #1003"
-    const orderListString = releasedOrderNames.join(", ");
+    // Dry run: save the plan and show it, nothing is released until it is confirmed
+    const draft = await draftReleaseJob(session.shop, {
+      source: "DASHBOARD",
+      action: "RELEASE",
+      description,
+      plan,
+      actor,
+      intent,
+      filterText
+    });
 
-    let logDetails = "";
-    if (filterText) {
-      logDetails = `Released items matching '${filterText}' in ${releasedCount} orders: ${orderListString}`;
-    } else {
-      logDetails = `Released ${releasedCount} orders: ${orderListString}`;
-    }
+    return { status: "preview", preview: { jobId: draft.id, description, plan } };
+  }
 
-    await prisma.auditLog.create({
-      data: {
-        shop: session.shop,
-        action: actionType,
-        description: logDetails
-      }
-    });
+  if (intent === "confirm_release") {
+    // Hundreds of orders can't be released inside one request, so a background job does it
+    const quantities = JSON.parse(formData.get("quantities") || "{}");
+    const { job, error } = await confirmReleaseJob(session.shop, Number(formData.get("jobId")), quantities);
+    if (error) return { status: "error", message: error };
 
-    return { status: "success", message: `Processed ${releasedCount} release actions.` };
+    return { status: "success", message: `Queued release of ${job.total} orders.`, jobId: job.id };
+  }
+
+  if (intent === "cancel_release") {
+    await discardReleaseJob(session.shop, Number(formData.get("jobId")));
+    return null;
   }
   return null;
 };
 
 // UI components
 export default function Index() {
-  const { locations, savedLocationId, heldOrders, shopDomain, logs } = useLoaderData();
+  const {
+    locations,
+    presaleLocations,
+    hasPresaleSetup,
+    priorityTags,
+    holdSettings,
+    heldOrders,
+    heldTotal,
+    heldFilters,
+    heldLocationIds,
+    heldOrdersSyncedAt,
+    page,
+    totalPages,
+    shopDomain,
+    jobs: loaderJobs,
+    logs
+  } = useLoaderData();
   const actionData = useActionData();
   const submit = useSubmit();
   const nav = useNavigation();
+  const navigate = useNavigate();
+  const jobsFetcher = useFetcher();
+  const revalidator = useRevalidator();
+  const [searchParams, setSearchParams] = useSearchParams();
 
-  const [selectedLocation, setSelectedLocation] = useState(savedLocationId);
+  // Poll release jobs while any is running, then reload the held orders once they finish
+  const jobs = (jobsFetcher.data?.jobs ?? loaderJobs).slice(0, 5);
+  const hasActiveJobs = jobs.some(isActiveJob);
+  const wasRunningJobs = useRef(hasActiveJobs);
+  const { load: loadJobs } = jobsFetcher;
+
+  useEffect(() => {
+    if (!hasActiveJobs) return;
+    const timer = setInterval(() => loadJobs("/app/jobs"), 2000);
+    return () => clearInterval(timer);
+  }, [hasActiveJobs, loadJobs]);
+
+  useEffect(() => {
+    if (wasRunningJobs.current && !hasActiveJobs) revalidator.revalidate();
+    wasRunningJobs.current = hasActiveJobs;
+  }, [hasActiveJobs, revalidator]);
+
+  const [labelDrafts, setLabelDrafts] = useState({});
+  const [newLocationId, setNewLocationId] = useState("");
+  const [newLabel, setNewLabel] = useState("");
   const [selectedItems, setSelectedItems] = useState([]);
-  const [queryValue, setQueryValue] = useState("");
+  const [queryValue, setQueryValue] = useState(heldFilters.search);
 
-  const [currentPage, setCurrentPage] = useState(1);
-  const itemsPerPage = 5;
+  useEffect(() => setQueryValue(heldFilters.search), [heldFilters.search]);
 
-  useEffect(() => { setSelectedLocation(savedLocationId); }, [savedLocationId]);
-  useEffect(() => { if (actionData?.status === "success") setSelectedItems([]); }, [actionData]);
+  const [unitsPerLine, setUnitsPerLine] = useState("");
+  const savedPriorityTags = priorityTags.join(", ");
+  const [priorityDraft, setPriorityDraft] = useState(savedPriorityTags);
 
-  const filteredOrders = heldOrders.filter((order) => {
-    if (!queryValue) return true;
-    const searchString = `${order.name} ${order.items}`.toLowerCase();
-    return searchString.includes(queryValue.toLowerCase());
-  });
+  useEffect(() => setPriorityDraft(savedPriorityTags), [savedPriorityTags]);
+
+  const [holdDraft, setHoldDraft] = useState(holdSettings);
+  const setHoldField = (field) => (value) => setHoldDraft(draft => ({ ...draft, [field]: value }));
+  const holdFields = ["holdReason", "holdNotes", "remainingNotes", "presaleTag"];
+  const holdChanged = holdFields.some(field => holdDraft[field] !== holdSettings[field]);
+
+  // Loader data is a new object on every revalidation, so compare the saved values instead
+  const savedHoldSettings = JSON.stringify(holdSettings);
+  useEffect(() => setHoldDraft(JSON.parse(savedHoldSettings)), [savedHoldSettings]);
+
+  // Dry-run plan waiting for confirmation, with any quantities lowered in the preview
+  const [preview, setPreview] = useState(null);
+  const [quantityDrafts, setQuantityDrafts] = useState({});
+
+  useEffect(() => {
+    setPreview(actionData?.status === "preview" ? actionData.preview : null);
+    setQuantityDrafts({});
+    if (actionData?.status === "success") {
+      setSelectedItems([]);
+      setLabelDrafts({});
+      setNewLocationId("");
+      setNewLabel("");
+    }
+  }, [actionData]);
+
+  const locationNames = Object.fromEntries(locations.map(l => [l.id, l.name]));
+  const labelFor = (locationId) =>
+    presaleLocations.find(l => l.locationId === locationId)?.label || locationNames[locationId] || "Unknown";
+  const unconfiguredLocations = locations.filter(l => !presaleLocations.some(p => p.locationId === l.id));
+
+  // Release only at the filtered location, or everywhere
+  const targetLocationIds = heldFilters.locationId ? [heldFilters.locationId] : [];
+
+  // Any filter change starts again from the first page, with nothing selected
+  const setHeldFilter = useCallback((key, value) => {
+    const next = new URLSearchParams(searchParams);
+    if (value) next.set(key, value);
+    else next.delete(key);
+    next.delete("page");
+    setSelectedItems([]);
+    setSearchParams(next, { replace: true });
+  }, [searchParams, setSearchParams]);
+
+  const goToPage = (nextPage) => {
+    const next = new URLSearchParams(searchParams);
+    next.set("page", String(nextPage));
+    setSearchParams(next);
+  };
 
-  const totalItems = filteredOrders.length;
-  const totalPages = Math.ceil(totalItems / itemsPerPage);
-  const isFirstPage = currentPage === 1;
-  const isLastPage = currentPage === totalPages || totalPages === 0;
-  const currentItems = filteredOrders.slice((currentPage - 1) * itemsPerPage, currentPage * itemsPerPage);
+  // Search once typing pauses rather than on every keystroke
+  useEffect(() => {
+    if (queryValue.trim() === heldFilters.search) return;
+    const timer = setTimeout(() => setHeldFilter("q", queryValue.trim()), 400);
+    return () => clearTimeout(timer);
+  }, [queryValue, heldFilters.search, setHeldFilter]);
 
   const isLoading = nav.state === "submitting";
 
-  const handleSave = () => {
+  const handleAddLocation = () => {
     const formData = new FormData();
-    formData.append("intent", "save");
-    formData.append("locationId", selectedLocation);
+    formData.append("intent", "add_location");
+    formData.append("locationId", newLocationId);
+    formData.append("label", newLabel || locationNames[newLocationId] || "");
+    submit(formData, { method: "POST" });
+  };
+
+  const handleUpdateLocation = (presaleLocation, enabled) => {
+    const formData = new FormData();
+    formData.append("intent", "update_location");
+    formData.append("id", presaleLocation.id);
+    formData.append("label", labelDrafts[presaleLocation.id] ?? presaleLocation.label);
+    formData.append("enabled", String(enabled));
+    submit(formData, { method: "POST" });
+  };
+
+  const handleRemoveLocation = (presaleLocation) => {
+    const formData = new FormData();
+    formData.append("intent", "remove_location");
+    formData.append("id", presaleLocation.id);
+    formData.append("label", presaleLocation.label);
+    submit(formData, { method: "POST" });
+  };
+
+  const handleSavePriorityTags = () => {
+    const formData = new FormData();
+    formData.append("intent", "save_priority_tags");
+    formData.append("priorityTags", priorityDraft);
+    submit(formData, { method: "POST" });
+  };
+
+  const handleSaveHoldSettings = () => {
+    const formData = new FormData();
+    formData.append("intent", "save_hold_settings");
+    holdFields.forEach(field => formData.append(field, holdDraft[field]));
     submit(formData, { method: "POST" });
   };
 
   const handleReleaseSelected = () => {
     const formData = new FormData();
     formData.append("intent", "release_selected");
-    formData.append("locationId", selectedLocation);
+    formData.append("locationIds", JSON.stringify(targetLocationIds));
     formData.append("selectedOrderIds", JSON.stringify(selectedItems));
-    formData.append("filterText", queryValue);
+    formData.append("filterText", heldFilters.search);
+    formData.append("unitsPerLine", unitsPerLine);
     submit(formData, { method: "POST" });
   };
 
   const handleReleaseFiltered = () => {
     const formData = new FormData();
     formData.append("intent", "release_all");
-    formData.append("locationId", selectedLocation);
-    const visibleIds = filteredOrders.map(o => o.id);
-    formData.append("filteredOrderIds", JSON.stringify(visibleIds));
-    formData.append("filterText", queryValue);
+    formData.append("locationIds", JSON.stringify(targetLocationIds));
+    formData.append("filterText", heldFilters.search);
+    formData.append("unitsPerLine", unitsPerLine);
     submit(formData, { method: "POST" });
   };
 
-  const handleQueryValueChange = useCallback((value) => { setQueryValue(value); setCurrentPage(1); }, []);
-  const handleQueryClear = useCallback(() => { handleQueryValueChange(""); }, [handleQueryValueChange]);
+  const handleResync = () => {
+    const formData = new FormData();
+    formData.append("intent", "resync");
+    submit(formData, { method: "POST" });
+  };
+
+  const handleConfirmRelease = () => {
+    const formData = new FormData();
+    formData.append("intent", "confirm_release");
+    formData.append("jobId", preview.jobId);
+    formData.append("quantities", JSON.stringify(quantityDrafts));
+    submit(formData, { method: "POST" });
+  };
+
+  const handleCancelRelease = () => {
+    const formData = new FormData();
+    formData.append("intent", "cancel_release");
+    formData.append("jobId", preview.jobId);
+    submit(formData, { method: "POST" });
+    setPreview(null);
+  };
+
+  const formatLines = (lines) => lines.map(line => `${line.title} × ${line.quantity}`).join(", ");
+  const previewSplitCount = preview
+    ? preview.plan.filter(entry => entry.fulfillmentOrders.some(fo => fo.split)).length
+    : 0;
+
+  const handleQueryClear = useCallback(() => setQueryValue(""), []);
 
   const logRows = logs.map((log, index) => (
     <IndexTable.Row id={log.id} key={log.id} position={index}>
@@ -410,6 +577,7 @@ export default function Index() {
         <Text fontWeight="bold" as="span">{log.action}</Text>
       </IndexTable.Cell>
       <IndexTable.Cell>{log.description}</IndexTable.Cell>
+      <IndexTable.Cell>{log.actorName || log.actorEmail || (log.actorUserId ? `Staff ${log.actorUserId}` : "Automation")}</IndexTable.Cell>
       <IndexTable.Cell>{new Date(log.createdAt).toLocaleString()}</IndexTable.Cell>
     </IndexTable.Row>
   ));
@@ -418,38 +586,287 @@ export default function Index() {
     <Page title="Chrono Split Dashboard">
       <BlockStack gap="500">
         {actionData?.message && (
-          <Banner tone={actionData.status === "success" ? "success" : "info"}>
+          <Banner
+            tone={actionData.status === "success" ? "success" : actionData.status === "error" ? "critical" : "info"}
+            action={actionData.jobId ? { content: "View results", onAction: () => navigate(`/app/jobs/${actionData.jobId}`) } : undefined}
+          >
             {actionData.message}
           </Banner>
         )}
 
+        {/* Release preview */}
+        {preview && (
+          <Modal
+            open
+            onClose={handleCancelRelease}
+            title={`Preview: ${preview.description}`}
+            primaryAction={{
+              content: `Release ${preview.plan.length} orders`,
+              destructive: true,
+              onAction: handleConfirmRelease,
+              loading: isLoading && nav.formData?.get("intent") === "confirm_release"
+            }}
+            secondaryActions={[{ content: "Cancel", onAction: handleCancelRelease }]}
+          >
+            <Modal.Section>
+              <BlockStack gap="100">
+                <Text as="p">
+                  {`${preview.plan.length} orders will be released` +
+                    `${previewSplitCount > 0 ? `, ${previewSplitCount} of them split so the remaining items stay on hold` : ""}. Nothing has changed yet.`}
+                </Text>
+                <Text as="p" tone="subdued">Lower a quantity to ship fewer units now; the rest stays on hold.</Text>
+              </BlockStack>
+            </Modal.Section>
+            {preview.plan.map(entry => (
+              <Modal.Section key={entry.orderId}>
+                <BlockStack gap="200">
+                  <InlineStack gap="200" blockAlign="center">
+                    <Text fontWeight="bold" as="h3">{entry.orderName}</Text>
+                    {entry.fulfillmentOrders.some(fo => fo.split)
+                      ? <Badge tone="attention">Split</Badge>
+                      : <Badge tone="success">Full release</Badge>}
+                  </InlineStack>
+                  {entry.fulfillmentOrders.map(fo => (
+                    <BlockStack gap="100" key={fo.id}>
+                      <Text variant="bodySm" tone="subdued">{labelFor(fo.locationId)}</Text>
+                      <Text variant="bodySm">Ships now:</Text>
+                      {fo.lines.map(line => (
+                        <InlineStack key={line.id} gap="200" blockAlign="center">
+                          <Box width="80px">
+                            <TextField
+                              label={`Units of ${line.title} to ship`}
+                              labelHidden
+                              type="number"
+                              min={0}
+                              max={line.quantity}
+                              value={String(quantityDrafts[line.id] ?? line.quantity)}
+                              onChange={(value) => setQuantityDrafts(q => ({
+                                ...q,
+                                [line.id]: Math.min(Math.max(Number(value) || 0, 0), line.quantity)
+                              }))}
+                              autoComplete="off"
+                            />
+                          </Box>
+                          <Text variant="bodySm">{`of ${line.quantity} × ${line.title}`}</Text>
+                        </InlineStack>
+                      ))}
+                      {fo.heldLines.length > 0 && (
+                        <Text variant="bodySm" tone="caution">{`Stays held: ${formatLines(fo.heldLines)}`}</Text>
+                      )}
+                    </BlockStack>
+                  ))}
+                </BlockStack>
+              </Modal.Section>
+            ))}
+          </Modal>
+        )}
+
         <Layout>
           {/* Config */}
           <Layout.Section>
             <Card>
               <BlockStack gap="400">
-                <Text as="h2" variant="headingMd">Configuration</Text>
-                <Select
-                  label="Pre-Sale Location"
-                  options={[{ label: "Select...", value: "" }, ...locations.map(l => ({ label: l.name, value: l.id }))]}
-                  onChange={setSelectedLocation}
-                  value={selectedLocation}
-                />
-                <Box><Button variant="primary" onClick={handleSave} loading={isLoading && nav.formData?.get("intent") === "save"}>Save Settings</Button></Box>
+                <Text as="h2" variant="headingMd">Pre-Sale Locations</Text>
+                {presaleLocations.length > 0 ? (
+                  presaleLocations.map(presaleLocation => {
+                    const draft = labelDrafts[presaleLocation.id] ?? presaleLocation.label;
+                    return (
+                      <InlineStack key={presaleLocation.id} align="space-between" blockAlign="center" gap="200">
+                        <InlineStack gap="200" blockAlign="center">
+                          <TextField
+                            label="Label"
+                            labelHidden
+                            value={draft}
+                            onChange={(value) => setLabelDrafts(d => ({ ...d, [presaleLocation.id]: value }))}
+                            autoComplete="off"
+                            connectedRight={
+                              <Button
+                                onClick={() => handleUpdateLocation(presaleLocation, presaleLocation.enabled)}
+                                disabled={draft === presaleLocation.label || !draft.trim()}
+                              >
+                                Rename
+                              </Button>
+                            }
+                          />
+                          <Text variant="bodySm" tone="subdued">{locationNames[presaleLocation.locationId] || "Unknown location"}</Text>
+                          <Badge tone={presaleLocation.enabled ? "success" : undefined}>
+                            {presaleLocation.enabled ? "On" : "Off"}
+                          </Badge>
+                        </InlineStack>
+                        <ButtonGroup>
+                          <Button onClick={() => handleUpdateLocation(presaleLocation, !presaleLocation.enabled)} disabled={isLoading}>
+                            {presaleLocation.enabled ? "Turn Off" : "Turn On"}
+                          </Button>
+                          <Button tone="critical" onClick={() => handleRemoveLocation(presaleLocation)} disabled={isLoading}>
+                            Remove
+                          </Button>
+                        </ButtonGroup>
+                      </InlineStack>
+                    );
+                  })
+                ) : (
+                  <Text as="p" tone="subdued">No pre-sale locations yet. Every shipment from a location added here is held.</Text>
+                )}
+                <InlineStack gap="200" blockAlign="end">
+                  <Select
+                    label="Add Location"
+                    options={[{ label: "Select...", value: "" }, ...unconfiguredLocations.map(l => ({ label: l.name, value: l.id }))]}
+                    onChange={setNewLocationId}
+                    value={newLocationId}
+                  />
+                  <TextField
+                    label="Label"
+                    value={newLabel}
+                    onChange={setNewLabel}
+                    placeholder={locationNames[newLocationId] || "e.g. Coming Soon"}
+                    autoComplete="off"
+                  />
+                  <Button
+                    variant="primary"
+                    onClick={handleAddLocation}
+                    disabled={!newLocationId}
+                    loading={isLoading && nav.formData?.get("intent") === "add_location"}
+                  >
+                    Add Location
+                  </Button>
+                </InlineStack>
+              </BlockStack>
+            </Card>
+          </Layout.Section>
+
+          {/* Priority tiers */}
+          <Layout.Section>
+            <Card>
+              <BlockStack gap="300">
+                <Text as="h2" variant="headingMd">Priority Tiers</Text>
+                <Text as="p" tone="subdued">
+                  Customers with these tags are listed and released first, in this order. Everyone else follows, oldest order first.
+                </Text>
+                <InlineStack gap="200" blockAlign="end">
+                  <Box minWidth="320px">
+                    <TextField
+                      label="Customer tags, highest priority first"
+                      value={priorityDraft}
+                      onChange={setPriorityDraft}
+                      placeholder="VIP, kickstarter-backer"
+                      autoComplete="off"
+                    />
+                  </Box>
+                  <Button
+                    onClick={handleSavePriorityTags}
+                    disabled={priorityDraft === savedPriorityTags}
+                    loading={isLoading && nav.formData?.get("intent") === "save_priority_tags"}
+                  >
+                    Save
+                  </Button>
+                </InlineStack>
+              </BlockStack>
+            </Card>
+          </Layout.Section>
+
+          {/* Hold settings */}
+          <Layout.Section>
+            <Card>
+              <BlockStack gap="300">
+                <InlineStack align="space-between" blockAlign="center">
+                  <Text as="h2" variant="headingMd">Hold Settings</Text>
+                  {holdSettings.retagFrom.length > 0 && (
+                    <Badge tone="attention">{`Moving orders from ${holdSettings.retagFrom.map(tag => `'${tag}'`).join(", ")}`}</Badge>
+                  )}
+                </InlineStack>
+                <Text as="p" tone="subdued">
+                  {`Used for new holds. Notes can include ${HOLD_PLACEHOLDERS.join(", ")}; anything not known when the hold is placed is left out.`}
+                </Text>
+                <InlineGrid columns={{ xs: 1, md: 2 }} gap="300">
+                  <Select
+                    label="Hold reason"
+                    options={HOLD_REASONS}
+                    value={holdDraft.holdReason}
+                    onChange={setHoldField("holdReason")}
+                    error={actionData?.errors?.holdReason}
+                  />
+                  <TextField
+                    label="Order tag"
+                    value={holdDraft.presaleTag}
+                    onChange={setHoldField("presaleTag")}
+                    helpText="Existing orders are moved to a new tag automatically."
+                    error={actionData?.errors?.presaleTag}
+                    autoComplete="off"
+                  />
+                  <TextField
+                    label="Hold notes"
+                    value={holdDraft.holdNotes}
+                    onChange={setHoldField("holdNotes")}
+                    placeholder="Pre-sale: {products}, ships {release_date}"
+                    error={actionData?.errors?.holdNotes}
+                    autoComplete="off"
+                  />
+                  <TextField
+                    label="Notes on items left on hold after a split"
+                    value={holdDraft.remainingNotes}
+                    onChange={setHoldField("remainingNotes")}
+                    error={actionData?.errors?.remainingNotes}
+                    autoComplete="off"
+                  />
+                </InlineGrid>
+                <InlineStack align="end">
+                  <Button
+                    onClick={handleSaveHoldSettings}
+                    disabled={!holdChanged}
+                    loading={isLoading && nav.formData?.get("intent") === "save_hold_settings"}
+                  >
+                    Save
+                  </Button>
+                </InlineStack>
               </BlockStack>
             </Card>
           </Layout.Section>
 
           {/* Operations */}
-          {selectedLocation && (
+          {hasPresaleSetup && (
             <Layout.Section>
               <Card>
                 <BlockStack gap="400">
-                  <InlineStack align="space-between">
-                    <Text as="h2" variant="headingMd">Operations</Text>
-                    <Badge tone={filteredOrders.length > 0 ? "warning" : "success"}>
-                      {filteredOrders.length > 0 ? `${filteredOrders.length} Found` : "All Clear"}
-                    </Badge>
+                  <InlineStack align="space-between" blockAlign="center">
+                    <InlineStack gap="200" blockAlign="center">
+                      <Text as="h2" variant="headingMd">Operations</Text>
+                      <Badge tone={heldTotal > 0 ? "warning" : "success"}>
+                        {heldTotal > 0 ? `${heldTotal} Found` : "All Clear"}
+                      </Badge>
+                    </InlineStack>
+                    <InlineStack gap="200" blockAlign="center">
+                      {heldOrdersSyncedAt && (
+                        <Text variant="bodySm" tone="subdued">
+                          {`Last full sync ${new Date(heldOrdersSyncedAt).toLocaleString()}`}
+                        </Text>
+                      )}
+                      <Button
+                        onClick={handleResync}
+                        loading={isLoading && nav.formData?.get("intent") === "resync"}
+                      >
+                        Resync from Shopify
+                      </Button>
+                    </InlineStack>
+                  </InlineStack>
+
+                  <InlineStack gap="300">
+                    {heldLocationIds.length > 1 && (
+                      <Select
+                        label="Location"
+                        options={[
+                          { label: "All locations", value: "" },
+                          ...heldLocationIds.map(id => ({ label: labelFor(id), value: id }))
+                        ]}
+                        onChange={(value) => setHeldFilter("location", value)}
+                        value={heldFilters.locationId}
+                      />
+                    )}
+                    <Select
+                      label="Sort"
+                      options={HELD_ORDER_SORT_OPTIONS}
+                      onChange={(value) => setHeldFilter("sort", value === "queue" ? "" : value)}
+                      value={heldFilters.sort}
+                    />
                   </InlineStack>
 
                   <div style={{ padding: '0px 0px 8px 0px' }}>
@@ -457,30 +874,43 @@ export default function Index() {
                       clearButton
                       onClearButtonClick={handleQueryClear}
                       value={queryValue}
-                      onChange={handleQueryValueChange}
+                      onChange={setQueryValue}
                       autoComplete="off"
-                      placeholder="Filter by Item (e.g. 'Snowboard')..."
+                      placeholder="Filter by item, order or customer (e.g. 'Snowboard')..."
                       prefix={<Text variant="bodyMd">🔍</Text>}
                     />
                   </div>
 
-                  {filteredOrders.length > 0 ? (
+                  <Box width="240px">
+                    <TextField
+                      label="Units per line"
+                      type="number"
+                      min={1}
+                      value={unitsPerLine}
+                      onChange={setUnitsPerLine}
+                      placeholder="All"
+                      helpText="Ship only this many units of each line. The rest stays on hold."
+                      autoComplete="off"
+                    />
+                  </Box>
+
+                  {heldOrders.length > 0 ? (
                     <Card padding="0">
                       <ResourceList
                         resourceName={{ singular: 'order', plural: 'orders' }}
-                        items={currentItems}
+                        items={heldOrders}
                         selectedItems={selectedItems}
                         onSelectionChange={setSelectedItems}
                         selectable
                         pagination={{
-                          hasNext: !isLastPage,
-                          hasPrevious: !isFirstPage,
-                          onNext: () => setCurrentPage(c => c + 1),
-                          onPrevious: () => setCurrentPage(c => c - 1),
-                          label: `Page ${currentPage} of ${totalPages}`
+                          hasNext: page < totalPages,
+                          hasPrevious: page > 1,
+                          onNext: () => goToPage(page + 1),
+                          onPrevious: () => goToPage(page - 1),
+                          label: `Page ${page} of ${totalPages}`
                         }}
                         renderItem={(item) => {
-                          const { id, name, customer, date, items } = item;
+                          const { id, name, customer, tier, date, items, locationIds } = item;
                           const orderId = id.split('/').pop();
                           const orderUrl = `https://${shopDomain}/admin/orders/${orderId}`;
                           return (
@@ -488,13 +918,24 @@ export default function Index() {
                               id={id}
                               onClick={() => window.open(orderUrl, "_blank")}
                               accessibilityLabel={`View order ${name}`}
-                              media={<Avatar customer size="medium" name={customer} />}
+                              media={<Avatar customer size="medium" name={customer.name} />}
                             >
-                              <Text variant="bodyMd" fontWeight="bold" as="h3">{name}</Text>
+                              <InlineStack gap="200" blockAlign="center">
+                                <Text variant="bodyMd" fontWeight="bold" as="h3">{name}</Text>
+                                {tier && <Badge tone="magic">{tier}</Badge>}
+                              </InlineStack>
                               <Text variant="bodySm" tone="subdued">Contains: {items}</Text>
                               <InlineStack gap="200">
-                                <Text variant="bodySm">{customer}</Text>
-                                <Text variant="bodySm">• {date}</Text>
+                                <Text variant="bodySm">{customer.name}</Text>
+                                {customer.email && <Text variant="bodySm" tone="subdued">{customer.email}</Text>}
+                                <Text variant="bodySm" tone="subdued">{`• ${customer.orderCount} orders`}</Text>
+                                {customer.tags.length > 0 && (
+                                  <Text variant="bodySm" tone="subdued">{`• ${customer.tags.join(", ")}`}</Text>
+                                )}
+                              </InlineStack>
+                              <InlineStack gap="200">
+                                <Text variant="bodySm">{date}</Text>
+                                <Text variant="bodySm" tone="subdued">• {locationIds.map(labelFor).join(", ")}</Text>
                               </InlineStack>
                             </ResourceItem>
                           );
@@ -518,10 +959,10 @@ export default function Index() {
                         variant="primary"
                         tone="critical"
                         onClick={handleReleaseFiltered}
-                        disabled={filteredOrders.length === 0}
+                        disabled={heldTotal === 0}
                         loading={isLoading && nav.formData?.get("intent") === "release_all"}
                       >
-                        {queryValue ? `Release Filtered (${filteredOrders.length})` : `Release All Holds`}
+                        {heldFilters.search || heldFilters.locationId ? `Release Filtered (${heldTotal})` : `Release All Holds`}
                       </Button>
                     </ButtonGroup>
                   </Box>
@@ -530,11 +971,42 @@ export default function Index() {
             </Layout.Section>
           )}
 
+          {/* Release jobs */}
+          {jobs.length > 0 && (
+            <Layout.Section>
+              <Card>
+                <BlockStack gap="400">
+                  <InlineStack align="space-between">
+                    <Text as="h2" variant="headingMd">Release Jobs</Text>
+                    <Button variant="plain" onClick={() => navigate("/app/jobs")}>View all</Button>
+                  </InlineStack>
+                  {jobs.map(job => (
+                    <BlockStack gap="100" key={job.id}>
+                      <InlineStack align="space-between" blockAlign="center">
+                        <InlineStack gap="200" blockAlign="center">
+                          <Button variant="plain" onClick={() => navigate(`/app/jobs/${job.id}`)}>{job.description}</Button>
+                          <Badge tone={JOB_TONES[job.status]}>{job.status}</Badge>
+                        </InlineStack>
+                        <Text variant="bodySm" tone="subdued">
+                          {`${job.processed}/${job.total} processed • ${job.succeeded} succeeded • ${job.failed} failed`}
+                        </Text>
+                      </InlineStack>
+                      <ProgressBar progress={jobProgress(job)} size="small" tone={job.failed > 0 ? "critical" : "primary"} />
+                    </BlockStack>
+                  ))}
+                </BlockStack>
+              </Card>
+            </Layout.Section>
+          )}
+
           {/* Activity history */}
           <Layout.Section>
             <Card padding="0">
               <Box padding="400">
-                <Text as="h2" variant="headingMd">Activity History</Text>
+                <InlineStack align="space-between">
+                  <Text as="h2" variant="headingMd">Activity History</Text>
+                  <Button variant="plain" onClick={() => navigate("/app/history")}>View all</Button>
+                </InlineStack>
               </Box>
               {logs.length > 0 ? (
                 <IndexTable
@@ -543,6 +1015,7 @@ export default function Index() {
                   headings={[
                     { title: 'Action' },
                     { title: 'Details' },
+                    { title: 'By' },
                     { title: 'Time' },
                   ]}
                   selectable={false}
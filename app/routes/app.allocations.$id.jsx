@@ -0,0 +1,127 @@
+import { useLoaderData, useNavigate } from "react-router";
+import {
+  Page,
+  Layout,
+  Text,
+  Card,
+  Box,
+  BlockStack,
+  InlineStack,
+  IndexTable,
+  Badge
+} from "@shopify/polaris";
+import { authenticate } from "../shopify.server";
+import { getAllocationReport } from "../models/AllocationReport.server";
+import { getJob } from "../services/jobs.server";
+import { JOB_TONES } from "../utils/jobs";
+
+// Loader: one saved allocation and the status of the job releasing it
+export const loader = async ({ request, params }) => {
+  const { session } = await authenticate.admin(request);
+  const report = await getAllocationReport(session.shop, Number(params.id));
+
+  if (!report) {
+    throw new Response("Allocation report not found", { status: 404 });
+  }
+
+  const job = await getJob(session.shop, report.jobId);
+  return { report, jobStatus: job?.status || null };
+};
+
+// UI components
+export default function AllocationReport() {
+  const { report, jobStatus } = useLoaderData();
+  const navigate = useNavigate();
+
+  const allocationRows = report.allocations.map((allocation, index) => (
+    <IndexTable.Row id={allocation.id} key={allocation.id} position={index}>
+      <IndexTable.Cell>
+        <Text fontWeight="bold" as="span">{allocation.title}</Text>
+      </IndexTable.Cell>
+      <IndexTable.Cell>{allocation.units}</IndexTable.Cell>
+      <IndexTable.Cell>{allocation.allocated}</IndexTable.Cell>
+      <IndexTable.Cell>{allocation.units - allocation.allocated}</IndexTable.Cell>
+    </IndexTable.Row>
+  ));
+
+  const orderRows = report.orders.map((order, index) => (
+    <IndexTable.Row id={order.orderId} key={order.orderId} position={index}>
+      <IndexTable.Cell>
+        <InlineStack gap="200" blockAlign="center">
+          <Text fontWeight="bold" as="span">{order.orderName}</Text>
+          {order.tier && <Badge tone="magic">{order.tier}</Badge>}
+        </InlineStack>
+      </IndexTable.Cell>
+      <IndexTable.Cell>{new Date(order.createdAt).toLocaleString()}</IndexTable.Cell>
+      <IndexTable.Cell>{order.lines.map(line => `${line.quantity} of ${line.ordered} × ${line.title}`).join(", ")}</IndexTable.Cell>
+      <IndexTable.Cell>
+        {order.partial ? <Badge tone="attention">Partial</Badge> : <Badge tone="success">Full</Badge>}
+      </IndexTable.Cell>
+    </IndexTable.Row>
+  ));
+
+  return (
+    <Page
+      title={`Allocation of ${new Date(report.createdAt).toLocaleString()}`}
+      titleMetadata={jobStatus && <Badge tone={JOB_TONES[jobStatus]}>{jobStatus}</Badge>}
+      backAction={{ content: "Allocate Stock", onAction: () => navigate("/app/allocations") }}
+      secondaryActions={[{ content: "View release job", onAction: () => navigate(`/app/jobs/${report.jobId}`) }]}
+    >
+      <Layout>
+        <Layout.Section>
+          <Card>
+            <BlockStack gap="200">
+              <InlineStack gap="400">
+                <Text as="span">{`${report.unitsAllocated} of ${report.unitsRequested} units allocated`}</Text>
+                <Text as="span">{`${report.orderCount} orders`}</Text>
+              </InlineStack>
+              {report.actorName && <Text as="p" tone="subdued">{`By ${report.actorName}`}</Text>}
+            </BlockStack>
+          </Card>
+        </Layout.Section>
+
+        <Layout.Section>
+          <Card padding="0">
+            <Box padding="400">
+              <Text as="h2" variant="headingMd">Stock</Text>
+            </Box>
+            <IndexTable
+              resourceName={{ singular: 'item', plural: 'items' }}
+              itemCount={report.allocations.length}
+              headings={[
+                { title: 'Item' },
+                { title: 'Available' },
+                { title: 'Allocated' },
+                { title: 'Left over' },
+              ]}
+              selectable={false}
+            >
+              {allocationRows}
+            </IndexTable>
+          </Card>
+        </Layout.Section>
+
+        <Layout.Section>
+          <Card padding="0">
+            <Box padding="400">
+              <Text as="h2" variant="headingMd">Orders, in release order</Text>
+            </Box>
+            <IndexTable
+              resourceName={{ singular: 'order', plural: 'orders' }}
+              itemCount={report.orders.length}
+              headings={[
+                { title: 'Order' },
+                { title: 'Placed' },
+                { title: 'Allocated' },
+                { title: '' },
+              ]}
+              selectable={false}
+            >
+              {orderRows}
+            </IndexTable>
+          </Card>
+        </Layout.Section>
+      </Layout>
+    </Page>
+  );
+}
@@ -0,0 +1,369 @@
+import { useEffect, useState } from "react";
+import { useActionData, useLoaderData, useSubmit, useNavigation, useNavigate } from "react-router";
+import {
+  Page,
+  Layout,
+  Text,
+  Card,
+  Button,
+  BlockStack,
+  Select,
+  Banner,
+  Box,
+  InlineStack,
+  Badge,
+  ButtonGroup,
+  TextField,
+  IndexTable
+} from "@shopify/polaris";
+import { authenticate } from "../shopify.server";
+import { getPresaleLocations } from "../models/PresaleLocation.server";
+import { actorFromSession } from "../models/AuditLog.server";
+import { getAllocationReports, createAllocationReport } from "../models/AllocationReport.server";
+import { getPriorityTags } from "../models/Configuration.server";
+import { fetchHeldOrders, buildAllocationPlan, summarizeHeldDemand } from "../services/release.server";
+import { draftReleaseJob, confirmReleaseJob, discardReleaseJob } from "../services/jobs.server";
+
+// Loader: held demand per product and variant, plus past allocation reports
+export const loader = async ({ request }) => {
+  const { admin, session } = await authenticate.admin(request);
+
+  const heldOrders = await fetchHeldOrders(admin, { priorityTags: await getPriorityTags(session.shop) });
+  const presaleLocations = await getPresaleLocations(session.shop);
+
+  return {
+    products: summarizeHeldDemand(heldOrders),
+    presaleLocations: presaleLocations.map(l => ({ locationId: l.locationId, label: l.label })),
+    reports: await getAllocationReports(session.shop, 10)
+  };
+};
+
+export const action = async ({ request }) => {
+  const { admin, session, sessionToken } = await authenticate.admin(request);
+  const actor = actorFromSession(session, sessionToken);
+  const formData = await request.formData();
+  const intent = formData.get("intent");
+
+  const locationId = formData.get("locationId") || null;
+  // [{ id, title, units }] for each product or variant with stock to hand out
+  const allocations = JSON.parse(formData.get("allocations") || "[]")
+    .map(a => ({ ...a, units: Math.floor(Number(a.units)) }))
+    .filter(a => a.units > 0);
+
+  if (intent === "preview") {
+    if (allocations.length === 0) {
+      return { status: "error", message: "Enter the units available for at least one product or variant." };
+    }
+
+    const heldOrders = await fetchHeldOrders(admin, { priorityTags: await getPriorityTags(session.shop) });
+    const { plan, remaining } = buildAllocationPlan(heldOrders, {
+      allocations: Object.fromEntries(allocations.map(a => [a.id, a.units])),
+      locationId
+    });
+
+    if (plan.length === 0) {
+      return { status: "info", message: "No held orders are waiting for these items." };
+    }
+
+    const totalUnits = allocations.reduce((sum, a) => sum + a.units, 0);
+    const draft = await draftReleaseJob(session.shop, {
+      source: "ALLOCATION",
+      action: "ALLOCATION",
+      description: `Allocation of ${totalUnits} units of ${allocations.map(a => a.title).join(", ")}`,
+      plan,
+      actor,
+      intent
+    });
+
+    return { status: "preview", preview: { jobId: draft.id, plan, remaining } };
+  }
+
+  if (intent === "confirm") {
+    const { job, error } = await confirmReleaseJob(session.shop, Number(formData.get("jobId")));
+    if (error) return { status: "error", message: error };
+
+    const report = await createAllocationReport(session.shop, {
+      jobId: job.id,
+      locationId,
+      allocations,
+      plan: JSON.parse(job.plan),
+      actorName: actor.actorName || actor.actorEmail
+    });
+
+    return {
+      status: "success",
+      message: `Allocated ${report.unitsAllocated} units across ${report.orderCount} orders. Releasing in the background.`,
+      reportId: report.id
+    };
+  }
+
+  if (intent === "cancel") {
+    await discardReleaseJob(session.shop, Number(formData.get("jobId")));
+    return null;
+  }
+
+  return null;
+};
+
+// UI components
+export default function Allocations() {
+  const { products, presaleLocations, reports } = useLoaderData();
+  const actionData = useActionData();
+  const submit = useSubmit();
+  const nav = useNavigation();
+  const navigate = useNavigate();
+
+  const [units, setUnits] = useState({});
+  const [locationId, setLocationId] = useState("");
+  const [preview, setPreview] = useState(null);
+
+  useEffect(() => {
+    setPreview(actionData?.status === "preview" ? actionData.preview : null);
+    if (actionData?.status === "success") setUnits({});
+  }, [actionData]);
+
+  const isLoading = nav.state === "submitting";
+  const loadingIntent = isLoading ? nav.formData?.get("intent") : null;
+
+  // Every product and variant row the user typed a quantity into
+  const titles = Object.fromEntries(products.flatMap(p => [
+    [p.id, p.title],
+    ...p.variants.map(v => [v.id, `${p.title} - ${v.title}`])
+  ]));
+  const allocations = Object.entries(units)
+    .filter(([, value]) => Number(value) > 0)
+    .map(([id, value]) => ({ id, title: titles[id], units: Number(value) }));
+
+  const buildForm = (intent) => {
+    const formData = new FormData();
+    formData.append("intent", intent);
+    formData.append("locationId", locationId);
+    formData.append("allocations", JSON.stringify(allocations));
+    if (preview) formData.append("jobId", preview.jobId);
+    return formData;
+  };
+
+  const handlePreview = () => submit(buildForm("preview"), { method: "POST" });
+  const handleConfirm = () => submit(buildForm("confirm"), { method: "POST" });
+  const handleCancel = () => {
+    submit(buildForm("cancel"), { method: "POST" });
+    setPreview(null);
+  };
+
+  const unitsField = (id, label) => (
+    <Box width="100px">
+      <TextField
+        label={`Units of ${label} available`}
+        labelHidden
+        type="number"
+        min={0}
+        value={units[id] ?? ""}
+        onChange={(value) => setUnits(u => ({ ...u, [id]: value }))}
+        placeholder="0"
+        autoComplete="off"
+      />
+    </Box>
+  );
+
+  // A product row takes units for any of its variants; variant rows override it
+  const demandRows = products.flatMap((product, index) => [
+    <IndexTable.Row id={product.id} key={product.id} position={index}>
+      <IndexTable.Cell>
+        <Text fontWeight="bold" as="span">{product.title}</Text>
+      </IndexTable.Cell>
+      <IndexTable.Cell>{product.heldUnits}</IndexTable.Cell>
+      <IndexTable.Cell>{product.orderCount}</IndexTable.Cell>
+      <IndexTable.Cell>{unitsField(product.id, product.title)}</IndexTable.Cell>
+    </IndexTable.Row>,
+    ...(product.variants.length > 1 ? product.variants.map(variant => (
+      <IndexTable.Row id={variant.id} key={variant.id} position={index} subdued>
+        <IndexTable.Cell>
+          <Box paddingInlineStart="400">
+            <Text as="span">{`${variant.title}${variant.sku ? ` (${variant.sku})` : ""}`}</Text>
+          </Box>
+        </IndexTable.Cell>
+        <IndexTable.Cell>{variant.heldUnits}</IndexTable.Cell>
+        <IndexTable.Cell>{variant.orderCount}</IndexTable.Cell>
+        <IndexTable.Cell>{unitsField(variant.id, `${product.title} - ${variant.title}`)}</IndexTable.Cell>
+      </IndexTable.Row>
+    )) : [])
+  ]);
+
+  const previewRows = preview?.plan.map((entry, index) => {
+    const lines = entry.fulfillmentOrders.flatMap(fo => fo.lines.map(line => {
+      const stillHeld = fo.heldLines.filter(h => h.id === line.id).reduce((sum, h) => sum + h.quantity, 0);
+      return { ...line, ordered: line.quantity + stillHeld };
+    }));
+    const partial = lines.some(line => line.quantity < line.ordered);
+
+    return (
+      <IndexTable.Row id={entry.orderId} key={entry.orderId} position={index}>
+        <IndexTable.Cell>
+          <InlineStack gap="200" blockAlign="center">
+            <Text fontWeight="bold" as="span">{entry.orderName}</Text>
+            {entry.tier && <Badge tone="magic">{entry.tier}</Badge>}
+          </InlineStack>
+        </IndexTable.Cell>
+        <IndexTable.Cell>{new Date(entry.createdAt).toLocaleString()}</IndexTable.Cell>
+        <IndexTable.Cell>{lines.map(line => `${line.quantity} of ${line.ordered} × ${line.title}`).join(", ")}</IndexTable.Cell>
+        <IndexTable.Cell>
+          {partial ? <Badge tone="attention">Partial</Badge> : <Badge tone="success">Full</Badge>}
+        </IndexTable.Cell>
+      </IndexTable.Row>
+    );
+  });
+
+  const reportRows = reports.map((report, index) => (
+    <IndexTable.Row id={String(report.id)} key={report.id} position={index}>
+      <IndexTable.Cell>{new Date(report.createdAt).toLocaleString()}</IndexTable.Cell>
+      <IndexTable.Cell>{report.allocations.map(a => a.title).join(", ")}</IndexTable.Cell>
+      <IndexTable.Cell>{`${report.unitsAllocated} / ${report.unitsRequested}`}</IndexTable.Cell>
+      <IndexTable.Cell>{report.orderCount}</IndexTable.Cell>
+      <IndexTable.Cell>{report.actorName || ""}</IndexTable.Cell>
+      <IndexTable.Cell>
+        <Button size="slim" onClick={() => navigate(`/app/allocations/${report.id}`)}>View</Button>
+      </IndexTable.Cell>
+    </IndexTable.Row>
+  ));
+
+  return (
+    <Page title="Allocate Stock" backAction={{ content: "Dashboard", onAction: () => navigate("/app") }}>
+      <BlockStack gap="500">
+        {actionData?.message && (
+          <Banner
+            tone={actionData.status === "success" ? "success" : actionData.status === "error" ? "critical" : "info"}
+            action={actionData.reportId ? { content: "View report", onAction: () => navigate(`/app/allocations/${actionData.reportId}`) } : undefined}
+          >
+            {actionData.message}
+          </Banner>
+        )}
+
+        <Layout>
+          {/* Preview */}
+          {preview && (
+            <Layout.Section>
+              <Card padding="0">
+                <Box padding="400">
+                  <BlockStack gap="200">
+                    <Text as="h2" variant="headingMd">Allocation Preview</Text>
+                    <Text as="p">
+                      {`${preview.plan.length} orders get stock, priority tiers first and then oldest first. Nothing has been released yet.`}
+                    </Text>
+                    {Object.entries(preview.remaining).filter(([, left]) => left > 0).map(([id, left]) => (
+                      <Text as="p" tone="subdued" key={id}>{`${left} units of ${titles[id]} are left over, no held order needs them.`}</Text>
+                    ))}
+                  </BlockStack>
+                </Box>
+                <IndexTable
+                  resourceName={{ singular: 'order', plural: 'orders' }}
+                  itemCount={preview.plan.length}
+                  headings={[
+                    { title: 'Order' },
+                    { title: 'Placed' },
+                    { title: 'Ships now' },
+                    { title: '' },
+                  ]}
+                  selectable={false}
+                >
+                  {previewRows}
+                </IndexTable>
+                <Box padding="400">
+                  <ButtonGroup>
+                    <Button variant="primary" onClick={handleConfirm} loading={loadingIntent === "confirm"}>
+                      Release these orders
+                    </Button>
+                    <Button onClick={handleCancel}>Cancel</Button>
+                  </ButtonGroup>
+                </Box>
+              </Card>
+            </Layout.Section>
+          )}
+
+          {/* Held demand */}
+          <Layout.Section>
+            <Card padding="0">
+              <Box padding="400">
+                <BlockStack gap="300">
+                  <Text as="h2" variant="headingMd">Units Available</Text>
+                  <Text as="p" tone="subdued">
+                    Enter the stock that arrived. Held orders in priority tiers go first, then the rest in the order they were placed, until it runs out.
+                  </Text>
+                  {presaleLocations.length > 1 && (
+                    <Select
+                      label="Location"
+                      options={[
+                        { label: "All locations", value: "" },
+                        ...presaleLocations.map(l => ({ label: l.label, value: l.locationId }))
+                      ]}
+                      onChange={setLocationId}
+                      value={locationId}
+                    />
+                  )}
+                </BlockStack>
+              </Box>
+              {products.length > 0 ? (
+                <IndexTable
+                  resourceName={{ singular: 'product', plural: 'products' }}
+                  itemCount={demandRows.length}
+                  headings={[
+                    { title: 'Product' },
+                    { title: 'Units held' },
+                    { title: 'Orders' },
+                    { title: 'Units available' },
+                  ]}
+                  selectable={false}
+                >
+                  {demandRows}
+                </IndexTable>
+              ) : (
+                <Box padding="400">
+                  <Text tone="subdued">No orders are on a pre-sale hold.</Text>
+                </Box>
+              )}
+              <Box padding="400">
+                <Button
+                  variant="primary"
+                  onClick={handlePreview}
+                  disabled={allocations.length === 0}
+                  loading={loadingIntent === "preview"}
+                >
+                  Preview Allocation
+                </Button>
+              </Box>
+            </Card>
+          </Layout.Section>
+
+          {/* Reports */}
+          <Layout.Section>
+            <Card padding="0">
+              <Box padding="400">
+                <Text as="h2" variant="headingMd">Allocation Reports</Text>
+              </Box>
+              {reports.length > 0 ? (
+                <IndexTable
+                  resourceName={{ singular: 'report', plural: 'reports' }}
+                  itemCount={reports.length}
+                  headings={[
+                    { title: 'Created' },
+                    { title: 'Items' },
+                    { title: 'Units allocated' },
+                    { title: 'Orders' },
+                    { title: 'By' },
+                    { title: '' },
+                  ]}
+                  selectable={false}
+                >
+                  {reportRows}
+                </IndexTable>
+              ) : (
+                <Box padding="400">
+                  <Text tone="subdued">No allocations yet.</Text>
+                </Box>
+              )}
+            </Card>
+          </Layout.Section>
+        </Layout>
+      </BlockStack>
+    </Page>
+  );
+}
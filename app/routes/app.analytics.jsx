@@ -0,0 +1,321 @@
+import { useLoaderData, useNavigate, useNavigation, useSearchParams } from "react-router";
+import {
+  Page,
+  Layout,
+  Text,
+  Card,
+  Button,
+  BlockStack,
+  Select,
+  InlineGrid,
+  InlineStack,
+  Box,
+  TextField,
+  IndexTable,
+  ProgressBar
+} from "@shopify/polaris";
+import { authenticate } from "../shopify.server";
+import { getPresaleLocations } from "../models/PresaleLocation.server";
+import { parseAnalyticsFilters, getPresaleAnalytics } from "../services/analytics.server";
+import { graphqlWithRetry } from "../services/graphql.server";
+
+// Loader: pre-sale figures for the selected date range and location
+export const loader = async ({ request }) => {
+  const { admin, session } = await authenticate.admin(request);
+  const filters = parseAnalyticsFilters(new URL(request.url).searchParams);
+
+  const data = await graphqlWithRetry(
+    admin,
+    `#graphql
+      query {
+        shop { currencyCode }
+        locations(first: 50) { nodes { id name } }
+      }
+    `
+  );
+  const presaleLocations = await getPresaleLocations(session.shop);
+
+  // Pre-sale labels first, then Shopify's location names
+  const locationNames = Object.fromEntries([
+    ...data.locations.nodes.map(l => [l.id, l.name]),
+    ...presaleLocations.map(l => [l.locationId, l.label])
+  ]);
+
+  return {
+    filters,
+    currencyCode: data.shop.currencyCode,
+    locationNames,
+    analytics: await getPresaleAnalytics(session.shop, filters)
+  };
+};
+
+const HOUR_MS = 60 * 60 * 1000;
+
+function formatDuration(ms) {
+  if (ms == null) return "—";
+  const hours = Math.round(ms / HOUR_MS);
+  if (hours < 1) return "Under an hour";
+  if (hours < 48) return `${hours}h`;
+  return `${Math.floor(hours / 24)}d ${hours % 24}h`;
+}
+
+const percentOf = (value, max) => (max > 0 ? Math.round((value / max) * 100) : 0);
+
+// UI components
+export default function Analytics() {
+  const { filters, currencyCode, locationNames, analytics } = useLoaderData();
+  const navigate = useNavigate();
+  const nav = useNavigation();
+  const [searchParams, setSearchParams] = useSearchParams();
+
+  const { held, holdTime, releaseTotals, backlog, releases, products, locations } = analytics;
+  const isLoading = nav.state === "loading";
+
+  const money = new Intl.NumberFormat(undefined, { style: "currency", currency: currencyCode });
+  const labelFor = (locationId) => locationNames[locationId] || "Unknown location";
+
+  const setFilter = (key, value) => {
+    const next = new URLSearchParams(searchParams);
+    if (value) next.set(key, value);
+    else next.delete(key);
+    setSearchParams(next);
+  };
+
+  const releasedCount = releaseTotals.full + releaseTotals.split;
+  const splitShare = releasedCount > 0 ? `${percentOf(releaseTotals.split, releasedCount)}% split` : "No releases";
+  const maxBacklog = Math.max(0, ...backlog.map(day => day.orders ?? 0));
+  const maxReleases = Math.max(0, ...releases.map(day => day.released));
+  const hasBacklogData = backlog.some(day => day.orders !== null);
+
+  const summaries = [
+    { title: "Held now", value: `${held.orders} orders`, detail: `${held.units} units • ${money.format(held.value)}` },
+    { title: "Average time on hold", value: formatDuration(holdTime.averageMs), detail: `${holdTime.ended} holds ended in range` },
+    { title: "Longest time on hold", value: formatDuration(holdTime.maxMs), detail: `Oldest current hold: ${formatDuration(held.oldestHoldMs)}` },
+    {
+      title: "Split vs full releases",
+      value: splitShare,
+      detail: `${releaseTotals.full} full • ${releaseTotals.split} split` +
+        `${releaseTotals.partial > 0 ? ` • ${releaseTotals.partial} partly failed` : ""}`
+    },
+  ];
+
+  return (
+    <Page
+      title="Pre-Sale Analytics"
+      backAction={{ content: "Dashboard", onAction: () => navigate("/app") }}
+    >
+      <Layout>
+        <Layout.Section>
+          <Card>
+            <InlineGrid columns={{ xs: 1, md: 3 }} gap="400">
+              <TextField
+                label="From"
+                type="date"
+                value={filters.from}
+                onChange={(value) => setFilter("from", value)}
+                autoComplete="off"
+              />
+              <TextField
+                label="To"
+                type="date"
+                value={filters.to}
+                onChange={(value) => setFilter("to", value)}
+                autoComplete="off"
+              />
+              <Select
+                label="Location"
+                options={[
+                  { label: "All locations", value: "" },
+                  ...locations.map(l => ({ label: labelFor(l.locationId), value: l.locationId }))
+                ]}
+                onChange={(value) => setFilter("location", value)}
+                value={filters.locationId}
+              />
+            </InlineGrid>
+          </Card>
+        </Layout.Section>
+
+        <Layout.Section>
+          <InlineGrid columns={{ xs: 1, sm: 2, md: 4 }} gap="400">
+            {summaries.map(summary => (
+              <Card key={summary.title}>
+                <BlockStack gap="100">
+                  <Text as="h3" variant="headingSm" tone="subdued">{summary.title}</Text>
+                  <Text as="p" variant="headingLg">{summary.value}</Text>
+                  <Text as="p" variant="bodySm" tone="subdued">{summary.detail}</Text>
+                </BlockStack>
+              </Card>
+            ))}
+          </InlineGrid>
+        </Layout.Section>
+
+        {/* Backlog over time */}
+        <Layout.Section>
+          <Card padding="0">
+            <Box padding="400">
+              <BlockStack gap="100">
+                <Text as="h2" variant="headingMd">Held orders over time</Text>
+                <Text as="p" tone="subdued">Orders and units on hold at the end of each day.</Text>
+              </BlockStack>
+            </Box>
+            {hasBacklogData ? (
+              <IndexTable
+                resourceName={{ singular: 'day', plural: 'days' }}
+                itemCount={backlog.length}
+                loading={isLoading}
+                headings={[
+                  { title: 'Day' },
+                  { title: 'Orders' },
+                  { title: 'Units' },
+                  { title: 'Value' },
+                  { title: '' },
+                ]}
+                selectable={false}
+              >
+                {backlog.map((day, index) => (
+                  <IndexTable.Row id={day.day} key={day.day} position={index}>
+                    <IndexTable.Cell>{day.day}</IndexTable.Cell>
+                    <IndexTable.Cell>{day.orders ?? "—"}</IndexTable.Cell>
+                    <IndexTable.Cell>{day.units ?? "—"}</IndexTable.Cell>
+                    <IndexTable.Cell>{day.value == null ? "—" : money.format(day.value)}</IndexTable.Cell>
+                    <IndexTable.Cell>
+                      <Box minWidth="160px">
+                        <ProgressBar progress={percentOf(day.orders ?? 0, maxBacklog)} size="small" />
+                      </Box>
+                    </IndexTable.Cell>
+                  </IndexTable.Row>
+                ))}
+              </IndexTable>
+            ) : (
+              <Box padding="400">
+                <Text tone="subdued">No history for this range yet. The backlog is recorded every hour from now on.</Text>
+              </Box>
+            )}
+          </Card>
+        </Layout.Section>
+
+        {/* Releases */}
+        <Layout.Section>
+          <Card padding="0">
+            <Box padding="400">
+              <InlineStack align="space-between">
+                <Text as="h2" variant="headingMd">Releases per day</Text>
+                <Button variant="plain" onClick={() => navigate("/app/history")}>Activity history</Button>
+              </InlineStack>
+            </Box>
+            <IndexTable
+              resourceName={{ singular: 'day', plural: 'days' }}
+              itemCount={releases.length}
+              loading={isLoading}
+              headings={[
+                { title: 'Day' },
+                { title: 'Orders released' },
+                { title: 'Full' },
+                { title: 'Split' },
+                { title: '' },
+              ]}
+              selectable={false}
+            >
+              {releases.map((day, index) => (
+                <IndexTable.Row id={day.day} key={day.day} position={index}>
+                  <IndexTable.Cell>{day.day}</IndexTable.Cell>
+                  <IndexTable.Cell>{day.released}</IndexTable.Cell>
+                  <IndexTable.Cell>{day.full}</IndexTable.Cell>
+                  <IndexTable.Cell>{day.split}</IndexTable.Cell>
+                  <IndexTable.Cell>
+                    <Box minWidth="160px">
+                      <ProgressBar progress={percentOf(day.released, maxReleases)} size="small" tone="success" />
+                    </Box>
+                  </IndexTable.Cell>
+                </IndexTable.Row>
+              ))}
+            </IndexTable>
+          </Card>
+        </Layout.Section>
+
+        {/* Held revenue */}
+        <Layout.Section>
+          <Card padding="0">
+            <Box padding="400">
+              <BlockStack gap="100">
+                <Text as="h2" variant="headingMd">Held revenue by product</Text>
+                <Text as="p" tone="subdued">What is on hold right now, at the price the customer paid.</Text>
+              </BlockStack>
+            </Box>
+            {products.length > 0 ? (
+              <IndexTable
+                resourceName={{ singular: 'product', plural: 'products' }}
+                itemCount={products.length}
+                loading={isLoading}
+                headings={[
+                  { title: 'Product' },
+                  { title: 'Orders' },
+                  { title: 'Units' },
+                  { title: 'Held revenue' },
+                ]}
+                selectable={false}
+              >
+                {products.map((product, index) => (
+                  <IndexTable.Row id={product.id} key={product.id} position={index}>
+                    <IndexTable.Cell>
+                      <Text fontWeight="bold" as="span">{product.title}</Text>
+                    </IndexTable.Cell>
+                    <IndexTable.Cell>{product.orders}</IndexTable.Cell>
+                    <IndexTable.Cell>{product.units}</IndexTable.Cell>
+                    <IndexTable.Cell>{money.format(product.value)}</IndexTable.Cell>
+                  </IndexTable.Row>
+                ))}
+              </IndexTable>
+            ) : (
+              <Box padding="400">
+                <Text tone="subdued">Nothing is on hold.</Text>
+              </Box>
+            )}
+          </Card>
+        </Layout.Section>
+
+        {/* Per location */}
+        <Layout.Section>
+          <Card padding="0">
+            <Box padding="400">
+              <Text as="h2" variant="headingMd">By location</Text>
+            </Box>
+            {locations.length > 0 ? (
+              <IndexTable
+                resourceName={{ singular: 'location', plural: 'locations' }}
+                itemCount={locations.length}
+                loading={isLoading}
+                headings={[
+                  { title: 'Location' },
+                  { title: 'Held orders' },
+                  { title: 'Held units' },
+                  { title: 'Held revenue' },
+                  { title: 'Released in range' },
+                  { title: 'Average time on hold' },
+                ]}
+                selectable={false}
+              >
+                {locations.map((location, index) => (
+                  <IndexTable.Row id={location.locationId} key={location.locationId} position={index}>
+                    <IndexTable.Cell>
+                      <Text fontWeight="bold" as="span">{labelFor(location.locationId)}</Text>
+                    </IndexTable.Cell>
+                    <IndexTable.Cell>{location.heldOrders}</IndexTable.Cell>
+                    <IndexTable.Cell>{location.heldUnits}</IndexTable.Cell>
+                    <IndexTable.Cell>{money.format(location.heldValue)}</IndexTable.Cell>
+                    <IndexTable.Cell>{location.released}</IndexTable.Cell>
+                    <IndexTable.Cell>{formatDuration(location.averageHoldMs)}</IndexTable.Cell>
+                  </IndexTable.Row>
+                ))}
+              </IndexTable>
+            ) : (
+              <Box padding="400">
+                <Text tone="subdued">No holds recorded for any location yet.</Text>
+              </Box>
+            )}
+          </Card>
+        </Layout.Section>
+      </Layout>
+    </Page>
+  );
+}
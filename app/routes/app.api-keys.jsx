@@ -0,0 +1,248 @@
+import { useState } from "react";
+import { useActionData, useLoaderData, useSubmit, useNavigation, useNavigate } from "react-router";
+import {
+  Page,
+  Layout,
+  Text,
+  Card,
+  Button,
+  BlockStack,
+  Banner,
+  Box,
+  InlineStack,
+  Badge,
+  IndexTable,
+  TextField
+} from "@shopify/polaris";
+import { authenticate } from "../shopify.server";
+import { getApiKeys, createApiKey, revokeApiKey } from "../models/ApiKey.server";
+import { actorFromSession, createAuditLog } from "../models/AuditLog.server";
+
+// Loader: the shop's API keys, without the keys themselves
+export const loader = async ({ request }) => {
+  const { session } = await authenticate.admin(request);
+  const apiKeys = await getApiKeys(session.shop);
+
+  return {
+    apiBaseUrl: `${new URL(request.url).origin}/api/v1`,
+    apiKeys: apiKeys.map(k => ({
+      ...k,
+      createdAt: k.createdAt.toISOString(),
+      lastUsedAt: k.lastUsedAt?.toISOString() || null,
+      revokedAt: k.revokedAt?.toISOString() || null
+    }))
+  };
+};
+
+export const action = async ({ request }) => {
+  const { session, sessionToken } = await authenticate.admin(request);
+  const actor = actorFromSession(session, sessionToken);
+  const formData = await request.formData();
+  const intent = formData.get("intent");
+
+  if (intent === "create_key") {
+    const name = formData.get("name")?.trim();
+    if (!name) {
+      return { status: "error", message: "Give the key a name, such as the system that will use it." };
+    }
+
+    const { apiKey, key } = await createApiKey(session.shop, {
+      name,
+      createdBy: actor.actorName || actor.actorEmail
+    });
+
+    await createAuditLog(session.shop, {
+      action: "SETTINGS",
+      description: `Created API key '${name}' (${apiKey.prefix}…)`,
+      actor,
+      intent
+    });
+
+    return { status: "success", message: `Created API key '${name}'.`, key };
+  }
+
+  if (intent === "revoke_key") {
+    const id = Number(formData.get("id"));
+    const name = formData.get("name");
+    const revoked = await revokeApiKey(session.shop, id);
+    if (!revoked) {
+      return { status: "error", message: "That API key no longer exists or was already revoked." };
+    }
+
+    await createAuditLog(session.shop, {
+      action: "SETTINGS",
+      description: `Revoked API key '${name}'`,
+      actor,
+      intent
+    });
+
+    return { status: "success", message: `Revoked API key '${name}'. Requests using it are now refused.` };
+  }
+
+  return null;
+};
+
+const ENDPOINTS = [
+  { method: "GET", path: "/held-orders", detail: "Held orders in release order. Filter with sku, product_id and location_id; page with limit and page." },
+  { method: "POST", path: "/releases", detail: "Queue a release. Send orderIds, skus, productIds or locationId (or \"all\": true), optionally unitsPerLine; or allocations of received stock as [{ sku, units }]." },
+  { method: "GET", path: "/jobs/{id}", detail: "Progress and per-order results of a release job." },
+];
+
+// UI components
+export default function ApiKeys() {
+  const { apiBaseUrl, apiKeys } = useLoaderData();
+  const actionData = useActionData();
+  const submit = useSubmit();
+  const nav = useNavigation();
+  const navigate = useNavigate();
+  const [name, setName] = useState("");
+
+  const isSubmitting = nav.state === "submitting";
+  const submittingIntent = isSubmitting ? nav.formData?.get("intent") : null;
+  const revokingId = submittingIntent === "revoke_key" ? Number(nav.formData?.get("id")) : null;
+
+  const handleCreate = () => {
+    const formData = new FormData();
+    formData.append("intent", "create_key");
+    formData.append("name", name);
+    submit(formData, { method: "POST" });
+    setName("");
+  };
+
+  const handleRevoke = (apiKey) => {
+    const formData = new FormData();
+    formData.append("intent", "revoke_key");
+    formData.append("id", apiKey.id);
+    formData.append("name", apiKey.name);
+    submit(formData, { method: "POST" });
+  };
+
+  const rows = apiKeys.map((apiKey, index) => (
+    <IndexTable.Row id={String(apiKey.id)} key={apiKey.id} position={index}>
+      <IndexTable.Cell>
+        <Text fontWeight="bold" as="span">{apiKey.name}</Text>
+      </IndexTable.Cell>
+      <IndexTable.Cell>
+        <Text as="span" tone="subdued">{`${apiKey.prefix}…`}</Text>
+      </IndexTable.Cell>
+      <IndexTable.Cell>
+        {new Date(apiKey.createdAt).toLocaleString()}
+        {apiKey.createdBy ? ` by ${apiKey.createdBy}` : ""}
+      </IndexTable.Cell>
+      <IndexTable.Cell>{apiKey.lastUsedAt ? new Date(apiKey.lastUsedAt).toLocaleString() : "Never"}</IndexTable.Cell>
+      <IndexTable.Cell>
+        {apiKey.revokedAt
+          ? <Badge>{`Revoked ${new Date(apiKey.revokedAt).toLocaleDateString()}`}</Badge>
+          : <Badge tone="success">Active</Badge>}
+      </IndexTable.Cell>
+      <IndexTable.Cell>
+        {!apiKey.revokedAt && (
+          <Button size="slim" tone="critical" onClick={() => handleRevoke(apiKey)} loading={revokingId === apiKey.id}>
+            Revoke
+          </Button>
+        )}
+      </IndexTable.Cell>
+    </IndexTable.Row>
+  ));
+
+  return (
+    <Page title="API Keys" backAction={{ content: "Dashboard", onAction: () => navigate("/app") }}>
+      <BlockStack gap="500">
+        {actionData?.key ? (
+          <Banner tone="warning" title="Copy the new key now">
+            <BlockStack gap="200">
+              <Text as="p">This is the only time the key is shown. Store it in the system that will call the API.</Text>
+              <Text as="p" fontWeight="bold" breakWord>{actionData.key}</Text>
+            </BlockStack>
+          </Banner>
+        ) : actionData?.message && (
+          <Banner tone={actionData.status === "success" ? "success" : "critical"}>
+            {actionData.message}
+          </Banner>
+        )}
+
+        <Layout>
+          <Layout.Section>
+            <Card>
+              <BlockStack gap="300">
+                <Text as="h2" variant="headingMd">Create a key</Text>
+                <Text as="p" tone="subdued">
+                  Keys let an ERP or warehouse system list and release the held orders of this shop. Releases made
+                  with a key run as release jobs and appear in the activity history under the name of the key.
+                </Text>
+                <InlineStack gap="300" blockAlign="end">
+                  <Box minWidth="320px">
+                    <TextField
+                      label="Name"
+                      value={name}
+                      onChange={setName}
+                      placeholder="e.g. NetSuite"
+                      autoComplete="off"
+                    />
+                  </Box>
+                  <Button
+                    variant="primary"
+                    onClick={handleCreate}
+                    disabled={!name.trim()}
+                    loading={submittingIntent === "create_key"}
+                  >
+                    Create key
+                  </Button>
+                </InlineStack>
+              </BlockStack>
+            </Card>
+          </Layout.Section>
+
+          <Layout.Section>
+            <Card padding="0">
+              <Box padding="400">
+                <Text as="h2" variant="headingMd">Keys</Text>
+              </Box>
+              {apiKeys.length > 0 ? (
+                <IndexTable
+                  resourceName={{ singular: 'key', plural: 'keys' }}
+                  itemCount={apiKeys.length}
+                  headings={[
+                    { title: 'Name' },
+                    { title: 'Key' },
+                    { title: 'Created' },
+                    { title: 'Last used' },
+                    { title: 'Status' },
+                    { title: '' },
+                  ]}
+                  selectable={false}
+                >
+                  {rows}
+                </IndexTable>
+              ) : (
+                <Box padding="400">
+                  <Text tone="subdued">No API keys yet.</Text>
+                </Box>
+              )}
+            </Card>
+          </Layout.Section>
+
+          <Layout.Section>
+            <Card>
+              <BlockStack gap="300">
+                <Text as="h2" variant="headingMd">Endpoints</Text>
+                <Text as="p" tone="subdued">
+                  {`Send the key as 'Authorization: Bearer <key>' to ${apiBaseUrl}. Bodies and responses are JSON; IDs may be GIDs or plain numbers.`}
+                </Text>
+                {ENDPOINTS.map(endpoint => (
+                  <BlockStack gap="100" key={endpoint.path}>
+                    <InlineStack gap="200" blockAlign="center">
+                      <Badge tone={endpoint.method === "POST" ? "attention" : "info"}>{endpoint.method}</Badge>
+                      <Text as="span" fontWeight="bold">{`${apiBaseUrl}${endpoint.path}`}</Text>
+                    </InlineStack>
+                    <Text as="p" tone="subdued">{endpoint.detail}</Text>
+                  </BlockStack>
+                ))}
+              </BlockStack>
+            </Card>
+          </Layout.Section>
+        </Layout>
+      </BlockStack>
+    </Page>
+  );
+}
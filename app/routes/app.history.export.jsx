@@ -0,0 +1,16 @@
+import { authenticate } from "../shopify.server";
+import { parseAuditLogFilters, exportAuditLogCsv } from "../models/AuditLog.server";
+
+// Loader: the filtered activity history as a CSV download
+export const loader = async ({ request }) => {
+  const { session } = await authenticate.admin(request);
+  const filters = parseAuditLogFilters(new URL(request.url).searchParams);
+  const csv = await exportAuditLogCsv(session.shop, filters);
+
+  return new Response(csv, {
+    headers: {
+      "Content-Type": "text/csv; charset=utf-8",
+      "Content-Disposition": `attachment; filename="activity-history-${new Date().toISOString().slice(0, 10)}.csv"`,
+    },
+  });
+};
@@ -0,0 +1,318 @@
+import { useEffect, useState } from "react";
+import { useActionData, useLoaderData, useNavigate, useNavigation, useSearchParams, useSubmit } from "react-router";
+import {
+  Page,
+  Layout,
+  Text,
+  Card,
+  Button,
+  BlockStack,
+  Select,
+  Banner,
+  Box,
+  InlineStack,
+  InlineGrid,
+  Badge,
+  TextField,
+  IndexTable,
+  Modal
+} from "@shopify/polaris";
+import { authenticate } from "../shopify.server";
+import {
+  HISTORY_PAGE_SIZE,
+  parseAuditLogFilters,
+  getAuditLogPage,
+  getAuditLogFilterOptions,
+  actorFromSession,
+} from "../models/AuditLog.server";
+import { enqueueUndoJob } from "../services/jobs.server";
+
+// Loader: one page of the activity history, filtered on the server
+export const loader = async ({ request }) => {
+  const { session } = await authenticate.admin(request);
+  const searchParams = new URL(request.url).searchParams;
+  const filters = parseAuditLogFilters(searchParams);
+  const page = Math.max(Number(searchParams.get("page")) || 1, 1);
+
+  const { logs, total } = await getAuditLogPage(session.shop, filters, page);
+  const { actions, actors } = await getAuditLogFilterOptions(session.shop);
+
+  return {
+    filters,
+    page,
+    totalPages: Math.max(Math.ceil(total / HISTORY_PAGE_SIZE), 1),
+    total,
+    actions,
+    actors,
+    logs: logs.map(({ _count, ...log }) => ({
+      ...log,
+      orderCount: _count.orders,
+      createdAt: log.createdAt.toISOString(),
+      undoneAt: log.undoneAt?.toISOString() || null
+    }))
+  };
+};
+
+export const action = async ({ request }) => {
+  const { session, sessionToken } = await authenticate.admin(request);
+  const formData = await request.formData();
+
+  if (formData.get("intent") === "undo") {
+    // Holding many orders again takes several Admin API calls each, so it runs as a background job
+    const { job, error } = await enqueueUndoJob(
+      session.shop,
+      Number(formData.get("id")),
+      actorFromSession(session, sessionToken)
+    );
+    if (error) return { status: "error", message: error };
+
+    return { status: "success", message: `Queued putting ${job.total} orders back on hold.`, jobId: job.id };
+  }
+
+  return null;
+};
+
+// UI components
+export default function History() {
+  const { filters, page, totalPages, total, actions, actors, logs } = useLoaderData();
+  const actionData = useActionData();
+  const submit = useSubmit();
+  const navigate = useNavigate();
+  const nav = useNavigation();
+  const [searchParams, setSearchParams] = useSearchParams();
+
+  const [orderDraft, setOrderDraft] = useState(filters.order);
+  const [exporting, setExporting] = useState(false);
+  const [exportError, setExportError] = useState("");
+  const [undoLog, setUndoLog] = useState(null);
+
+  useEffect(() => setOrderDraft(filters.order), [filters.order]);
+
+  useEffect(() => {
+    if (actionData) setUndoLog(null);
+  }, [actionData]);
+
+  // Any filter change starts again from the first page
+  const setFilter = (key, value) => {
+    const next = new URLSearchParams(searchParams);
+    if (value) next.set(key, value);
+    else next.delete(key);
+    next.delete("page");
+    setSearchParams(next);
+  };
+
+  const goToPage = (nextPage) => {
+    const next = new URLSearchParams(searchParams);
+    next.set("page", String(nextPage));
+    setSearchParams(next);
+  };
+
+  const clearFilters = () => {
+    setOrderDraft("");
+    setSearchParams({});
+  };
+
+  // Fetched rather than linked so the request carries the admin session token
+  const handleExport = async () => {
+    setExporting(true);
+    setExportError("");
+    try {
+      const exportParams = new URLSearchParams(searchParams);
+      exportParams.delete("page");
+      const response = await fetch(`/app/history/export?${exportParams}`);
+      if (!response.ok) throw new Error(`Export failed (${response.status})`);
+
+      const url = URL.createObjectURL(await response.blob());
+      const link = document.createElement("a");
+      link.href = url;
+      link.download = `activity-history-${new Date().toISOString().slice(0, 10)}.csv`;
+      link.click();
+      URL.revokeObjectURL(url);
+    } catch (error) {
+      setExportError(error.message);
+    } finally {
+      setExporting(false);
+    }
+  };
+
+  const handleUndo = () => {
+    const formData = new FormData();
+    formData.append("intent", "undo");
+    formData.append("id", undoLog.id);
+    submit(formData, { method: "POST" });
+  };
+
+  const actorLabel = (log) =>
+    log.actorName || log.actorEmail || (log.actorUserId ? `Staff ${log.actorUserId}` : "Automation");
+
+  const hasFilters = Object.values(filters).some(Boolean);
+  const isLoading = nav.state === "loading";
+  const isUndoing = nav.state === "submitting" && nav.formData?.get("intent") === "undo";
+
+  const rows = logs.map((log, index) => (
+    <IndexTable.Row id={String(log.id)} key={log.id} position={index}>
+      <IndexTable.Cell>
+        <InlineStack gap="200" blockAlign="center">
+          <Text fontWeight="bold" as="span">{log.action}</Text>
+          {log.undoneAt && <Badge>Undone</Badge>}
+        </InlineStack>
+      </IndexTable.Cell>
+      <IndexTable.Cell>
+        <BlockStack gap="100">
+          <Text as="span">{log.description}</Text>
+          {log.filterText && <Text as="span" variant="bodySm" tone="subdued">{`Filter: ${log.filterText}`}</Text>}
+        </BlockStack>
+      </IndexTable.Cell>
+      <IndexTable.Cell>{log.orderCount > 0 ? <Badge>{`${log.orderCount} orders`}</Badge> : ""}</IndexTable.Cell>
+      <IndexTable.Cell>{actorLabel(log)}</IndexTable.Cell>
+      <IndexTable.Cell>{new Date(log.createdAt).toLocaleString()}</IndexTable.Cell>
+      <IndexTable.Cell>
+        {log.undoable && <Button size="slim" onClick={() => setUndoLog(log)}>Undo</Button>}
+      </IndexTable.Cell>
+    </IndexTable.Row>
+  ));
+
+  return (
+    <Page
+      title="Activity History"
+      backAction={{ content: "Dashboard", onAction: () => navigate("/app") }}
+      primaryAction={{ content: "Export CSV", onAction: handleExport, loading: exporting, disabled: total === 0 }}
+    >
+      <BlockStack gap="500">
+        {exportError && (
+          <Banner tone="critical" onDismiss={() => setExportError("")}>{exportError}</Banner>
+        )}
+
+        {actionData?.message && (
+          <Banner
+            tone={actionData.status === "success" ? "success" : actionData.status === "error" ? "critical" : "info"}
+            action={actionData.jobId ? { content: "View results", onAction: () => navigate(`/app/jobs/${actionData.jobId}`) } : undefined}
+          >
+            {actionData.message}
+          </Banner>
+        )}
+
+        {undoLog && (
+          <Modal
+            open
+            onClose={() => setUndoLog(null)}
+            title="Undo this release?"
+            primaryAction={{ content: "Put back on hold", destructive: true, onAction: handleUndo, loading: isUndoing }}
+            secondaryActions={[{ content: "Cancel", onAction: () => setUndoLog(null) }]}
+          >
+            <Modal.Section>
+              <BlockStack gap="200">
+                <Text as="p">{undoLog.description}</Text>
+                <Text as="p" tone="subdued">
+                  The released items go back on hold with their original reason and notes, and the pre-sale tag is
+                  added again. Orders fulfilled since then cannot be undone and are listed in the job results.
+                </Text>
+              </BlockStack>
+            </Modal.Section>
+          </Modal>
+        )}
+
+        <Layout>
+          <Layout.Section>
+            <Card>
+              <BlockStack gap="400">
+                <InlineGrid columns={{ xs: 1, md: 3 }} gap="400">
+                  <Select
+                    label="Action"
+                    options={[
+                      { label: "All actions", value: "" },
+                      ...actions.map(action => ({ label: action, value: action }))
+                    ]}
+                    onChange={(value) => setFilter("action", value)}
+                    value={filters.action}
+                  />
+                  <Select
+                    label="Staff member"
+                    options={[
+                      { label: "Everyone", value: "" },
+                      ...actors.map(actor => ({
+                        label: actor.actorName || actor.actorEmail || `Staff ${actor.actorUserId}`,
+                        value: actor.actorUserId
+                      }))
+                    ]}
+                    onChange={(value) => setFilter("actor", value)}
+                    value={filters.actor}
+                  />
+                  <TextField
+                    label="Order name"
+                    value={orderDraft}
+                    onChange={setOrderDraft}
+                    onBlur={() => setFilter("order", orderDraft.trim())}
+                    clearButton
+                    onClearButtonClick={() => { setOrderDraft(""); setFilter("order", ""); }}
+                    placeholder="#1042"
+                    autoComplete="off"
+                  />
+                </InlineGrid>
+                <InlineGrid columns={{ xs: 1, md: 3 }} gap="400">
+                  <TextField
+                    label="From"
+                    type="date"
+                    value={filters.from}
+                    onChange={(value) => setFilter("from", value)}
+                    autoComplete="off"
+                  />
+                  <TextField
+                    label="To"
+                    type="date"
+                    value={filters.to}
+                    onChange={(value) => setFilter("to", value)}
+                    autoComplete="off"
+                  />
+                  <InlineStack blockAlign="end">
+                    <Button onClick={clearFilters} disabled={!hasFilters}>Clear filters</Button>
+                  </InlineStack>
+                </InlineGrid>
+              </BlockStack>
+            </Card>
+          </Layout.Section>
+
+          <Layout.Section>
+            <Card padding="0">
+              <Box padding="400">
+                <InlineStack align="space-between">
+                  <Text as="h2" variant="headingMd">Entries</Text>
+                  <Text as="span" tone="subdued">{`${total} matching`}</Text>
+                </InlineStack>
+              </Box>
+              {logs.length > 0 ? (
+                <IndexTable
+                  resourceName={{ singular: 'entry', plural: 'entries' }}
+                  itemCount={logs.length}
+                  loading={isLoading}
+                  headings={[
+                    { title: 'Action' },
+                    { title: 'Details' },
+                    { title: 'Orders' },
+                    { title: 'By' },
+                    { title: 'Time' },
+                    { title: '' },
+                  ]}
+                  selectable={false}
+                  pagination={{
+                    hasNext: page < totalPages,
+                    hasPrevious: page > 1,
+                    onNext: () => goToPage(page + 1),
+                    onPrevious: () => goToPage(page - 1),
+                    label: `Page ${page} of ${totalPages}`
+                  }}
+                >
+                  {rows}
+                </IndexTable>
+              ) : (
+                <Box padding="400">
+                  <Text tone="subdued">{hasFilters ? "No activity matches these filters." : "No activity recorded yet."}</Text>
+                </Box>
+              )}
+            </Card>
+          </Layout.Section>
+        </Layout>
+      </BlockStack>
+    </Page>
+  );
+}
@@ -0,0 +1,140 @@
+import { useEffect } from "react";
+import { useLoaderData, useNavigate, useRevalidator } from "react-router";
+import {
+  Page,
+  Layout,
+  Text,
+  Card,
+  Box,
+  BlockStack,
+  InlineStack,
+  IndexTable,
+  Badge,
+  ProgressBar,
+  Banner
+} from "@shopify/polaris";
+import { authenticate } from "../shopify.server";
+import { getJob } from "../services/jobs.server";
+import { JOB_TONES, isActiveJob, jobProgress } from "../utils/jobs";
+
+const RESULT_TONES = {
+  RELEASED: "success",
+  SPLIT: "info",
+  REHELD: "success",
+  PARTIAL: "warning",
+  NOT_REVERSIBLE: "warning",
+  FAILED: "critical"
+};
+
+// Loader: one release job with its per-order results
+export const loader = async ({ request, params }) => {
+  const { session } = await authenticate.admin(request);
+  const job = await getJob(session.shop, Number(params.id));
+
+  if (!job) {
+    throw new Response("Release job not found", { status: 404 });
+  }
+
+  return { job };
+};
+
+// UI components
+export default function JobDetails() {
+  const { job } = useLoaderData();
+  const navigate = useNavigate();
+  const revalidator = useRevalidator();
+
+  const active = isActiveJob(job);
+
+  useEffect(() => {
+    if (!active) return;
+    const timer = setInterval(() => revalidator.revalidate(), 2000);
+    return () => clearInterval(timer);
+  }, [active, revalidator]);
+
+  const partialCount = job.results.filter((result) => result.status === "PARTIAL").length;
+  const notReversibleCount = job.results.filter((result) => result.status === "NOT_REVERSIBLE").length;
+
+  const rows = job.results.map((result, index) => (
+    <IndexTable.Row id={result.orderId} key={result.orderId} position={index}>
+      <IndexTable.Cell>
+        <Text fontWeight="bold" as="span">{result.orderName}</Text>
+      </IndexTable.Cell>
+      <IndexTable.Cell>
+        <Badge tone={RESULT_TONES[result.status]}>{result.status}</Badge>
+      </IndexTable.Cell>
+      <IndexTable.Cell>{result.error || (result.userErrors || []).join("; ")}</IndexTable.Cell>
+    </IndexTable.Row>
+  ));
+
+  return (
+    <Page
+      title={job.description}
+      titleMetadata={<Badge tone={JOB_TONES[job.status]}>{job.status}</Badge>}
+      backAction={{ content: "Release Jobs", onAction: () => navigate("/app/jobs") }}
+    >
+      <Layout>
+        {job.error && (
+          <Layout.Section>
+            <Banner tone="critical">{job.error}</Banner>
+          </Layout.Section>
+        )}
+
+        {!active && (job.failed > 0 || partialCount > 0 || notReversibleCount > 0) && (
+          <Layout.Section>
+            <Banner tone="warning">
+              {job.action === "UNDO"
+                ? "Failed orders are not on hold again; undo the release again from the activity history to retry them. " +
+                  "Orders fulfilled since the release cannot be held again."
+                : "Failed orders are still on hold and can be released again from the dashboard. " +
+                  "Orders needing attention were released, but check the reason given for each one."}
+            </Banner>
+          </Layout.Section>
+        )}
+
+        <Layout.Section>
+          <Card>
+            <BlockStack gap="300">
+              <ProgressBar progress={jobProgress(job)} />
+              <InlineStack gap="400">
+                <Text as="span">{`${job.processed} of ${job.total} orders processed`}</Text>
+                <Text as="span" tone="success">{`${job.succeeded} succeeded`}</Text>
+                <Text as="span" tone={job.failed > 0 ? "critical" : "subdued"}>{`${job.failed} failed`}</Text>
+                {partialCount > 0 && <Text as="span" tone="caution">{`${partialCount} need attention`}</Text>}
+                {notReversibleCount > 0 && <Text as="span" tone="caution">{`${notReversibleCount} not reversible`}</Text>}
+                {job.action !== "UNDO" && <Text as="span" tone="subdued">{`${job.splitCount} split`}</Text>}
+              </InlineStack>
+              <Text as="p" tone="subdued">
+                {`Queued ${new Date(job.createdAt).toLocaleString()}`}
+                {job.finishedAt && ` • Finished ${new Date(job.finishedAt).toLocaleString()}`}
+              </Text>
+            </BlockStack>
+          </Card>
+        </Layout.Section>
+
+        <Layout.Section>
+          <Card padding="0">
+            {job.results.length > 0 ? (
+              <IndexTable
+                resourceName={{ singular: 'order', plural: 'orders' }}
+                itemCount={job.results.length}
+                headings={[
+                  { title: 'Order' },
+                  { title: 'Result' },
+                  { title: 'Reason' },
+                ]}
+                selectable={false}
+              >
+                {rows}
+              </IndexTable>
+            ) : (
+              <Box padding="400">
+                <Text tone="subdued">No orders processed yet.</Text>
+              </Box>
+            )}
+          </Card>
+        </Layout.Section>
+      </Layout>
+    </Page>
+  );
+}
@@ -0,0 +1,91 @@
+import { useEffect } from "react";
+import { useLoaderData, useNavigate, useRevalidator } from "react-router";
+import {
+  Page,
+  Layout,
+  Text,
+  Card,
+  Box,
+  IndexTable,
+  Badge,
+  ProgressBar,
+  Button
+} from "@shopify/polaris";
+import { authenticate } from "../shopify.server";
+import { getRecentJobs } from "../services/jobs.server";
+import { JOB_TONES, isActiveJob, jobProgress } from "../utils/jobs";
+
+// Loader: recent release jobs. The dashboard also polls this for live progress.
+export const loader = async ({ request }) => {
+  const { session } = await authenticate.admin(request);
+  return { jobs: await getRecentJobs(session.shop, 20) };
+};
+
+// UI components
+export default function Jobs() {
+  const { jobs } = useLoaderData();
+  const navigate = useNavigate();
+  const revalidator = useRevalidator();
+
+  const hasActiveJobs = jobs.some(isActiveJob);
+
+  // Refresh progress every couple of seconds while anything is still running
+  useEffect(() => {
+    if (!hasActiveJobs) return;
+    const timer = setInterval(() => revalidator.revalidate(), 2000);
+    return () => clearInterval(timer);
+  }, [hasActiveJobs, revalidator]);
+
+  const rows = jobs.map((job, index) => (
+    <IndexTable.Row id={String(job.id)} key={job.id} position={index}>
+      <IndexTable.Cell>
+        <Text fontWeight="bold" as="span">{job.description}</Text>
+      </IndexTable.Cell>
+      <IndexTable.Cell>
+        <Badge tone={JOB_TONES[job.status]}>{job.status}</Badge>
+      </IndexTable.Cell>
+      <IndexTable.Cell>
+        <Box minWidth="120px">
+          <ProgressBar progress={jobProgress(job)} size="small" />
+        </Box>
+      </IndexTable.Cell>
+      <IndexTable.Cell>{`${job.processed}/${job.total} • ${job.succeeded} succeeded • ${job.failed} failed`}</IndexTable.Cell>
+      <IndexTable.Cell>{new Date(job.createdAt).toLocaleString()}</IndexTable.Cell>
+      <IndexTable.Cell>
+        <Button size="slim" onClick={() => navigate(`/app/jobs/${job.id}`)}>Details</Button>
+      </IndexTable.Cell>
+    </IndexTable.Row>
+  ));
+
+  return (
+    <Page title="Release Jobs" backAction={{ content: "Dashboard", onAction: () => navigate("/app") }}>
+      <Layout>
+        <Layout.Section>
+          <Card padding="0">
+            {jobs.length > 0 ? (
+              <IndexTable
+                resourceName={{ singular: 'job', plural: 'jobs' }}
+                itemCount={jobs.length}
+                headings={[
+                  { title: 'Release' },
+                  { title: 'Status' },
+                  { title: 'Progress' },
+                  { title: 'Orders' },
+                  { title: 'Queued' },
+                  { title: '' },
+                ]}
+                selectable={false}
+              >
+                {rows}
+              </IndexTable>
+            ) : (
+              <Box padding="400">
+                <Text tone="subdued">No releases have been queued yet.</Text>
+              </Box>
+            )}
+          </Card>
+        </Layout.Section>
+      </Layout>
+    </Page>
+  );
+}
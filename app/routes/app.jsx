@@ -24,6 +24,14 @@ export default function App() {
         <Link to="/app" rel="home">
           Home
         </Link>
+        <Link to="/app/rules">Pre-Sale Rules</Link>
+        <Link to="/app/allocations">Allocate Stock</Link>
+        <Link to="/app/jobs">Release Jobs</Link>
+        <Link to="/app/analytics">Analytics</Link>
+        <Link to="/app/history">Activity History</Link>
+        <Link to="/app/webhooks">Webhook Events</Link>
+        <Link to="/app/notifications">Notifications</Link>
+        <Link to="/app/api-keys">API Keys</Link>
         <Link to="/app/additional">Additional page</Link>
       </NavMenu>
 
@@ -0,0 +1,383 @@
+import { useEffect, useState } from "react";
+import { useActionData, useLoaderData, useSubmit, useNavigation, useNavigate } from "react-router";
+import {
+  Page,
+  Layout,
+  Text,
+  Card,
+  Button,
+  BlockStack,
+  Banner,
+  Box,
+  InlineStack,
+  Badge,
+  IndexTable,
+  TextField,
+  Select,
+  ChoiceList,
+  Divider
+} from "@shopify/polaris";
+import { authenticate } from "../shopify.server";
+import {
+  getNotificationEndpoints,
+  getNotificationDeliveries,
+  parseNotificationEndpointForm,
+  createNotificationEndpoint,
+  updateNotificationEndpoint,
+  removeNotificationEndpoint
+} from "../models/NotificationEndpoint.server";
+import { getLongHeldAlertDays, setLongHeldAlertDays } from "../models/Configuration.server";
+import { actorFromSession, createAuditLog } from "../models/AuditLog.server";
+import { retryNotificationDelivery, sendTestNotification } from "../services/notifications.server";
+import { NOTIFICATION_EVENTS, NOTIFICATION_FORMATS, DELIVERY_TONES, eventLabel } from "../utils/notifications";
+
+const EMPTY_FORM = { name: "", url: "", format: "JSON", events: NOTIFICATION_EVENTS.map(e => e.value) };
+
+// Loader: the shop's endpoints, the long-held threshold and the latest deliveries
+export const loader = async ({ request }) => {
+  const { session } = await authenticate.admin(request);
+  const [endpoints, deliveries, longHeldAlertDays] = await Promise.all([
+    getNotificationEndpoints(session.shop),
+    getNotificationDeliveries(session.shop),
+    getLongHeldAlertDays(session.shop)
+  ]);
+
+  return {
+    longHeldAlertDays,
+    endpoints: endpoints.map(e => ({ ...e, createdAt: e.createdAt.toISOString() })),
+    deliveries: deliveries.map(d => ({
+      ...d,
+      endpointName: d.endpoint.name,
+      createdAt: d.createdAt.toISOString(),
+      nextAttemptAt: d.nextAttemptAt.toISOString(),
+      deliveredAt: d.deliveredAt?.toISOString() || null
+    }))
+  };
+};
+
+export const action = async ({ request }) => {
+  const { session, sessionToken } = await authenticate.admin(request);
+  const actor = actorFromSession(session, sessionToken);
+  const formData = await request.formData();
+  const intent = formData.get("intent");
+
+  if (intent === "add_endpoint") {
+    const { endpoint, errors } = await parseNotificationEndpointForm(formData);
+    if (errors) {
+      return { status: "error", message: Object.values(errors).join(". "), errors };
+    }
+
+    await createNotificationEndpoint(session.shop, endpoint);
+
+    await createAuditLog(session.shop, {
+      action: "SETTINGS",
+      description: `Added notification endpoint '${endpoint.name}' (${endpoint.format}) for ${endpoint.events.map(eventLabel).join(", ")}`,
+      actor,
+      intent
+    });
+
+    return { status: "success", message: `Notifications are now sent to '${endpoint.name}'.`, added: true };
+  }
+
+  if (intent === "toggle_endpoint") {
+    const id = Number(formData.get("id"));
+    const name = formData.get("name");
+    const enabled = formData.get("enabled") === "true";
+    const updated = await updateNotificationEndpoint(session.shop, id, { enabled });
+    if (!updated) {
+      return { status: "error", message: "That endpoint no longer exists." };
+    }
+
+    await createAuditLog(session.shop, {
+      action: "SETTINGS",
+      description: `${enabled ? "Enabled" : "Disabled"} notification endpoint '${name}'`,
+      actor,
+      intent
+    });
+
+    return { status: "success", message: `${enabled ? "Enabled" : "Disabled"} '${name}'.` };
+  }
+
+  if (intent === "remove_endpoint") {
+    const id = Number(formData.get("id"));
+    const name = formData.get("name");
+    const removed = await removeNotificationEndpoint(session.shop, id);
+    if (!removed) {
+      return { status: "error", message: "That endpoint no longer exists." };
+    }
+
+    await createAuditLog(session.shop, {
+      action: "SETTINGS",
+      description: `Removed notification endpoint '${name}'`,
+      actor,
+      intent
+    });
+
+    return { status: "success", message: `Removed '${name}' and its delivery log.` };
+  }
+
+  if (intent === "test_endpoint") {
+    const sent = await sendTestNotification(session.shop, Number(formData.get("id")));
+    return sent
+      ? { status: "success", message: "Test notification queued. Its result shows in the delivery log." }
+      : { status: "error", message: "That endpoint no longer exists." };
+  }
+
+  if (intent === "retry_delivery") {
+    const retried = await retryNotificationDelivery(session.shop, Number(formData.get("id")));
+    return retried
+      ? { status: "success", message: "Sending the notification again." }
+      : { status: "error", message: "Only failed deliveries can be retried." };
+  }
+
+  if (intent === "save_long_held_days") {
+    const days = Number(formData.get("days"));
+    if (!Number.isInteger(days) || days < 1 || days > 365) {
+      return { status: "error", message: "Enter a whole number of days from 1 to 365." };
+    }
+
+    await setLongHeldAlertDays(session.shop, days);
+
+    await createAuditLog(session.shop, {
+      action: "SETTINGS",
+      description: `Set long-held order alerts to ${days} days`,
+      actor,
+      intent
+    });
+
+    return { status: "success", message: `Orders on hold longer than ${days} days will be reported.` };
+  }
+
+  return null;
+};
+
+// UI components
+export default function Notifications() {
+  const { longHeldAlertDays, endpoints, deliveries } = useLoaderData();
+  const actionData = useActionData();
+  const submit = useSubmit();
+  const nav = useNavigation();
+  const navigate = useNavigate();
+
+  const [form, setForm] = useState(EMPTY_FORM);
+  const [days, setDays] = useState(String(longHeldAlertDays));
+  const submittingIntent = nav.state === "submitting" ? nav.formData?.get("intent") : null;
+  const submittingId = Number(nav.formData?.get("id"));
+
+  useEffect(() => { if (actionData?.added) setForm(EMPTY_FORM); }, [actionData]);
+
+  const setField = (field) => (value) => setForm(f => ({ ...f, [field]: value }));
+
+  const post = (intent, fields = {}) => {
+    const formData = new FormData();
+    formData.append("intent", intent);
+    Object.entries(fields).forEach(([key, value]) => formData.append(key, value));
+    submit(formData, { method: "POST" });
+  };
+
+  const handleAdd = () => post("add_endpoint", { ...form, events: JSON.stringify(form.events) });
+
+  const deliveryRows = deliveries.map((delivery, index) => (
+    <IndexTable.Row id={String(delivery.id)} key={delivery.id} position={index}>
+      <IndexTable.Cell>{new Date(delivery.createdAt).toLocaleString()}</IndexTable.Cell>
+      <IndexTable.Cell>
+        <Text fontWeight="bold" as="span">{delivery.endpointName}</Text>
+      </IndexTable.Cell>
+      <IndexTable.Cell>{delivery.event === "test" ? "Test" : eventLabel(delivery.event)}</IndexTable.Cell>
+      <IndexTable.Cell>
+        <Badge tone={DELIVERY_TONES[delivery.status]}>{delivery.status}</Badge>
+      </IndexTable.Cell>
+      <IndexTable.Cell>{delivery.attempts}</IndexTable.Cell>
+      <IndexTable.Cell>
+        {delivery.status === "PENDING" && delivery.attempts > 0
+          ? `Next try ${new Date(delivery.nextAttemptAt).toLocaleTimeString()}`
+          : delivery.responseStatus ?? "—"}
+      </IndexTable.Cell>
+      <IndexTable.Cell>
+        <Text tone="critical" as="span">{delivery.error || ""}</Text>
+      </IndexTable.Cell>
+      <IndexTable.Cell>
+        {delivery.status === "FAILED" && (
+          <Button
+            size="slim"
+            onClick={() => post("retry_delivery", { id: delivery.id })}
+            loading={submittingIntent === "retry_delivery" && submittingId === delivery.id}
+          >
+            Retry
+          </Button>
+        )}
+      </IndexTable.Cell>
+    </IndexTable.Row>
+  ));
+
+  return (
+    <Page title="Notifications" backAction={{ content: "Dashboard", onAction: () => navigate("/app") }}>
+      <BlockStack gap="500">
+        {actionData?.message && (
+          <Banner tone={actionData.status === "success" ? "success" : "critical"}>
+            {actionData.message}
+          </Banner>
+        )}
+
+        <Layout>
+          <Layout.AnnotatedSection
+            title="Endpoints"
+            description="Pre-sale events are posted to these URLs as they happen. JSON deliveries are signed; Slack endpoints get a plain message."
+          >
+            <BlockStack gap="400">
+              {endpoints.map(endpoint => (
+                <Card key={endpoint.id}>
+                  <BlockStack gap="300">
+                    <InlineStack align="space-between" blockAlign="center">
+                      <InlineStack gap="200" blockAlign="center">
+                        <Text as="h3" variant="headingSm">{endpoint.name}</Text>
+                        <Badge>{NOTIFICATION_FORMATS.find(f => f.value === endpoint.format)?.label}</Badge>
+                        {!endpoint.enabled && <Badge tone="warning">Disabled</Badge>}
+                      </InlineStack>
+                      <InlineStack gap="200">
+                        <Button
+                          size="slim"
+                          onClick={() => post("test_endpoint", { id: endpoint.id })}
+                          loading={submittingIntent === "test_endpoint" && submittingId === endpoint.id}
+                        >
+                          Send test
+                        </Button>
+                        <Button
+                          size="slim"
+                          onClick={() => post("toggle_endpoint", { id: endpoint.id, name: endpoint.name, enabled: String(!endpoint.enabled) })}
+                          loading={submittingIntent === "toggle_endpoint" && submittingId === endpoint.id}
+                        >
+                          {endpoint.enabled ? "Disable" : "Enable"}
+                        </Button>
+                        <Button
+                          size="slim"
+                          tone="critical"
+                          onClick={() => post("remove_endpoint", { id: endpoint.id, name: endpoint.name })}
+                          loading={submittingIntent === "remove_endpoint" && submittingId === endpoint.id}
+                        >
+                          Remove
+                        </Button>
+                      </InlineStack>
+                    </InlineStack>
+                    <Text as="p" tone="subdued" breakWord>{endpoint.url}</Text>
+                    <Text as="p">{endpoint.events.map(eventLabel).join(", ")}</Text>
+                    {endpoint.format === "JSON" && (
+                      <Text as="p" variant="bodySm" tone="subdued" breakWord>
+                        {`Signing secret: ${endpoint.secret}. Each request carries X-Chronosplit-Signature: sha256=<hex>, ` +
+                          "an HMAC-SHA256 of the X-Chronosplit-Timestamp value, a dot and the raw body."}
+                      </Text>
+                    )}
+                  </BlockStack>
+                </Card>
+              ))}
+
+              <Card>
+                <BlockStack gap="300">
+                  <Text as="h3" variant="headingSm">Add an endpoint</Text>
+                  <TextField
+                    label="Name"
+                    value={form.name}
+                    onChange={setField("name")}
+                    placeholder="e.g. #ops Slack channel"
+                    autoComplete="off"
+                    error={actionData?.errors?.name}
+                  />
+                  <TextField
+                    label="URL"
+                    value={form.url}
+                    onChange={setField("url")}
+                    placeholder="https://hooks.slack.com/services/…"
+                    autoComplete="off"
+                    error={actionData?.errors?.url}
+                  />
+                  <Select
+                    label="Format"
+                    options={NOTIFICATION_FORMATS}
+                    onChange={setField("format")}
+                    value={form.format}
+                    error={actionData?.errors?.format}
+                  />
+                  <ChoiceList
+                    allowMultiple
+                    title="Events"
+                    choices={NOTIFICATION_EVENTS.map(e => ({ label: e.label, value: e.value, helpText: e.helpText }))}
+                    selected={form.events}
+                    onChange={setField("events")}
+                    error={actionData?.errors?.events}
+                  />
+                  <InlineStack align="end">
+                    <Button variant="primary" onClick={handleAdd} loading={submittingIntent === "add_endpoint"}>
+                      Add endpoint
+                    </Button>
+                  </InlineStack>
+                </BlockStack>
+              </Card>
+            </BlockStack>
+          </Layout.AnnotatedSection>
+
+          <Layout.AnnotatedSection
+            title="Long-held orders"
+            description="Orders on hold longer than this are reported once to endpoints with the long-held event."
+          >
+            <Card>
+              <InlineStack gap="300" blockAlign="end">
+                <TextField
+                  label="Alert after (days)"
+                  type="number"
+                  min={1}
+                  max={365}
+                  value={days}
+                  onChange={setDays}
+                  autoComplete="off"
+                />
+                <Button onClick={() => post("save_long_held_days", { days })} loading={submittingIntent === "save_long_held_days"}>
+                  Save
+                </Button>
+              </InlineStack>
+            </Card>
+          </Layout.AnnotatedSection>
+
+          <Layout.Section>
+            <Divider />
+          </Layout.Section>
+
+          <Layout.Section>
+            <Card padding="0">
+              <Box padding="400">
+                <BlockStack gap="100">
+                  <Text as="h2" variant="headingMd">Delivery log</Text>
+                  <Text as="p" tone="subdued">
+                    Failed deliveries are tried again after 1, 5, 30, 120 and 360 minutes before they give up.
+                  </Text>
+                </BlockStack>
+              </Box>
+              {deliveries.length > 0 ? (
+                <IndexTable
+                  resourceName={{ singular: 'delivery', plural: 'deliveries' }}
+                  itemCount={deliveries.length}
+                  headings={[
+                    { title: 'Time' },
+                    { title: 'Endpoint' },
+                    { title: 'Event' },
+                    { title: 'Status' },
+                    { title: 'Attempts' },
+                    { title: 'Response' },
+                    { title: 'Error' },
+                    { title: '' },
+                  ]}
+                  selectable={false}
+                >
+                  {deliveryRows}
+                </IndexTable>
+              ) : (
+                <Box padding="400">
+                  <Text tone="subdued">Nothing sent yet.</Text>
+                </Box>
+              )}
+            </Card>
+          </Layout.Section>
+        </Layout>
+      </BlockStack>
+    </Page>
+  );
+}
@@ -0,0 +1,515 @@
+import { useEffect, useState } from "react";
+import { useActionData, useLoaderData, useSubmit, useNavigation, useNavigate } from "react-router";
+import {
+  Page,
+  Layout,
+  Text,
+  Card,
+  Button,
+  BlockStack,
+  Select,
+  Banner,
+  Box,
+  InlineStack,
+  Badge,
+  ButtonGroup,
+  TextField,
+  ChoiceList,
+  Checkbox,
+  IndexTable
+} from "@shopify/polaris";
+import { authenticate } from "../shopify.server";
+import { graphqlWithRetry } from "../services/graphql.server";
+import { getFailedScheduledRuns, retryScheduledRelease } from "../services/scheduler.server";
+import { actorFromSession, createAuditLog } from "../models/AuditLog.server";
+import {
+  HOLD_SCOPES,
+  getPresaleRules,
+  createPresaleRule,
+  updatePresaleRule,
+  deletePresaleRule,
+  parsePresaleRuleForm,
+} from "../models/PresaleRule.server";
+
+// Loader: rules plus the locations and collections they can refer to
+export const loader = async ({ request }) => {
+  const { admin, session } = await authenticate.admin(request);
+
+  const data = await graphqlWithRetry(
+    admin,
+    `#graphql
+      query {
+        shop { ianaTimezone }
+        locations(first: 20) { nodes { id name } }
+        collections(first: 100, sortKey: TITLE) { nodes { id title } }
+      }
+    `
+  );
+
+  const rules = await getPresaleRules(session.shop);
+  const failedRuns = await getFailedScheduledRuns(session.shop);
+
+  return {
+    shopTimezone: data.shop.ianaTimezone,
+    timezones: Intl.supportedValuesOf("timeZone"),
+    locations: data.locations.nodes,
+    collections: data.collections.nodes,
+    rules: rules.map(rule => ({
+      ...rule,
+      startsAt: rule.startsAt?.toISOString() || null,
+      endsAt: rule.endsAt?.toISOString() || null,
+      releaseAt: rule.releaseAt?.toISOString() || null,
+      releasedAt: rule.releasedAt?.toISOString() || null,
+      // A scheduled release that gave up stays failed until it is retried
+      failedRelease: failedRuns.has(rule.id)
+        ? { error: failedRuns.get(rule.id).error, attempts: failedRuns.get(rule.id).attempts }
+        : null,
+      createdAt: rule.createdAt.toISOString(),
+      updatedAt: rule.updatedAt.toISOString()
+    }))
+  };
+};
+
+export const action = async ({ request }) => {
+  const { session, sessionToken } = await authenticate.admin(request);
+  const actor = actorFromSession(session, sessionToken);
+  const formData = await request.formData();
+  const intent = formData.get("intent");
+
+  if (intent === "create" || intent === "update") {
+    const { data, errors } = parsePresaleRuleForm(formData);
+    if (errors) {
+      return { status: "error", message: Object.values(errors).join(". "), errors };
+    }
+
+    if (intent === "create") {
+      await createPresaleRule(session.shop, data);
+    } else {
+      const updated = await updatePresaleRule(session.shop, Number(formData.get("id")), data);
+      if (!updated) return { status: "error", message: "That rule no longer exists." };
+    }
+
+    await createAuditLog(session.shop, {
+      action: "SETTINGS",
+      description: `${intent === "create" ? "Created" : "Updated"} pre-sale rule '${data.name}'`,
+      actor,
+      intent
+    });
+
+    return { status: "success", message: `Rule '${data.name}' saved.` };
+  }
+
+  if (intent === "toggle") {
+    const enabled = formData.get("enabled") === "true";
+    const updated = await updatePresaleRule(session.shop, Number(formData.get("id")), { enabled });
+    if (!updated) return { status: "error", message: "That rule no longer exists." };
+
+    await createAuditLog(session.shop, {
+      action: "SETTINGS",
+      description: `${enabled ? "Enabled" : "Disabled"} pre-sale rule '${formData.get("name")}'`,
+      actor,
+      intent
+    });
+
+    return { status: "success", message: `Rule ${enabled ? "enabled" : "disabled"}.` };
+  }
+
+  if (intent === "retry_release") {
+    const retried = await retryScheduledRelease(session.shop, Number(formData.get("id")));
+    if (!retried) return { status: "error", message: "That scheduled release is not failed any more." };
+
+    await createAuditLog(session.shop, {
+      action: "SCHEDULED_RELEASE",
+      description: `Retried the failed scheduled release for rule '${formData.get("name")}'`,
+      actor,
+      intent
+    });
+
+    return { status: "success", message: "The scheduled release will run again within a minute." };
+  }
+
+  if (intent === "delete") {
+    const deleted = await deletePresaleRule(session.shop, Number(formData.get("id")));
+    if (!deleted) return { status: "error", message: "That rule no longer exists." };
+
+    await createAuditLog(session.shop, {
+      action: "SETTINGS",
+      description: `Deleted pre-sale rule '${formData.get("name")}'`,
+      actor,
+      intent
+    });
+
+    return { status: "success", message: "Rule deleted. Existing holds are left untouched." };
+  }
+
+  return null;
+};
+
+const EMPTY_FORM = {
+  id: null,
+  name: "",
+  enabled: true,
+  holdScope: HOLD_SCOPES.LINE_ITEMS,
+  productTags: "",
+  variantIds: "",
+  skus: "",
+  collectionIds: [],
+  locationIds: [],
+  startsAt: "",
+  endsAt: "",
+  releaseAt: "",
+  releaseTimezone: "",
+  releaseUnitsPerLine: ""
+};
+
+// The same instant as wall-clock time in the timezone the rule's dates were entered in,
+// in the datetime-local format, without seconds
+const toZonedInput = (iso, timeZone) => {
+  if (!iso) return "";
+  const parts = Object.fromEntries(
+    new Intl.DateTimeFormat("en-US", {
+      timeZone,
+      hourCycle: "h23",
+      year: "numeric",
+      month: "2-digit",
+      day: "2-digit",
+      hour: "2-digit",
+      minute: "2-digit"
+    }).formatToParts(new Date(iso)).map(part => [part.type, part.value])
+  );
+  return `${parts.year}-${parts.month}-${parts.day}T${parts.hour}:${parts.minute}`;
+};
+
+// UI components
+export default function Rules() {
+  const { shopTimezone, timezones, locations, collections, rules } = useLoaderData();
+  const actionData = useActionData();
+  const submit = useSubmit();
+  const nav = useNavigation();
+  const navigate = useNavigate();
+
+  const [form, setForm] = useState(EMPTY_FORM);
+  const isLoading = nav.state === "submitting";
+
+  useEffect(() => { if (actionData?.status === "success") setForm(EMPTY_FORM); }, [actionData]);
+
+  const setField = (field) => (value) => setForm(f => ({ ...f, [field]: value }));
+
+  const locationNames = Object.fromEntries(locations.map(l => [l.id, l.name]));
+  const collectionNames = Object.fromEntries(collections.map(c => [c.id, c.title]));
+
+  const handleEdit = (rule) => {
+    setForm({
+      id: rule.id,
+      name: rule.name,
+      enabled: rule.enabled,
+      holdScope: rule.holdScope,
+      productTags: rule.productTags.join(", "),
+      variantIds: rule.variantIds.map(id => id.split('/').pop()).join(", "),
+      skus: rule.skus.join(", "),
+      collectionIds: rule.collectionIds,
+      locationIds: rule.locationIds,
+      startsAt: toZonedInput(rule.startsAt, rule.releaseTimezone || shopTimezone),
+      endsAt: toZonedInput(rule.endsAt, rule.releaseTimezone || shopTimezone),
+      releaseAt: toZonedInput(rule.releaseAt, rule.releaseTimezone || shopTimezone),
+      releaseTimezone: rule.releaseTimezone || "",
+      releaseUnitsPerLine: rule.releaseUnitsPerLine ? String(rule.releaseUnitsPerLine) : ""
+    });
+  };
+
+  const handleSave = () => {
+    const formData = new FormData();
+    formData.append("intent", form.id ? "update" : "create");
+    if (form.id) formData.append("id", form.id);
+    formData.append("name", form.name);
+    formData.append("enabled", String(form.enabled));
+    formData.append("holdScope", form.holdScope);
+    formData.append("productTags", form.productTags);
+    formData.append("variantIds", form.variantIds);
+    formData.append("skus", form.skus);
+    formData.append("collectionIds", JSON.stringify(form.collectionIds));
+    formData.append("locationIds", JSON.stringify(form.locationIds));
+    // Dates stay wall-clock time; the server resolves them in the chosen timezone
+    formData.append("startsAt", form.startsAt);
+    formData.append("endsAt", form.endsAt);
+    formData.append("releaseAt", form.releaseAt);
+    formData.append("releaseTimezone", form.releaseTimezone || shopTimezone);
+    formData.append("releaseUnitsPerLine", form.releaseUnitsPerLine);
+    submit(formData, { method: "POST" });
+  };
+
+  const handleToggle = (rule) => {
+    const formData = new FormData();
+    formData.append("intent", "toggle");
+    formData.append("id", rule.id);
+    formData.append("name", rule.name);
+    formData.append("enabled", String(!rule.enabled));
+    submit(formData, { method: "POST" });
+  };
+
+  const handleRetry = (rule) => {
+    const formData = new FormData();
+    formData.append("intent", "retry_release");
+    formData.append("id", rule.id);
+    formData.append("name", rule.name);
+    submit(formData, { method: "POST" });
+  };
+
+  const handleDelete = (rule) => {
+    const formData = new FormData();
+    formData.append("intent", "delete");
+    formData.append("id", rule.id);
+    formData.append("name", rule.name);
+    submit(formData, { method: "POST" });
+  };
+
+  const describeConditions = (rule) => {
+    const parts = [];
+    if (rule.productTags.length) parts.push(`Tags: ${rule.productTags.join(", ")}`);
+    if (rule.variantIds.length) parts.push(`Variants: ${rule.variantIds.map(id => id.split('/').pop()).join(", ")}`);
+    if (rule.skus.length) parts.push(`SKUs: ${rule.skus.join(", ")}`);
+    if (rule.collectionIds.length) parts.push(`Collections: ${rule.collectionIds.map(id => collectionNames[id] || id).join(", ")}`);
+    if (rule.locationIds.length) parts.push(`Locations: ${rule.locationIds.map(id => locationNames[id] || id).join(", ")}`);
+    return parts.join(" • ");
+  };
+
+  const describeWindow = (rule) => {
+    if (!rule.startsAt && !rule.endsAt) return "Always";
+    const timeZone = rule.releaseTimezone || undefined;
+    const from = rule.startsAt ? new Date(rule.startsAt).toLocaleString(undefined, { timeZone }) : "now";
+    const until = rule.endsAt ? new Date(rule.endsAt).toLocaleString(undefined, { timeZone }) : "no end";
+    return `${from} → ${until}${rule.releaseTimezone ? ` (${rule.releaseTimezone})` : ""}`;
+  };
+
+  const describeLaunch = (rule) => {
+    if (!rule.releaseAt) return <Text tone="subdued" as="span">Manual</Text>;
+    const when = new Date(rule.releaseAt).toLocaleString(undefined, { timeZone: rule.releaseTimezone || undefined });
+    if (rule.failedRelease) {
+      return (
+        <BlockStack gap="100">
+          <InlineStack gap="100">
+            <Text as="span">{when} ({rule.releaseTimezone})</Text>
+            <Badge tone="critical">Failed</Badge>
+          </InlineStack>
+          <Text as="span" tone="subdued">
+            Gave up after {rule.failedRelease.attempts} attempts: {rule.failedRelease.error}
+          </Text>
+        </BlockStack>
+      );
+    }
+    return (
+      <InlineStack gap="100">
+        <Text as="span">{when} ({rule.releaseTimezone})</Text>
+        <Badge tone={rule.releasedAt ? "success" : "info"}>{rule.releasedAt ? "Released" : "Scheduled"}</Badge>
+      </InlineStack>
+    );
+  };
+
+  const ruleRows = rules.map((rule, index) => (
+    <IndexTable.Row id={String(rule.id)} key={rule.id} position={index}>
+      <IndexTable.Cell>
+        <Text fontWeight="bold" as="span">{rule.name}</Text>
+      </IndexTable.Cell>
+      <IndexTable.Cell>{describeConditions(rule)}</IndexTable.Cell>
+      <IndexTable.Cell>{rule.holdScope === HOLD_SCOPES.FULFILLMENT_ORDER ? "Whole shipment" : "Matching items"}</IndexTable.Cell>
+      <IndexTable.Cell>{describeWindow(rule)}</IndexTable.Cell>
+      <IndexTable.Cell>{describeLaunch(rule)}</IndexTable.Cell>
+      <IndexTable.Cell>
+        <Badge tone={rule.enabled ? "success" : undefined}>{rule.enabled ? "On" : "Off"}</Badge>
+      </IndexTable.Cell>
+      <IndexTable.Cell>
+        <ButtonGroup>
+          <Button size="slim" onClick={() => handleEdit(rule)}>Edit</Button>
+          {rule.failedRelease && (
+            <Button size="slim" onClick={() => handleRetry(rule)} disabled={isLoading}>Retry Release</Button>
+          )}
+          <Button size="slim" onClick={() => handleToggle(rule)} disabled={isLoading}>
+            {rule.enabled ? "Turn Off" : "Turn On"}
+          </Button>
+          <Button size="slim" tone="critical" onClick={() => handleDelete(rule)} disabled={isLoading}>Delete</Button>
+        </ButtonGroup>
+      </IndexTable.Cell>
+    </IndexTable.Row>
+  ));
+
+  return (
+    <Page title="Pre-Sale Rules" backAction={{ content: "Dashboard", onAction: () => navigate("/app") }}>
+      <BlockStack gap="500">
+        {actionData?.message && (
+          <Banner tone={actionData.status === "success" ? "success" : "critical"}>
+            {actionData.message}
+          </Banner>
+        )}
+
+        <Layout>
+          {/* Rule list */}
+          <Layout.Section>
+            <Card padding="0">
+              <Box padding="400">
+                <BlockStack gap="100">
+                  <Text as="h2" variant="headingMd">Rules</Text>
+                  <Text as="p" tone="subdued">
+                    New orders are held when a line item matches every condition of an enabled rule.
+                    Shipments from pre-sale locations on the dashboard are always held in full.
+                  </Text>
+                </BlockStack>
+              </Box>
+              {rules.length > 0 ? (
+                <IndexTable
+                  resourceName={{ singular: 'rule', plural: 'rules' }}
+                  itemCount={rules.length}
+                  headings={[
+                    { title: 'Name' },
+                    { title: 'Conditions' },
+                    { title: 'Holds' },
+                    { title: 'Active' },
+                    { title: 'Launch' },
+                    { title: 'Status' },
+                    { title: '' },
+                  ]}
+                  selectable={false}
+                >
+                  {ruleRows}
+                </IndexTable>
+              ) : (
+                <Box padding="400">
+                  <Text tone="subdued">No rules yet.</Text>
+                </Box>
+              )}
+            </Card>
+          </Layout.Section>
+
+          {/* Rule editor */}
+          <Layout.Section>
+            <Card>
+              <BlockStack gap="400">
+                <Text as="h2" variant="headingMd">{form.id ? `Edit '${form.name}'` : "New Rule"}</Text>
+                <TextField
+                  label="Name"
+                  value={form.name}
+                  onChange={setField("name")}
+                  error={actionData?.errors?.name}
+                  placeholder="e.g. FW26 Pre-Order"
+                  autoComplete="off"
+                />
+                <Select
+                  label="What to hold"
+                  options={[
+                    { label: "Only the matching line items", value: HOLD_SCOPES.LINE_ITEMS },
+                    { label: "The whole shipment containing them", value: HOLD_SCOPES.FULFILLMENT_ORDER }
+                  ]}
+                  onChange={setField("holdScope")}
+                  value={form.holdScope}
+                />
+                {actionData?.errors?.conditions && (
+                  <Text tone="critical">{actionData.errors.conditions}</Text>
+                )}
+                <TextField
+                  label="Product tags"
+                  value={form.productTags}
+                  onChange={setField("productTags")}
+                  placeholder="presale-fw26, coming-soon"
+                  helpText="Matches products carrying any of these tags."
+                  autoComplete="off"
+                />
+                <TextField
+                  label="Variant IDs"
+                  value={form.variantIds}
+                  onChange={setField("variantIds")}
+                  placeholder="44012345678901, 44012345678902"
+                  autoComplete="off"
+                />
+                <TextField
+                  label="SKUs"
+                  value={form.skus}
+                  onChange={setField("skus")}
+                  placeholder="BOARD-FW26-152, BOARD-FW26-158"
+                  autoComplete="off"
+                />
+                {collections.length > 0 && (
+                  <ChoiceList
+                    allowMultiple
+                    title="Collections"
+                    choices={collections.map(c => ({ label: c.title, value: c.id }))}
+                    selected={form.collectionIds}
+                    onChange={setField("collectionIds")}
+                    error={actionData?.errors?.collectionIds}
+                  />
+                )}
+                <ChoiceList
+                  allowMultiple
+                  title="Fulfillment locations"
+                  choices={locations.map(l => ({ label: l.name, value: l.id }))}
+                  selected={form.locationIds}
+                  onChange={setField("locationIds")}
+                  error={actionData?.errors?.locationIds}
+                />
+                <InlineStack gap="400">
+                  <TextField
+                    label="Starts"
+                    type="datetime-local"
+                    value={form.startsAt}
+                    onChange={setField("startsAt")}
+                    error={actionData?.errors?.startsAt}
+                    autoComplete="off"
+                  />
+                  <TextField
+                    label="Ends"
+                    type="datetime-local"
+                    value={form.endsAt}
+                    onChange={setField("endsAt")}
+                    error={actionData?.errors?.endsAt}
+                    helpText="Orders placed after this are no longer held."
+                    autoComplete="off"
+                  />
+                </InlineStack>
+                <InlineStack gap="400">
+                  <TextField
+                    label="Launch date"
+                    type="datetime-local"
+                    value={form.releaseAt}
+                    onChange={setField("releaseAt")}
+                    error={actionData?.errors?.releaseAt}
+                    helpText="Held orders matching this rule are released automatically at this time."
+                    autoComplete="off"
+                  />
+                  <Select
+                    label="Timezone"
+                    options={timezones.map(tz => ({ label: tz, value: tz }))}
+                    onChange={setField("releaseTimezone")}
+                    value={form.releaseTimezone || shopTimezone}
+                    error={actionData?.errors?.releaseTimezone}
+                    helpText="The start, end and launch dates are in this timezone."
+                  />
+                  <TextField
+                    label="Units per line at launch"
+                    type="number"
+                    min={1}
+                    value={form.releaseUnitsPerLine}
+                    onChange={setField("releaseUnitsPerLine")}
+                    error={actionData?.errors?.releaseUnitsPerLine}
+                    helpText="Leave empty to ship every unit. The rest stays on hold."
+                    autoComplete="off"
+                  />
+                </InlineStack>
+                <Checkbox label="Enabled" checked={form.enabled} onChange={setField("enabled")} />
+                <Box>
+                  <ButtonGroup>
+                    <Button
+                      variant="primary"
+                      onClick={handleSave}
+                      loading={isLoading && ["create", "update"].includes(nav.formData?.get("intent"))}
+                    >
+                      {form.id ? "Save Rule" : "Create Rule"}
+                    </Button>
+                    {form.id && <Button onClick={() => setForm(EMPTY_FORM)}>Cancel</Button>}
+                  </ButtonGroup>
+                </Box>
+              </BlockStack>
+            </Card>
+          </Layout.Section>
+        </Layout>
+      </BlockStack>
+    </Page>
+  );
+}
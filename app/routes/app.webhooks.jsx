@@ -0,0 +1,177 @@
+import { useActionData, useLoaderData, useSubmit, useNavigation, useSearchParams, useNavigate } from "react-router";
+import {
+  Page,
+  Layout,
+  Text,
+  Card,
+  Button,
+  BlockStack,
+  Select,
+  Banner,
+  Box,
+  InlineStack,
+  Badge,
+  IndexTable
+} from "@shopify/polaris";
+import { authenticate } from "../shopify.server";
+import prisma from "../db.server";
+import { replayWebhookEvent, replayableWhere } from "../services/webhooks.server";
+
+const STATUS_TONES = { PROCESSED: "success", FAILED: "critical", PROCESSING: "info" };
+
+// Loader: most recent webhook deliveries, optionally only one status
+export const loader = async ({ request }) => {
+  const { session } = await authenticate.admin(request);
+  const status = new URL(request.url).searchParams.get("status") || "";
+
+  const events = await prisma.webhookEvent.findMany({
+    where: { shop: session.shop, ...(status ? { status } : {}) },
+    orderBy: { receivedAt: "desc" },
+    take: 50,
+    select: {
+      id: true,
+      topic: true,
+      status: true,
+      error: true,
+      attempts: true,
+      receivedAt: true,
+      durationMs: true
+    }
+  });
+
+  const [failedCount, replayable] = await Promise.all([
+    prisma.webhookEvent.count({ where: { shop: session.shop, status: "FAILED" } }),
+    prisma.webhookEvent.findMany({
+      where: { id: { in: events.map(e => e.id) }, ...replayableWhere() },
+      select: { id: true }
+    })
+  ]);
+  const replayableIds = new Set(replayable.map(e => e.id));
+
+  return {
+    failedCount,
+    events: events.map(e => ({ ...e, receivedAt: e.receivedAt.toISOString(), replayable: replayableIds.has(e.id) }))
+  };
+};
+
+export const action = async ({ request }) => {
+  const { session } = await authenticate.admin(request);
+  const formData = await request.formData();
+
+  if (formData.get("intent") === "replay") {
+    const id = formData.get("id");
+    try {
+      await replayWebhookEvent(session.shop, id);
+      return { status: "success", message: "Event replayed successfully." };
+    } catch (error) {
+      return { status: "error", message: `Replay failed: ${error.message}` };
+    }
+  }
+
+  return null;
+};
+
+// UI components
+export default function WebhookEvents() {
+  const { failedCount, events } = useLoaderData();
+  const actionData = useActionData();
+  const submit = useSubmit();
+  const nav = useNavigation();
+  const navigate = useNavigate();
+  const [searchParams, setSearchParams] = useSearchParams();
+
+  const status = searchParams.get("status") || "";
+  const replayingId = nav.state === "submitting" ? nav.formData?.get("id") : null;
+
+  const handleReplay = (id) => {
+    const formData = new FormData();
+    formData.append("intent", "replay");
+    formData.append("id", id);
+    submit(formData, { method: "POST" });
+  };
+
+  const rows = events.map((event, index) => (
+    <IndexTable.Row id={event.id} key={event.id} position={index}>
+      <IndexTable.Cell>
+        <Text fontWeight="bold" as="span">{event.topic}</Text>
+      </IndexTable.Cell>
+      <IndexTable.Cell>
+        <Badge tone={STATUS_TONES[event.status]}>{event.status}</Badge>
+      </IndexTable.Cell>
+      <IndexTable.Cell>{new Date(event.receivedAt).toLocaleString()}</IndexTable.Cell>
+      <IndexTable.Cell>{event.durationMs != null ? `${event.durationMs} ms` : "—"}</IndexTable.Cell>
+      <IndexTable.Cell>{event.attempts}</IndexTable.Cell>
+      <IndexTable.Cell>
+        <Text tone="critical" as="span">{event.error || ""}</Text>
+      </IndexTable.Cell>
+      <IndexTable.Cell>
+        {event.replayable && (
+          <Button size="slim" onClick={() => handleReplay(event.id)} loading={replayingId === event.id}>
+            Replay
+          </Button>
+        )}
+      </IndexTable.Cell>
+    </IndexTable.Row>
+  ));
+
+  return (
+    <Page title="Webhook Events" backAction={{ content: "Dashboard", onAction: () => navigate("/app") }}>
+      <BlockStack gap="500">
+        {actionData?.message && (
+          <Banner tone={actionData.status === "success" ? "success" : "critical"}>
+            {actionData.message}
+          </Banner>
+        )}
+
+        <Layout>
+          <Layout.Section>
+            <Card padding="0">
+              <Box padding="400">
+                <InlineStack align="space-between" blockAlign="center">
+                  <InlineStack gap="200" blockAlign="center">
+                    <Text as="h2" variant="headingMd">Deliveries</Text>
+                    {failedCount > 0 && <Badge tone="critical">{`${failedCount} Failed`}</Badge>}
+                  </InlineStack>
+                  <Select
+                    label="Status"
+                    labelInline
+                    options={[
+                      { label: "All", value: "" },
+                      { label: "Failed", value: "FAILED" },
+                      { label: "Processed", value: "PROCESSED" },
+                      { label: "Processing", value: "PROCESSING" }
+                    ]}
+                    onChange={(value) => setSearchParams(value ? { status: value } : {})}
+                    value={status}
+                  />
+                </InlineStack>
+              </Box>
+              {events.length > 0 ? (
+                <IndexTable
+                  resourceName={{ singular: 'event', plural: 'events' }}
+                  itemCount={events.length}
+                  headings={[
+                    { title: 'Topic' },
+                    { title: 'Status' },
+                    { title: 'Received' },
+                    { title: 'Duration' },
+                    { title: 'Attempts' },
+                    { title: 'Error' },
+                    { title: '' },
+                  ]}
+                  selectable={false}
+                >
+                  {rows}
+                </IndexTable>
+              ) : (
+                <Box padding="400">
+                  <Text tone="subdued">No webhook deliveries recorded.</Text>
+                </Box>
+              )}
+            </Card>
+          </Layout.Section>
+        </Layout>
+      </BlockStack>
+    </Page>
+  );
+}
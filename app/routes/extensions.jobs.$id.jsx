@@ -0,0 +1,13 @@
+import { authenticate } from "../shopify.server";
+import { getJob } from "../services/jobs.server";
+import { apiJob } from "../services/api.server";
+
+// Loader: progress and per-order results of a release job started from an admin extension
+export const loader = async ({ request, params }) => {
+  const { session, cors } = await authenticate.admin(request);
+  const id = Number(params.id);
+  const job = Number.isInteger(id) ? await getJob(session.shop, id) : null;
+  if (!job) return cors(Response.json({ error: "Job not found." }, { status: 404 }));
+
+  return cors(Response.json({ job: apiJob(job) }));
+};
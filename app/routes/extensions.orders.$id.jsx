@@ -0,0 +1,27 @@
+import { authenticate } from "../shopify.server";
+import { actorFromSession } from "../models/AuditLog.server";
+import { getOrderPresaleStatus, releaseOrderFromPage } from "../services/extensions.server";
+
+// Loader: pre-sale status of one order for the order details block
+export const loader = async ({ request, params }) => {
+  const { admin, session, cors } = await authenticate.admin(request);
+
+  return cors(Response.json(await getOrderPresaleStatus(admin, session.shop, params.id)));
+};
+
+// Release the order, or only what is in stock, from the order details block
+export const action = async ({ request, params }) => {
+  const { admin, session, sessionToken, cors } = await authenticate.admin(request);
+  const { intent } = await request.json();
+  if (intent !== "release" && intent !== "ship_available") {
+    return cors(Response.json({ error: "Unknown action." }, { status: 400 }));
+  }
+
+  const { job, error } = await releaseOrderFromPage(admin, session.shop, params.id, {
+    availableOnly: intent === "ship_available",
+    actor: actorFromSession(session, sessionToken),
+  });
+  if (error) return cors(Response.json({ error }, { status: 409 }));
+
+  return cors(Response.json({ jobId: job.id }, { status: 202 }));
+};
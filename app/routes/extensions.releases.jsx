@@ -0,0 +1,49 @@
+import { authenticate } from "../shopify.server";
+import { actorFromSession } from "../models/AuditLog.server";
+import { previewBulkRelease } from "../services/extensions.server";
+import { confirmReleaseJob, discardReleaseJob } from "../services/jobs.server";
+
+// Largest selection the orders list hands to a bulk action
+const MAX_ORDERS = 250;
+
+// Preview, confirm or cancel a release of orders selected in the Shopify orders list
+export const action = async ({ request }) => {
+  const { session, sessionToken, cors } = await authenticate.admin(request);
+  const body = await request.json();
+
+  if (body.intent === "preview") {
+    const orderIds = Array.isArray(body.orderIds) ? body.orderIds.slice(0, MAX_ORDERS) : [];
+    const unitsPerLine = Number(body.unitsPerLine) > 0 ? Math.floor(Number(body.unitsPerLine)) : null;
+    const { job, plan, notHeldCount } = await previewBulkRelease(session.shop, orderIds, {
+      unitsPerLine,
+      actor: actorFromSession(session, sessionToken),
+    });
+
+    return cors(Response.json({
+      jobId: job?.id ?? null,
+      notHeldCount,
+      orders: plan.map(entry => ({
+        orderId: entry.orderId,
+        orderName: entry.orderName,
+        split: entry.fulfillmentOrders.some(fo => fo.split),
+        releasing: entry.fulfillmentOrders.flatMap(fo => fo.lines).map(line => ({ title: line.title, quantity: line.quantity })),
+        keeping: entry.fulfillmentOrders.flatMap(fo => fo.heldLines).map(line => ({ title: line.title, quantity: line.quantity })),
+      })),
+    }));
+  }
+
+  if (body.intent === "confirm") {
+    // A background job does the releasing, the same way a dashboard release does
+    const { job, error } = await confirmReleaseJob(session.shop, Number(body.jobId));
+    if (error) return cors(Response.json({ error }, { status: 409 }));
+
+    return cors(Response.json({ jobId: job.id }, { status: 202 }));
+  }
+
+  if (body.intent === "cancel") {
+    await discardReleaseJob(session.shop, Number(body.jobId));
+    return cors(Response.json({ jobId: null }));
+  }
+
+  return cors(Response.json({ error: "Unknown action." }, { status: 400 }));
+};
@@ -0,0 +1,11 @@
+import { authenticate } from "../shopify.server";
+import { customerDataReport } from "../services/privacy.server";
+
+export const action = async ({ request }) => {
+  const { shop, payload, topic } = await authenticate.webhook(request);
+
+  console.log(`Received ${topic} webhook for ${shop}`);
+  const report = await customerDataReport(shop, payload);
+
+  return Response.json(report);
+};
@@ -0,0 +1,11 @@
+import { authenticate } from "../shopify.server";
+import { redactCustomerData } from "../services/privacy.server";
+
+export const action = async ({ request }) => {
+  const { shop, payload, topic } = await authenticate.webhook(request);
+
+  console.log(`Received ${topic} webhook for ${shop}`);
+  await redactCustomerData(shop, payload);
+
+  return new Response();
+};
@@ -0,0 +1,11 @@
+import { authenticate } from "../shopify.server";
+import { processWebhook } from "../services/webhooks.server";
+
+export const action = async ({ request }) => {
+  const webhook = await authenticate.webhook(request);
+
+  // Failures are recorded on the event ledger and rethrown so Shopify retries
+  await processWebhook(webhook);
+
+  return new Response();
+};
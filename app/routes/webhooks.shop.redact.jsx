@@ -0,0 +1,11 @@
+import { authenticate } from "../shopify.server";
+import { purgeShopData } from "../services/privacy.server";
+
+export const action = async ({ request }) => {
+  const { shop, topic } = await authenticate.webhook(request);
+
+  console.log(`Received ${topic} webhook for ${shop}`);
+  await purgeShopData(shop);
+
+  return new Response();
+};
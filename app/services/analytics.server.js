@@ -0,0 +1,191 @@
+import prisma from "../db.server";
+import { ALL_LOCATIONS, dayOf, heldLineTotals } from "../models/HoldHistory.server";
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const DEFAULT_RANGE_DAYS = 30;
+const MAX_RANGE_DAYS = 366;
+const TOP_PRODUCTS = 25;
+
+// Audit outcomes where at least part of the order shipped
+const RELEASE_OUTCOMES = ["RELEASED", "SPLIT", "PARTIAL"];
+
+// Date.parse rolls days like 2026-02-30 over into the next month, so the day must read back the same
+const isDay = (value) =>
+  /^\d{4}-\d{2}-\d{2}$/.test(value || "") && !isNaN(Date.parse(value)) && dayOf(new Date(value)) === value;
+
+// Date range and location from the analytics page's query string. Days are UTC, as on the
+// history page; the range defaults to the last 30 days and is capped at a year.
+export function parseAnalyticsFilters(searchParams, now = new Date()) {
+  const to = isDay(searchParams.get("to")) ? searchParams.get("to") : dayOf(now);
+  const earliest = dayOf(new Date(Date.parse(to) - (MAX_RANGE_DAYS - 1) * DAY_MS));
+  const from = isDay(searchParams.get("from"))
+    ? searchParams.get("from")
+    : dayOf(new Date(Date.parse(to) - (DEFAULT_RANGE_DAYS - 1) * DAY_MS));
+
+  return {
+    from: from > to ? to : from < earliest ? earliest : from,
+    to,
+    locationId: searchParams.get("location") || "",
+  };
+}
+
+function daysBetween(from, to) {
+  const days = [];
+  for (let time = Date.parse(from); time <= Date.parse(to); time += DAY_MS) days.push(dayOf(new Date(time)));
+  return days;
+}
+
+const rangeWhere = ({ from, to }) => ({ gte: new Date(from), lt: new Date(Date.parse(to) + DAY_MS) });
+
+const average = (values) => (values.length > 0 ? values.reduce((sum, value) => sum + value, 0) / values.length : null);
+
+// Held orders, units and value at the end of each day. Days before the first snapshot, and
+// those still to come, have no figures.
+async function backlogByDay(shop, { from, to, locationId }) {
+  const [snapshots, first] = await Promise.all([
+    prisma.heldBacklogSnapshot.findMany({
+      where: { shop, day: { gte: from, lte: to }, locationId: locationId || ALL_LOCATIONS },
+    }),
+    prisma.heldBacklogSnapshot.findFirst({ where: { shop }, orderBy: { day: "asc" }, select: { day: true } }),
+  ]);
+  const byDay = new Map(snapshots.map((snapshot) => [snapshot.day, snapshot]));
+  const today = dayOf(new Date());
+
+  return daysBetween(from, to).map((day) => {
+    if (!first || day < first.day || day > today) return { day, orders: null, units: null, value: null };
+    const snapshot = byDay.get(day);
+    return { day, orders: snapshot?.orders ?? 0, units: snapshot?.units ?? 0, value: snapshot?.value ?? 0 };
+  });
+}
+
+// Released orders from the audit trail, each with the locations of the fulfillment orders
+// it released. Releases from before hold periods were recorded have no locations.
+async function releasedOrders(shop, range) {
+  const records = await prisma.auditLogOrder.findMany({
+    where: { outcome: { in: RELEASE_OUTCOMES }, auditLog: { shop, createdAt: rangeWhere(range) } },
+    select: { outcome: true, fulfillmentOrderIds: true, auditLog: { select: { createdAt: true } } },
+  });
+
+  const fulfillmentOrderIds = [...new Set(records.flatMap((record) => JSON.parse(record.fulfillmentOrderIds)))];
+  const periods = await prisma.holdPeriod.findMany({
+    where: { fulfillmentOrderId: { in: fulfillmentOrderIds } },
+    select: { fulfillmentOrderId: true, locationId: true },
+  });
+  const locationOf = new Map(periods.map((period) => [period.fulfillmentOrderId, period.locationId]));
+
+  return records.map((record) => ({
+    day: dayOf(record.auditLog.createdAt),
+    outcome: record.outcome,
+    locationIds: [...new Set(JSON.parse(record.fulfillmentOrderIds).map((id) => locationOf.get(id)).filter(Boolean))],
+  }));
+}
+
+function releasesByDay(releases, range) {
+  const days = new Map(daysBetween(range.from, range.to).map((day) => [day, { day, released: 0, full: 0, split: 0 }]));
+  for (const release of releases) {
+    const counts = days.get(release.day);
+    if (!counts) continue;
+    counts.released++;
+    if (release.outcome === "RELEASED") counts.full++;
+    if (release.outcome === "SPLIT") counts.split++;
+  }
+  return [...days.values()];
+}
+
+// Held units and value per product, from what is on hold right now
+function heldByProduct(rows) {
+  const products = new Map();
+  for (const row of rows) {
+    for (const line of JSON.parse(row.lines)) {
+      const key = line.productId || line.title;
+      const product = products.get(key) || { id: key, title: line.title, orderIds: new Set(), units: 0, value: 0 };
+      const { units, value } = heldLineTotals([line]);
+      product.orderIds.add(row.orderId);
+      product.units += units;
+      product.value += value;
+      products.set(key, product);
+    }
+  }
+
+  return [...products.values()]
+    .sort((a, b) => b.value - a.value || b.units - a.units)
+    .slice(0, TOP_PRODUCTS)
+    .map(({ orderIds, ...product }) => ({ ...product, orders: orderIds.size }));
+}
+
+// Everything on the analytics page for one date range, narrowed to a location when one is
+// picked. The per-location breakdown always covers every location.
+export async function getPresaleAnalytics(shop, filters) {
+  const { locationId } = filters;
+  const atLocation = (id) => !locationId || id === locationId;
+
+  const [backlog, releases, heldRows, endedPeriods, openPeriods] = await Promise.all([
+    backlogByDay(shop, filters),
+    releasedOrders(shop, filters),
+    prisma.heldFulfillmentOrder.findMany({
+      where: { shop },
+      select: { orderId: true, locationId: true, lines: true },
+    }),
+    prisma.holdPeriod.findMany({
+      where: { shop, releasedAt: rangeWhere(filters) },
+      select: { locationId: true, heldAt: true, releasedAt: true },
+    }),
+    prisma.holdPeriod.findMany({
+      where: { shop, releasedAt: null },
+      select: { locationId: true, heldAt: true },
+    }),
+  ]);
+
+  const now = Date.now();
+  const holdTimes = endedPeriods
+    .filter((period) => atLocation(period.locationId))
+    .map((period) => period.releasedAt - period.heldAt);
+  const openHoldTimes = openPeriods.filter((period) => atLocation(period.locationId)).map((period) => now - period.heldAt);
+  const releasesHere = releases.filter((release) => !locationId || release.locationIds.includes(locationId));
+  const rowsHere = heldRows.filter((row) => atLocation(row.locationId));
+  const heldTotals = heldLineTotals(rowsHere.flatMap((row) => JSON.parse(row.lines)));
+
+  // Per location: what is held now, what was released in the range and how long holds there lasted
+  const locationIds = [...new Set([
+    ...heldRows.map((row) => row.locationId),
+    ...endedPeriods.map((period) => period.locationId),
+  ].filter(Boolean))];
+  const locations = locationIds.map((id) => {
+    const rows = heldRows.filter((row) => row.locationId === id);
+    const totals = heldLineTotals(rows.flatMap((row) => JSON.parse(row.lines)));
+    return {
+      locationId: id,
+      heldOrders: new Set(rows.map((row) => row.orderId)).size,
+      heldUnits: totals.units,
+      heldValue: totals.value,
+      released: releases.filter((release) => release.locationIds.includes(id)).length,
+      averageHoldMs: average(endedPeriods
+        .filter((period) => period.locationId === id)
+        .map((period) => period.releasedAt - period.heldAt)),
+    };
+  });
+
+  return {
+    held: {
+      orders: new Set(rowsHere.map((row) => row.orderId)).size,
+      units: heldTotals.units,
+      value: heldTotals.value,
+      oldestHoldMs: openHoldTimes.length > 0 ? Math.max(...openHoldTimes) : null,
+    },
+    holdTime: {
+      ended: holdTimes.length,
+      averageMs: average(holdTimes),
+      maxMs: holdTimes.length > 0 ? Math.max(...holdTimes) : null,
+    },
+    releaseTotals: {
+      released: releasesHere.length,
+      full: releasesHere.filter((release) => release.outcome === "RELEASED").length,
+      split: releasesHere.filter((release) => release.outcome === "SPLIT").length,
+      partial: releasesHere.filter((release) => release.outcome === "PARTIAL").length,
+    },
+    backlog,
+    releases: releasesByDay(releasesHere, filters),
+    products: heldByProduct(rowsHere),
+    locations,
+  };
+}
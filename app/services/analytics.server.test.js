@@ -0,0 +1,38 @@
+import { describe, expect, it, vi } from "vitest";
+import { parseAnalyticsFilters } from "./analytics.server";
+
+vi.mock("../db.server", () => ({ default: {} }));
+
+const now = new Date("2026-10-19T15:30:00Z");
+const parse = (query) => parseAnalyticsFilters(new URLSearchParams(query), now);
+
+describe("parseAnalyticsFilters", () => {
+  it("defaults to the last 30 days across every location", () => {
+    expect(parse("")).toEqual({ from: "2026-09-20", to: "2026-10-19", locationId: "" });
+  });
+
+  it("keeps a valid range and location", () => {
+    expect(parse("from=2026-01-01&to=2026-03-31&location=gid://shopify/Location/1")).toEqual({
+      from: "2026-01-01",
+      to: "2026-03-31",
+      locationId: "gid://shopify/Location/1",
+    });
+  });
+
+  it("counts the default range back from a chosen end day", () => {
+    expect(parse("to=2026-03-31").from).toBe("2026-03-02");
+  });
+
+  it("ignores days that are malformed or do not exist", () => {
+    expect(parse("from=yesterday&to=2026-02-30")).toEqual({ from: "2026-09-20", to: "2026-10-19", locationId: "" });
+    expect(parse("from=2026-1-5").from).toBe("2026-09-20");
+  });
+
+  it("moves a start after the end onto the end day", () => {
+    expect(parse("from=2026-10-01&to=2026-09-01")).toMatchObject({ from: "2026-09-01", to: "2026-09-01" });
+  });
+
+  it("caps the range at a year", () => {
+    expect(parse("from=2020-01-01&to=2026-10-19").from).toBe("2025-10-19");
+  });
+});
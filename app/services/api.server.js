@@ -0,0 +1,197 @@
+import { getHeldOrders } from "../models/HeldFulfillmentOrder.server";
+import { getPriorityTags } from "../models/Configuration.server";
+import { planHeldOrderRelease, buildAllocationPlan } from "./release.server";
+import { enqueueReleaseJob } from "./jobs.server";
+
+const DEFAULT_PAGE_SIZE = 50;
+const MAX_PAGE_SIZE = 250;
+
+// IDs may be sent as GIDs or as the plain numbers the Shopify admin shows
+const toGid = (type, id) => {
+  const value = String(id).trim();
+  return value.startsWith("gid://") ? value : `gid://shopify/${type}/${value}`;
+};
+
+const isPositiveInteger = (value) => Number.isInteger(value) && value > 0;
+
+const stringList = (value) => (Array.isArray(value) ? value : [value]).filter((v) => v != null && v !== "").map(String);
+
+const apiLine = (line) => ({
+  id: line.id,
+  title: line.title,
+  variantTitle: line.variantTitle,
+  sku: line.sku,
+  productId: line.productId,
+  variantId: line.variantId,
+  quantity: line.remainingQuantity,
+});
+
+// Only the held lines matching the filters, and only orders left with any
+function narrowHeldOrder(order, { locationId, matchLine }) {
+  const fulfillmentOrders = order.fulfillmentOrders
+    .filter((fo) => !locationId || fo.locationId === locationId)
+    .map((fo) => ({ id: fo.id, locationId: fo.locationId, lines: fo.lines.filter(matchLine).map(apiLine) }))
+    .filter((fo) => fo.lines.length > 0);
+  if (fulfillmentOrders.length === 0) return null;
+
+  return {
+    id: order.id,
+    name: order.name,
+    createdAt: order.createdAt,
+    tier: order.tier,
+    customer: { name: order.customer.name, email: order.customer.email },
+    fulfillmentOrders,
+  };
+}
+
+// GET /api/v1/held-orders: held orders in release order, optionally only the lines for some
+// SKUs (?sku=) or products (?product_id=) at one location (?location_id=), a page at a time
+export async function listHeldOrders(shop, searchParams) {
+  const skus = searchParams.getAll("sku").filter(Boolean);
+  const productIds = searchParams.getAll("product_id").filter(Boolean).map((id) => toGid("Product", id));
+  const locationId = searchParams.get("location_id") ? toGid("Location", searchParams.get("location_id")) : "";
+  const pageSize = Math.min(Math.max(Number(searchParams.get("limit")) || DEFAULT_PAGE_SIZE, 1), MAX_PAGE_SIZE);
+  const page = Math.max(Number(searchParams.get("page")) || 1, 1);
+
+  const matchLine = (line) =>
+    (skus.length === 0 || skus.includes(line.sku)) &&
+    (productIds.length === 0 || productIds.includes(line.productId));
+
+  const heldOrders = await getHeldOrders(shop, { locationIds: locationId ? [locationId] : [] }, await getPriorityTags(shop));
+  const orders = heldOrders.map((order) => narrowHeldOrder(order, { locationId, matchLine })).filter(Boolean);
+
+  return {
+    orders: orders.slice((page - 1) * pageSize, page * pageSize),
+    total: orders.length,
+    page,
+    pageSize,
+  };
+}
+
+// Received stock handed out in release queue order. Each allocation names a SKU, variant or
+// product and the units that arrived; SKUs are looked up among the held lines.
+async function planApiAllocation(shop, allocations, locationId) {
+  if (!Array.isArray(allocations) || allocations.length === 0) {
+    return { error: "'allocations' must be a list of { sku, variantId or productId, units }." };
+  }
+  if (!allocations.every((a) => isPositiveInteger(a?.units) && (a.sku || a.variantId || a.productId))) {
+    return { error: "Every allocation needs a sku, variantId or productId and a whole number of units above zero." };
+  }
+
+  const heldOrders = await getHeldOrders(shop, { locationIds: locationId ? [locationId] : [] }, await getPriorityTags(shop));
+  const variantBySku = new Map(heldOrders
+    .flatMap((order) => order.fulfillmentOrders.flatMap((fo) => fo.lines))
+    .filter((line) => line.sku)
+    .map((line) => [line.sku, line.variantId]));
+
+  const units = {};
+  const unmatched = [];
+  for (const allocation of allocations) {
+    const id = allocation.variantId ? toGid("ProductVariant", allocation.variantId)
+      : allocation.productId ? toGid("Product", allocation.productId)
+        : variantBySku.get(String(allocation.sku));
+    if (!id) unmatched.push(String(allocation.sku));
+    else units[id] = (units[id] || 0) + allocation.units;
+  }
+
+  const { plan } = buildAllocationPlan(heldOrders, { allocations: units, locationId: locationId || null });
+  const totalUnits = allocations.reduce((sum, a) => sum + a.units, 0);
+  const names = allocations.map((a) => a.sku || a.variantId || a.productId).join(", ");
+  return { plan, unmatched, description: `API allocation of ${totalUnits} received units of ${names}` };
+}
+
+// POST /api/v1/releases: queue a release job the same way the dashboard does. The body
+// either carries `allocations` of received stock, or picks held orders by `orderIds`,
+// `skus`, `productIds` and `locationId` (or `all: true`), shipping up to `unitsPerLine`
+// of each line when that is set. Returns the queued job, or none when nothing matched.
+export async function createApiRelease(shop, apiKey, body) {
+  if (!body || typeof body !== "object" || Array.isArray(body)) {
+    return { error: "Send a JSON object." };
+  }
+
+  const locationId = body.locationId ? toGid("Location", body.locationId) : "";
+  const actor = { actorName: `API key '${apiKey.name}'` };
+
+  if (body.allocations !== undefined) {
+    const { plan, unmatched, description, error } = await planApiAllocation(shop, body.allocations, locationId);
+    if (error) return { error };
+    if (plan.length === 0) return { job: null, unmatched };
+
+    const job = await enqueueReleaseJob(shop, {
+      source: "API",
+      action: "ALLOCATION",
+      description,
+      plan,
+      actor,
+      intent: "api_allocation",
+    });
+    return { job, unmatched };
+  }
+
+  const orderIds = body.orderIds ? stringList(body.orderIds).map((id) => toGid("Order", id)) : null;
+  const skus = body.skus ? stringList(body.skus) : [];
+  const productIds = body.productIds ? stringList(body.productIds).map((id) => toGid("Product", id)) : [];
+  if (body.unitsPerLine !== undefined && !isPositiveInteger(body.unitsPerLine)) {
+    return { error: "'unitsPerLine' must be a whole number above zero." };
+  }
+  // An empty body must not release everything by accident
+  if (!orderIds && skus.length === 0 && productIds.length === 0 && !locationId && body.all !== true) {
+    return { error: "Name the orderIds, skus, productIds or locationId to release, or send \"all\": true." };
+  }
+
+  const plan = await planHeldOrderRelease(shop, {
+    locationIds: locationId ? [locationId] : [],
+    orderIds,
+    skus,
+    productIds,
+    unitsPerLine: body.unitsPerLine,
+  });
+  if (plan.length === 0) return { job: null };
+
+  const filters = [
+    orderIds && `${orderIds.length} orders`,
+    skus.length > 0 && `SKUs ${skus.join(", ")}`,
+    productIds.length > 0 && `${productIds.length} products`,
+  ].filter(Boolean);
+  let description = filters.length > 0 ? `API release of ${filters.join(", ")}` : "API release of all holds";
+  if (body.unitsPerLine) description += ` (up to ${body.unitsPerLine} per line)`;
+
+  const job = await enqueueReleaseJob(shop, {
+    source: "API",
+    action: "RELEASE",
+    description,
+    plan,
+    actor,
+    intent: "api_release",
+  });
+  return { job };
+}
+
+// A job as the API returns it, with per-order results when getJob loaded them
+export function apiJob(job) {
+  return {
+    id: job.id,
+    status: job.status,
+    description: job.description,
+    total: job.total,
+    processed: job.processed ?? 0,
+    succeeded: job.succeeded ?? 0,
+    failed: job.failed ?? 0,
+    split: job.splitCount ?? 0,
+    error: job.error ?? null,
+    createdAt: new Date(job.createdAt).toISOString(),
+    finishedAt: job.finishedAt ? new Date(job.finishedAt).toISOString() : null,
+    ...(Array.isArray(job.results)
+      ? {
+          results: job.results.map((result) => ({
+            orderId: result.orderId,
+            orderName: result.orderName,
+            status: result.status,
+            lines: result.releasedLines,
+            userErrors: result.userErrors,
+            error: result.error || null,
+          })),
+        }
+      : {}),
+  };
+}
@@ -0,0 +1,232 @@
+import prisma from "../db.server";
+import { getPresaleRules, ruleMatchesLine } from "../models/PresaleRule.server";
+import { getPresaleLocations } from "../models/PresaleLocation.server";
+import { getPriorityTags } from "../models/Configuration.server";
+import { getHeldOrders } from "../models/HeldFulfillmentOrder.server";
+import { graphqlWithRetry } from "./graphql.server";
+import { refreshHeldOrder, buildReleasePlan, buildAllocationPlan, planHeldOrderRelease } from "./release.server";
+import { ACTIVE_STATUSES, enqueueReleaseJob, draftReleaseJob } from "./jobs.server";
+
+// A finished job stays on the order page for this long, so staff see how it went
+const RECENT_JOB_MS = 60 * 60 * 1000;
+
+const orderGid = (id) => (String(id).startsWith("gid://") ? String(id) : `gid://shopify/Order/${id}`);
+
+// Available stock of each held line's item at its location. Untracked items can always ship.
+// Held orders are committed, so an oversold item is below zero here.
+async function fetchStockLevels(admin, lines) {
+  const inventoryItemIds = [...new Set(lines.map((line) => line.inventoryItemId).filter(Boolean))];
+  if (inventoryItemIds.length === 0) return { available: () => 0, locationNames: new Map() };
+
+  const data = await graphqlWithRetry(
+    admin,
+    `#graphql
+      query getHeldStock($ids: [ID!]!) {
+        nodes(ids: $ids) {
+          ... on InventoryItem {
+            id
+            tracked
+            inventoryLevels(first: 50) {
+              nodes {
+                location { id name }
+                quantities(names: ["available"]) { name quantity }
+              }
+            }
+          }
+        }
+      }
+    `,
+    { ids: inventoryItemIds }
+  );
+
+  const untracked = new Set();
+  const levels = new Map();
+  const locationNames = new Map();
+  for (const item of data.nodes.filter(Boolean)) {
+    if (!item.tracked) untracked.add(item.id);
+    for (const level of item.inventoryLevels.nodes) {
+      locationNames.set(level.location.id, level.location.name);
+      levels.set(`${item.id} ${level.location.id}`, level.quantities[0]?.quantity ?? 0);
+    }
+  }
+
+  return {
+    available: (line) => (untracked.has(line.inventoryItemId)
+      ? Infinity
+      : levels.get(`${line.inventoryItemId} ${line.locationId}`) ?? 0),
+    locationNames,
+  };
+}
+
+// Units of each held line the order is due now, keyed by line ID. The stock at each of its
+// locations is shared across the whole held queue, priority tiers then oldest first, as a
+// stock allocation does; orders ahead in the queue are served first.
+async function dueUnits(shop, heldOrder, stock) {
+  const queue = await getHeldOrders(shop, {}, await getPriorityTags(shop));
+  const queueLines = queue.flatMap((order) =>
+    order.fulfillmentOrders.flatMap((fo) => fo.lines.map((line) => ({ ...line, locationId: fo.locationId }))));
+
+  const units = new Map();
+  for (const locationId of new Set(heldOrder.fulfillmentOrders.map((fo) => fo.locationId))) {
+    // Held units are part of what is committed, so they go back into the stock the queue shares
+    const allocations = {};
+    for (const fo of heldOrder.fulfillmentOrders.filter((f) => f.locationId === locationId)) {
+      for (const line of fo.lines) {
+        if (!line.variantId || line.variantId in allocations) continue;
+        const heldUnits = queueLines
+          .filter((l) => l.locationId === locationId && l.variantId === line.variantId)
+          .reduce((sum, l) => sum + l.remainingQuantity, 0);
+        allocations[line.variantId] = Math.max(stock.available({ ...line, locationId }) + heldUnits, 0);
+      }
+    }
+
+    const { plan } = buildAllocationPlan(queue, { allocations, locationId });
+    const entry = plan.find((e) => e.orderId === heldOrder.id);
+    for (const fo of entry?.fulfillmentOrders || []) {
+      for (const line of fo.lines) units.set(line.id, line.quantity);
+    }
+  }
+  return units;
+}
+
+// Earliest upcoming release date among the rules matching any of the lines
+function expectedReleaseAt(rules, lines) {
+  const dates = rules
+    .filter((rule) => rule.enabled && rule.releaseAt && !rule.releasedAt && lines.some((line) => ruleMatchesLine(rule, line)))
+    .map((rule) => rule.releaseAt);
+  return dates.length > 0 ? new Date(Math.min(...dates)).toISOString() : null;
+}
+
+// Latest release job with this order in its plan, while queued or running or just after
+async function recentOrderJob(shop, orderId) {
+  const job = await prisma.releaseJob.findFirst({
+    where: {
+      shop,
+      status: { not: "DRAFT" },
+      // Plans quote each ID, which keeps Order/100 from matching Order/1001
+      plan: { contains: `"${orderId}"` },
+      OR: [{ status: { in: ACTIVE_STATUSES } }, { finishedAt: { gte: new Date(Date.now() - RECENT_JOB_MS) } }],
+    },
+    orderBy: { createdAt: "desc" },
+  });
+  if (!job) return null;
+
+  const result = JSON.parse(job.results).find((r) => r.orderId === orderId);
+  return {
+    id: job.id,
+    description: job.description,
+    status: job.status,
+    active: ACTIVE_STATUSES.includes(job.status),
+    error: job.error,
+    result: result ? { status: result.status, error: result.error || null } : null,
+  };
+}
+
+// Everything the order details block shows, read fresh from Shopify. Refreshing also
+// brings the cached held order up to date.
+export async function getOrderPresaleStatus(admin, shop, id) {
+  const orderId = orderGid(id);
+  const heldOrder = await refreshHeldOrder(admin, shop, orderId);
+  const job = await recentOrderJob(shop, orderId);
+  if (!heldOrder) return { orderId, held: false, fulfillmentOrders: [], job };
+
+  const lines = heldOrder.fulfillmentOrders.flatMap((fo) => fo.lines.map((line) => ({ ...line, locationId: fo.locationId })));
+  const [stock, rules, presaleLocations, periods] = await Promise.all([
+    fetchStockLevels(admin, lines),
+    getPresaleRules(shop),
+    getPresaleLocations(shop),
+    prisma.holdPeriod.findMany({
+      where: { fulfillmentOrderId: { in: heldOrder.fulfillmentOrders.map((fo) => fo.id) } },
+      select: { fulfillmentOrderId: true, heldAt: true },
+    }),
+  ]);
+  const heldAt = new Map(periods.map((period) => [period.fulfillmentOrderId, period.heldAt]));
+  const labels = new Map(presaleLocations.map((location) => [location.locationId, location.label]));
+  const shippable = await dueUnits(shop, heldOrder, stock);
+
+  const fulfillmentOrders = heldOrder.fulfillmentOrders.map((fo) => ({
+    id: fo.id,
+    locationName: labels.get(fo.locationId) || stock.locationNames.get(fo.locationId) || "Unknown location",
+    holdNotes: fo.hold?.reasonNotes || "",
+    heldAt: heldAt.get(fo.id)?.toISOString() || null,
+    releaseAt: expectedReleaseAt(rules, fo.lines.map((line) => ({ ...line, locationId: fo.locationId }))),
+    lines: fo.lines.map((line) => ({
+      id: line.id,
+      title: line.title,
+      variantTitle: line.variantTitle,
+      sku: line.sku,
+      quantity: line.remainingQuantity,
+      shippable: shippable.get(line.id) ?? 0,
+    })),
+  }));
+
+  const totalUnits = lines.reduce((sum, line) => sum + line.remainingQuantity, 0);
+  const shippableTotal = [...shippable.values()].reduce((sum, units) => sum + units, 0);
+  return {
+    orderId,
+    orderName: heldOrder.name,
+    held: true,
+    fulfillmentOrders,
+    totalUnits,
+    shippableUnits: shippableTotal,
+    job,
+  };
+}
+
+// Queue a release of one order from its details page: all of its holds, or with
+// `availableOnly` just the units in stock it is due in the queue, splitting off what has to wait.
+// Returns the queued job, or an error to show in the block.
+export async function releaseOrderFromPage(admin, shop, id, { availableOnly = false, actor }) {
+  const orderId = orderGid(id);
+  const pending = await recentOrderJob(shop, orderId);
+  if (pending?.active) return { error: `Release job #${pending.id} for this order is still running.` };
+
+  const heldOrder = await refreshHeldOrder(admin, shop, orderId);
+  if (!heldOrder) return { error: "This order has no pre-sale hold left." };
+
+  let options = {};
+  if (availableOnly) {
+    const lines = heldOrder.fulfillmentOrders.flatMap((fo) => fo.lines.map((line) => ({ ...line, locationId: fo.locationId })));
+    const shippable = await dueUnits(shop, heldOrder, await fetchStockLevels(admin, lines));
+    options = { matchLine: (line) => shippable.get(line.id) > 0, quantityFor: (line) => shippable.get(line.id) };
+  }
+
+  const plan = buildReleasePlan([heldOrder], { orderIds: [orderId], ...options });
+  if (plan.length === 0) return { error: "No stock is free for this order yet once the orders ahead of it are served." };
+
+  const job = await enqueueReleaseJob(shop, {
+    source: "ORDER_PAGE",
+    action: "RELEASE",
+    description: availableOnly
+      ? `Shipped the items in stock on ${heldOrder.name} from the order page`
+      : `Released ${heldOrder.name} from the order page`,
+    plan,
+    actor,
+    intent: availableOnly ? "order_page_ship_available" : "order_page_release",
+  });
+  console.log(`📄 ${shop}: queued release job #${job.id} for ${heldOrder.name} from the order page`);
+  return { job };
+}
+
+// Dry run for the orders list bulk action: the plan the dashboard makes for selected orders,
+// saved as a draft job that runs once confirmed. Selected orders without a pre-sale hold
+// are only counted.
+export async function previewBulkRelease(shop, ids, { unitsPerLine = null, actor }) {
+  const orderIds = ids.map(orderGid);
+  const plan = await planHeldOrderRelease(shop, { orderIds, unitsPerLine });
+  const notHeldCount = orderIds.length - plan.length;
+  if (plan.length === 0) return { job: null, plan, notHeldCount };
+
+  let description = `Release of ${plan.length} orders selected in the orders list`;
+  if (unitsPerLine) description += ` (up to ${unitsPerLine} per line)`;
+
+  const job = await draftReleaseJob(shop, {
+    source: "ORDER_INDEX",
+    action: "RELEASE",
+    description,
+    plan,
+    actor,
+    intent: "order_index_release",
+  });
+  return { job, plan, notHeldCount };
+}
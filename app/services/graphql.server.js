@@ -0,0 +1,133 @@
+const MAX_TRIES = 4;
+const BASE_DELAY_MS = 500;
+// Assumed cost of an operation until Shopify has reported what it costs
+const DEFAULT_COST = 50;
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+// Every failed Admin API call made through this module is one of these, except for
+// failures that aren't Shopify's answer at all, such as an expired session.
+// `errors` are the top-level GraphQL errors, `status` the HTTP status when there was one.
+export class ShopifyApiError extends Error {
+  constructor(message, { errors = [], status = null, cause } = {}) {
+    super(message, { cause });
+    this.name = this.constructor.name;
+    this.errors = errors;
+    this.status = status;
+  }
+
+  get transient() {
+    return false;
+  }
+}
+
+// Shopify had too few query cost points left for the operation. Nothing ran, so it is
+// safe to try again, mutations included.
+export class ThrottledError extends ShopifyApiError {
+  constructor(message, { retryAfterMs = 0, ...options } = {}) {
+    super(message, options);
+    this.retryAfterMs = retryAfterMs;
+  }
+
+  get transient() {
+    return true;
+  }
+}
+
+// Shopify rejected the operation itself: a bad query or variables, a missing access scope
+export class GraphqlOperationError extends ShopifyApiError {
+  get codes() {
+    return this.errors.map((error) => error.extensions?.code).filter(Boolean);
+  }
+}
+
+// A Shopify 5xx or a dropped connection. A mutation may still have been applied.
+export class ShopifyUnavailableError extends ShopifyApiError {
+  get transient() {
+    return true;
+  }
+}
+
+// Map the API library's errors onto the classes above
+function typedError(error) {
+  if (error instanceof ShopifyApiError) return error;
+
+  const errors = error.body?.errors?.graphQLErrors || [];
+  const status = error.response?.code ?? error.response?.status ?? null;
+  const options = { errors, status, cause: error };
+
+  if (status === 429 || errors.some((e) => e.extensions?.code === "THROTTLED")) {
+    return new ThrottledError(error.message, { ...options, retryAfterMs: (error.response?.retryAfter ?? 0) * 1000 });
+  }
+  if (errors.length > 0) {
+    return new GraphqlOperationError(errors.map((e) => e.message).join("; "), options);
+  }
+  if (status >= 500 || error.constructor?.name === "HttpRequestError") {
+    return new ShopifyUnavailableError(error.message, options);
+  }
+  return error;
+}
+
+export const isTransientError = (error) => Boolean(typedError(error).transient);
+
+// Shopify's throttle status for the shop as of the last response to each admin context,
+// and what each operation asked for the last time it ran. Jobs and sweeps make all their
+// calls through one context, which is where pacing matters.
+const throttleStatus = new WeakMap();
+const operationCosts = new Map();
+
+function recordCost(admin, operation, cost) {
+  if (!cost) return;
+  operationCosts.set(operation, cost.requestedQueryCost);
+  if (cost.throttleStatus) throttleStatus.set(admin, { ...cost.throttleStatus, at: Date.now() });
+}
+
+// Points in the bucket now, counting what was restored since Shopify last reported it
+const availablePoints = ({ maximumAvailable, currentlyAvailable, restoreRate, at }, now) =>
+  Math.min(maximumAvailable, currentlyAvailable + ((now - at) / 1000) * restoreRate);
+
+// Wait until the bucket can pay for the operation. The points are taken straight away
+// so calls started in the meantime queue up behind it.
+async function waitForPoints(admin, operation) {
+  const status = throttleStatus.get(admin);
+  if (!status?.restoreRate) return;
+
+  const now = Date.now();
+  const cost = Math.min(operationCosts.get(operation) ?? DEFAULT_COST, status.maximumAvailable);
+  const available = availablePoints(status, now);
+  throttleStatus.set(admin, { ...status, currentlyAvailable: available - cost, at: now });
+  if (available >= cost) return;
+
+  const delay = Math.ceil(((cost - available) / status.restoreRate) * 1000);
+  console.log(`🐢 Waiting ${delay} ms for Shopify to restore query cost points`);
+  await sleep(delay);
+}
+
+// Run an Admin API operation and return its data. Calls are paced by the query cost
+// Shopify reports, and transient failures are retried with exponential backoff. A
+// mutation that hit a 5xx may still have been applied, so mutations are only retried
+// when Shopify throttled them. Failures are thrown as the typed errors above.
+export async function graphqlWithRetry(admin, operation, variables, { mutation = false } = {}) {
+  for (let attempt = 1; ; attempt++) {
+    await waitForPoints(admin, operation);
+
+    try {
+      const response = await admin.graphql(operation, { variables });
+      const { data, extensions } = await response.json();
+      recordCost(admin, operation, extensions?.cost);
+      return data;
+    } catch (caught) {
+      recordCost(admin, operation, caught.body?.extensions?.cost);
+      const error = typedError(caught);
+      const retryable = error instanceof ThrottledError || (!mutation && error instanceof ShopifyUnavailableError);
+      if (attempt >= MAX_TRIES || !retryable) throw error;
+
+      // With a throttle status to go on, the next attempt waits for exactly the points it needs
+      const backoff = BASE_DELAY_MS * 2 ** (attempt - 1);
+      const paced = error instanceof ThrottledError && throttleStatus.has(admin);
+      const delay = Math.max(error.retryAfterMs ?? 0, paced ? 0 : backoff);
+      console.log(`⏳ Shopify request failed (${error.message}), retry ${attempt} of ${MAX_TRIES - 1} in ${delay} ms`);
+      await sleep(delay);
+    }
+  }
+}
@@ -0,0 +1,161 @@
+import { getEnabledLocationIds } from "../models/PresaleLocation.server";
+import { getActivePresaleRules, evaluateRules, lineFromNode } from "../models/PresaleRule.server";
+import { getHoldSettings } from "../models/Configuration.server";
+import { fillHoldNotes } from "../utils/holds";
+import { graphqlWithRetry } from "./graphql.server";
+import {
+  holdFulfillmentOrder,
+  addPresaleTag,
+  refreshHeldOrderQuietly,
+  fetchAllNodes,
+  fetchLineItemPage
+} from "./release.server";
+
+// Kept small, each shipment's line items are fetched on their own
+const SHIPMENT_PAGE_SIZE = 10;
+
+async function fetchShipmentPage(admin, orderGid, after) {
+  const data = await graphqlWithRetry(
+    admin,
+    `#graphql
+      query getFulfillmentData($id: ID!, $first: Int!, $after: String) {
+        order(id: $id) {
+          id
+          name
+          fulfillmentOrders(first: $first, after: $after) {
+            nodes {
+              id
+              status
+              assignedLocation {
+                name
+                location {
+                  id
+                }
+              }
+            }
+            pageInfo { hasNextPage endCursor }
+          }
+        }
+      }
+    `,
+    { id: orderGid, first: SHIPMENT_PAGE_SIZE, after }
+  );
+  return data.order;
+}
+
+// Earliest launch date among the matching rules, in the timezone it was entered in
+function releaseDateText(rules) {
+  const [rule] = rules
+    .filter(r => r.releaseAt)
+    .sort((a, b) => new Date(a.releaseAt) - new Date(b.releaseAt));
+  if (!rule) return "";
+
+  return new Date(rule.releaseAt).toLocaleDateString("en-US", {
+    timeZone: rule.releaseTimezone || "UTC",
+    dateStyle: "medium"
+  });
+}
+
+// Hold the pre-sale shipments or line items of a new order and tag it.
+// Safe to run again for the same order: shipments already on hold are skipped.
+// Rule date windows are checked against when the order was placed, so a replay decides the same way.
+export async function placePresaleHolds(admin, shop, { orderGid, placedAt = new Date() }) {
+  // Fetch the enabled pre-sale locations and rules for this shop
+  const targetLocationIds = await getEnabledLocationIds(shop);
+  const rules = await getActivePresaleRules(shop, placedAt);
+
+  if (targetLocationIds.length === 0 && rules.length === 0) {
+    console.log("⚠️ No pre-sale location or rule enabled in settings. skipping.");
+    return { holdApplied: false };
+  }
+
+  console.log(`🎯 Target pre-sale location IDs: ${targetLocationIds.join(", ") || "none"}`);
+  console.log(`📏 Active pre-sale rules: ${rules.map(r => r.name).join(", ") || "none"}`);
+
+  // Fetch order data. Every shipment and line item is read, so a rule never sees a cut-off list.
+  const order = await fetchShipmentPage(admin, orderGid, null);
+  const fulfillmentOrders = await fetchAllNodes(
+    async after => (await fetchShipmentPage(admin, orderGid, after)).fulfillmentOrders,
+    order.fulfillmentOrders
+  );
+  const orderId = order.id;
+  const settings = await getHoldSettings(shop);
+
+  let holdApplied = false;
+  const holdErrors = [];
+
+  // Loop through shipments
+  for (const fo of fulfillmentOrders) {
+    if (fo.status !== "OPEN") continue;
+
+    // Get the ID of the location this shipment is assigned to
+    const shipmentLocationId = fo.assignedLocation.location?.id;
+
+    console.log(`🔍 Checking shipment from: ${fo.assignedLocation.name} (ID: ${shipmentLocationId})`);
+    const lineNodes = await fetchAllNodes(after => fetchLineItemPage(admin, fo.id, after));
+
+    // A pre-sale location holds the whole shipment, otherwise the rules decide
+    let decision = null;
+    if (targetLocationIds.includes(shipmentLocationId)) {
+      decision = { scope: "ALL", rules: [] };
+    } else if (rules.length > 0) {
+      const lines = lineNodes.map(node => lineFromNode(node, shipmentLocationId));
+      decision = evaluateRules(rules, lines);
+    }
+
+    if (!decision) continue;
+
+    const ruleNames = decision.rules.map(r => r.name).join(", ");
+    console.log(`✋ MATCH FOUND${ruleNames ? ` (rules: ${ruleNames})` : ""}! Placing Hold on Fulfillment ID: ${fo.id}`);
+
+    const heldTitles = decision.scope === "LINES"
+      ? decision.lines.map(line => line.title)
+      : lineNodes.map(node => node.lineItem.title);
+
+    const fulfillmentHold = {
+      reason: settings.holdReason,
+      reasonNotes: fillHoldNotes(settings.holdNotes, {
+        order: order.name,
+        products: [...new Set(heldTitles)].join(", "),
+        location: fo.assignedLocation.name,
+        release_date: releaseDateText(decision.rules)
+      })
+    };
+
+    // Holding only some line items splits them into their own fulfillment order
+    if (decision.scope === "LINES") {
+      console.log(`✂️ Holding ${decision.lines.length} of ${lineNodes.length} line items: ${decision.lines.map(l => l.title).join(", ")}`);
+      fulfillmentHold.fulfillmentOrderLineItems = decision.lines.map(line => ({
+        id: line.id,
+        quantity: line.remainingQuantity
+      }));
+    }
+
+    // Place the hold
+    const userErrors = await holdFulfillmentOrder(admin, fo.id, fulfillmentHold);
+    if (userErrors.length > 0) {
+      console.log("❌ Error holding order:", userErrors);
+      holdErrors.push(...userErrors.map(message => `${fo.id}: ${message}`));
+    } else {
+      console.log("✅ SUCCESS: Pre-Sale Shipment is now ON HOLD.");
+      holdApplied = true;
+    }
+  }
+
+  // Add a tag for better management
+  if (holdApplied) {
+    console.log("🏷️ Tagging Order...");
+    const tagErrors = await addPresaleTag(admin, orderId, settings.presaleTag);
+    if (tagErrors.length > 0) console.log("❌ Error tagging order:", tagErrors);
+  }
+
+  if (holdApplied) await refreshHeldOrderQuietly(admin, shop, orderId);
+
+  // Surface failures so the event is marked failed and can be replayed
+  if (holdErrors.length > 0) {
+    throw new Error(`Could not hold ${holdErrors.length} shipment(s): ${holdErrors.join("; ")}`);
+  }
+
+  return { holdApplied, orderId, orderName: order.name };
+
+}
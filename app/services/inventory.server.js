@@ -0,0 +1,115 @@
+import prisma from "../db.server";
+import { unauthenticated } from "../shopify.server";
+import { getPresaleLocations } from "../models/PresaleLocation.server";
+import { getPriorityTags } from "../models/Configuration.server";
+import { fetchHeldOrders, buildStockReleasePlan } from "./release.server";
+import { enqueueReleaseJob } from "./jobs.server";
+import { graphqlWithRetry } from "./graphql.server";
+
+const LEVEL_PAGE_SIZE = 100;
+
+async function fetchLevelPage(admin, locationId, after) {
+  const data = await graphqlWithRetry(
+    admin,
+    `#graphql
+      query locationLevels($id: ID!, $first: Int!, $after: String) {
+        location(id: $id) {
+          inventoryLevels(first: $first, after: $after) {
+            nodes {
+              item { id }
+              quantities(names: ["available"]) { name quantity }
+            }
+            pageInfo { hasNextPage endCursor }
+          }
+        }
+      }
+    `,
+    { id: locationId, first: LEVEL_PAGE_SIZE, after }
+  );
+  return data.location?.inventoryLevels ?? { nodes: [], pageInfo: { hasNextPage: false } };
+}
+
+// Record every current level at a pre-sale location, so the first inventory update after it
+// is added or enabled counts as stock arriving. Levels changed while it was disabled are
+// overwritten rather than released.
+export async function seedInventorySnapshots(admin, shop, locationId) {
+  let after = null;
+  let count = 0;
+
+  for (;;) {
+    const page = await fetchLevelPage(admin, locationId, after);
+    await prisma.$transaction(page.nodes.map((level) => {
+      const key = { shop, inventoryItemId: level.item.id, locationId };
+      const available = level.quantities[0]?.quantity ?? 0;
+      return prisma.inventoryLevelSnapshot.upsert({
+        where: { shop_inventoryItemId_locationId: key },
+        update: { available },
+        create: { ...key, available },
+      });
+    }));
+    count += page.nodes.length;
+
+    if (!page.pageInfo.hasNextPage) break;
+    after = page.pageInfo.endCursor;
+  }
+
+  console.log(`📦 ${shop}: recorded ${count} stock levels at ${locationId}`);
+  return count;
+}
+
+// A large location takes many pages, so seeding runs after the request that asked for it
+export function kickInventorySeed(shop, locationId) {
+  setImmediate(async () => {
+    try {
+      const { admin } = await unauthenticated.admin(shop);
+      await seedInventorySnapshots(admin, shop, locationId);
+    } catch (error) {
+      console.error(`❌ Recording stock levels at ${locationId} for ${shop} failed:`, error);
+    }
+  });
+}
+
+// Record the new available quantity and return how many units just arrived.
+// Releasing a hold doesn't change inventory, so comparing against the last level
+// we saw keeps a repeated or unrelated update from releasing the same stock twice.
+// Held orders are committed, so an oversold item sits below zero: the change is taken
+// as it is. Levels are seeded when a pre-sale location is added or enabled, so a level
+// seen for the first time belongs to an item new there and is only recorded.
+async function recordArrivedUnits(shop, inventoryItemId, locationId, available) {
+  const key = { shop_inventoryItemId_locationId: { shop, inventoryItemId, locationId } };
+  const previous = await prisma.inventoryLevelSnapshot.findUnique({ where: key });
+
+  await prisma.inventoryLevelSnapshot.upsert({
+    where: key,
+    update: { available },
+    create: { shop, inventoryItemId, locationId, available },
+  });
+
+  if (!previous) return 0;
+  return Math.max(available - previous.available, 0);
+}
+
+// Queue the release of held orders, priority tiers then oldest first, when stock for a pre-sale item arrives at a pre-sale location
+export async function releaseArrivedStock(admin, shop, { inventoryItemId, locationId, available }) {
+  const presaleLocation = (await getPresaleLocations(shop))
+    .find((l) => l.locationId === locationId && l.enabled);
+  if (!presaleLocation) return null;
+
+  const units = await recordArrivedUnits(shop, inventoryItemId, locationId, available);
+  if (units <= 0) return null;
+
+  const heldOrders = await fetchHeldOrders(admin, { priorityTags: await getPriorityTags(shop) });
+  const { plan, unitsUsed } = buildStockReleasePlan(heldOrders, { locationId, inventoryItemId, units });
+  if (plan.length === 0) return { orderCount: 0, unitsUsed: 0 };
+
+  const itemTitle = plan[0].fulfillmentOrders[0].lines[0].title;
+  await enqueueReleaseJob(shop, {
+    source: "INVENTORY",
+    action: "AUTO_RELEASE",
+    description: `${units} units of '${itemTitle}' arrived at '${presaleLocation.label}', allocating ${unitsUsed} units`,
+    plan,
+    intent: "inventory_release",
+  });
+
+  return { orderCount: plan.length, unitsUsed };
+}
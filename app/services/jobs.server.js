@@ -0,0 +1,280 @@
+import prisma from "../db.server";
+import { unauthenticated } from "../shopify.server";
+import { createAuditLog } from "../models/AuditLog.server";
+import { getHoldSettings } from "../models/Configuration.server";
+import { releaseOrder, orderResult, adjustPlanQuantities } from "./release.server";
+import { notifyReleaseFinished } from "./notifications.server";
+import { undoOrder, undoFailure, planUndo, reopenUndo, undoRecords } from "./undo.server";
+
+export const ACTIVE_STATUSES = ["QUEUED", "RUNNING"];
+
+// A job interrupted this many times is given up, so it can't block the queue
+const MAX_ATTEMPTS = 3;
+
+// A preview older than this has to be made again, the held orders may have moved on
+const DRAFT_TTL_MS = 30 * 60 * 1000;
+
+let working = false;
+
+// Dates as ISO strings and JSON columns parsed, ready to hand to the UI
+export function serializeJob(job, { withResults = false } = {}) {
+  const rest = { ...job };
+  delete rest.plan;
+  delete rest.results;
+  return {
+    ...rest,
+    createdAt: job.createdAt.toISOString(),
+    startedAt: job.startedAt?.toISOString() || null,
+    finishedAt: job.finishedAt?.toISOString() || null,
+    ...(withResults ? { results: JSON.parse(job.results) } : {}),
+  };
+}
+
+export async function getRecentJobs(shop, take = 20) {
+  const jobs = await prisma.releaseJob.findMany({
+    where: { shop, status: { not: "DRAFT" } },
+    orderBy: { createdAt: "desc" },
+    take,
+  });
+  return jobs.map((job) => serializeJob(job));
+}
+
+export async function getJob(shop, id) {
+  const job = await prisma.releaseJob.findFirst({ where: { id, shop, status: { not: "DRAFT" } } });
+  return job ? serializeJob(job, { withResults: true }) : null;
+}
+
+function createJob(
+  shop,
+  status,
+  { source, action, description, plan, actor = {}, intent = null, filterText = null, auditLogId = null }
+) {
+  return prisma.releaseJob.create({
+    data: {
+      shop,
+      status,
+      source,
+      action,
+      description,
+      plan: JSON.stringify(plan),
+      total: plan.length,
+      actorUserId: actor.actorUserId || null,
+      actorName: actor.actorName || null,
+      actorEmail: actor.actorEmail || null,
+      intent,
+      filterText: filterText || null,
+      auditLogId,
+    },
+  });
+}
+
+// Persist a release plan and start working on it in the background.
+// The actor, intent and filter text are carried over to the audit entry written at the end.
+export async function enqueueReleaseJob(shop, options) {
+  const job = await createJob(shop, "QUEUED", options);
+  kickWorker();
+  return job;
+}
+
+// Save a plan for the user to review. Nothing runs until it is confirmed.
+export async function draftReleaseJob(shop, options) {
+  await prisma.releaseJob.deleteMany({
+    where: { shop, status: "DRAFT", createdAt: { lt: new Date(Date.now() - DRAFT_TTL_MS) } },
+  });
+  return createJob(shop, "DRAFT", options);
+}
+
+// Queue a previewed plan exactly as it was shown, except for any line quantities
+// the user lowered in the preview (line ID => units to ship)
+export async function confirmReleaseJob(shop, id, quantities = {}) {
+  const draft = await prisma.releaseJob.findFirst({ where: { id, shop, status: "DRAFT" } });
+  if (!draft) return { error: "That preview is no longer available. Preview the release again." };
+  if (Date.now() - draft.createdAt.getTime() > DRAFT_TTL_MS) {
+    await prisma.releaseJob.delete({ where: { id } });
+    return { error: "That preview has expired. Preview the release again to pick up recent changes." };
+  }
+
+  let plan = JSON.parse(draft.plan);
+  if (Object.keys(quantities).length > 0) {
+    plan = adjustPlanQuantities(plan, quantities);
+    if (plan.length === 0) return { error: "Every quantity is zero, so there is nothing to release." };
+  }
+
+  // Queue position follows the confirmation, not the preview. The status check
+  // keeps a double click from queueing the same plan twice.
+  const { count } = await prisma.releaseJob.updateMany({
+    where: { id, shop, status: "DRAFT" },
+    data: { status: "QUEUED", createdAt: new Date(), plan: JSON.stringify(plan), total: plan.length },
+  });
+  if (count === 0) return { error: "That preview has already been confirmed." };
+
+  kickWorker();
+  return { job: { ...draft, total: plan.length } };
+}
+
+// Put back the holds and pre-sale tags a release batch removed, with each hold's original
+// reason and notes. Runs in the background like a release; orders fulfilled since are
+// reported as not reversible.
+export async function enqueueUndoJob(shop, auditLogId, actor) {
+  const { log, plan, error } = await planUndo(shop, auditLogId);
+  if (error) return { error };
+
+  const job = await enqueueReleaseJob(shop, {
+    source: "HISTORY",
+    action: "UNDO",
+    description: `Undid '${log.description}'`,
+    plan,
+    actor,
+    intent: "undo_release",
+    auditLogId,
+  });
+  return { job };
+}
+
+export async function discardReleaseJob(shop, id) {
+  await prisma.releaseJob.deleteMany({ where: { id, shop, status: "DRAFT" } });
+}
+
+export function kickWorker() {
+  setImmediate(() => {
+    runWorker().catch((error) => console.error("❌ Release job worker failed:", error));
+  });
+}
+
+// Jobs interrupted by a restart come first, then the queue in order
+async function nextJob() {
+  const interrupted = await prisma.releaseJob.findFirst({
+    where: { status: "RUNNING" },
+    orderBy: { createdAt: "asc" },
+  });
+  if (interrupted) return interrupted;
+
+  return prisma.releaseJob.findFirst({
+    where: { status: "QUEUED" },
+    orderBy: { createdAt: "asc" },
+  });
+}
+
+const jobNotice = (job) => ({ description: job.description, source: job.source, jobId: job.id });
+
+// Undo jobs share the queue, progress and resume with releases but hold orders again instead
+const isUndo = (job) => job.action === "UNDO";
+
+// Stop a job where it is. Orders already done keep their results; an undo can be started again.
+async function failJob(job, message) {
+  await prisma.releaseJob.update({
+    where: { id: job.id },
+    data: { status: "FAILED", error: message, finishedAt: new Date() },
+  });
+  if (isUndo(job)) await reopenUndo(job);
+  else await notifyReleaseFinished(job.shop, { ...jobNotice(job), error: message });
+}
+
+async function runEntry(admin, job, entry, settings) {
+  try {
+    return isUndo(job)
+      ? await undoOrder(admin, job.shop, entry, settings.presaleTag)
+      : orderResult(entry, await releaseOrder(admin, job.shop, entry, settings));
+  } catch (error) {
+    if (isUndo(job)) return undoFailure(entry, error);
+    return {
+      orderId: entry.orderId,
+      orderName: entry.orderName,
+      fulfillmentOrderIds: entry.fulfillmentOrders.map((fo) => fo.id),
+      status: "FAILED",
+      releasedLines: entry.fulfillmentOrders.flatMap((fo) => fo.lines),
+      userErrors: [],
+      error: error.message,
+    };
+  }
+}
+
+async function runJob(job) {
+  const plan = JSON.parse(job.plan);
+  const results = JSON.parse(job.results);
+  let { processed, succeeded, failed, splitCount } = job;
+
+  await prisma.releaseJob.update({
+    where: { id: job.id },
+    data: { status: "RUNNING", startedAt: job.startedAt ?? new Date(), attempts: { increment: 1 } },
+  });
+
+  const { admin } = await unauthenticated.admin(job.shop);
+
+  const settings = await getHoldSettings(job.shop);
+
+  // Resume after the last checkpointed order
+  for (const entry of plan.slice(processed)) {
+    const result = await runEntry(admin, job, entry, settings);
+
+    processed++;
+    if (result.status === "FAILED") failed++;
+    else if (result.status !== "NOT_REVERSIBLE") succeeded++;
+    if (result.split) splitCount++;
+    results.push(result);
+
+    await prisma.releaseJob.update({
+      where: { id: job.id },
+      data: { processed, succeeded, failed, splitCount, results: JSON.stringify(results) },
+    });
+  }
+
+  if (isUndo(job)) {
+    await prisma.$transaction([
+      prisma.releaseJob.update({
+        where: { id: job.id },
+        data: { status: "COMPLETED", finishedAt: new Date() },
+      }),
+      ...undoRecords(job, results),
+    ]);
+    return;
+  }
+
+  const releasedNames = results.filter((r) => r.status !== "FAILED").map((r) => r.orderName);
+  const partialCount = results.filter((r) => r.status === "PARTIAL").length;
+  const action = job.action === "RELEASE" && splitCount > 0 ? "SPLIT_RELEASE" : job.action;
+
+  await prisma.$transaction([
+    prisma.releaseJob.update({
+      where: { id: job.id },
+      data: { status: "COMPLETED", finishedAt: new Date() },
+    }),
+    createAuditLog(job.shop, {
+      action,
+      description: `${job.description}: released ${succeeded} orders` +
+        `${failed > 0 ? ` (${failed} failed)` : ""}` +
+        `${partialCount > 0 ? ` (${partialCount} need attention)` : ""}: ${releasedNames.join(", ")}`,
+      actor: job,
+      intent: job.intent,
+      filterText: job.filterText,
+      orders: results,
+    }),
+  ]);
+  await notifyReleaseFinished(job.shop, { ...jobNotice(job), results });
+}
+
+// Work through the queue one job at a time until it is empty
+export async function runWorker() {
+  if (working) return;
+  working = true;
+
+  try {
+    let job;
+    while ((job = await nextJob())) {
+      if (job.attempts >= MAX_ATTEMPTS) {
+        await failJob(job, `Gave up after being interrupted ${job.attempts} times`);
+        continue;
+      }
+
+      // One broken job must not stay RUNNING and be picked up again on every tick
+      try {
+        await runJob(job);
+      } catch (error) {
+        console.error(`❌ Release job #${job.id} for ${job.shop} failed:`, error);
+        await failJob(job, error.message);
+      }
+    }
+  } finally {
+    working = false;
+  }
+}
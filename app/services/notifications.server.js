@@ -0,0 +1,281 @@
+import { createHmac, randomUUID } from "node:crypto";
+import prisma from "../db.server";
+import { getSubscribedEndpoints, checkPublicUrl } from "../models/NotificationEndpoint.server";
+import { getLongHeldAlertDays } from "../models/Configuration.server";
+import { dayOf, heldLineTotals } from "../models/HoldHistory.server";
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const REQUEST_TIMEOUT_MS = 10 * 1000;
+// Wait after each failed attempt; a delivery gives up once these run out
+const RETRY_DELAYS_MS = [1, 5, 30, 120, 360].map((minutes) => minutes * 60 * 1000);
+const BATCH_SIZE = 50;
+// Order names listed in a message before the rest are only counted
+const NAMES_IN_TEXT = 10;
+
+let delivering = false;
+
+function orderNamesText(names) {
+  const listed = names.slice(0, NAMES_IN_TEXT).join(", ");
+  return names.length > NAMES_IN_TEXT ? `${listed} and ${names.length - NAMES_IN_TEXT} more` : listed;
+}
+
+// The request body for an endpoint. Slack only reads `text`; everyone else gets the whole event.
+function deliveryBody(endpoint, event) {
+  return JSON.stringify(endpoint.format === "SLACK" ? { text: event.text } : event);
+}
+
+// Queue an event for every endpoint of the shop that subscribed to it and start sending.
+// `message` may be a function, so nothing is looked up for events no one listens to.
+// Notifications must never break what triggered them, so failures here are only logged.
+export async function notify(shop, type, message) {
+  try {
+    const endpoints = await getSubscribedEndpoints(shop, type);
+    if (endpoints.length === 0) return;
+
+    const { text, data = {} } = typeof message === "function" ? await message() : message;
+    const event = { id: randomUUID(), type, shop, occurredAt: new Date().toISOString(), text, data };
+    await prisma.notificationDelivery.createMany({
+      data: endpoints.map((endpoint) => ({
+        shop,
+        endpointId: endpoint.id,
+        event: type,
+        payload: deliveryBody(endpoint, event),
+      })),
+    });
+    kickDeliveries();
+  } catch (error) {
+    console.error(`❌ Could not queue ${type} notification for ${shop}:`, error);
+  }
+}
+
+// HMAC-SHA256 of "<timestamp>.<body>" with the endpoint's secret, so receivers can check
+// the request came from this app and reject replays of old ones
+export function signDelivery(secret, timestamp, body) {
+  return createHmac("sha256", secret).update(`${timestamp}.${body}`).digest("hex");
+}
+
+// 4xx answers other than timeouts and rate limits won't change by trying again
+const isPermanentFailure = (status) => status >= 400 && status < 500 && status !== 408 && status !== 429;
+
+async function attemptDelivery(delivery) {
+  const { endpoint } = delivery;
+  const attempts = delivery.attempts + 1;
+
+  if (!endpoint.enabled) {
+    await prisma.notificationDelivery.update({
+      where: { id: delivery.id },
+      data: { status: "FAILED", error: "The endpoint was disabled before this was sent" },
+    });
+    return;
+  }
+
+  let responseStatus = null;
+  // Refused hosts are retried like any failure, since a DNS answer can change back
+  let error = await checkPublicUrl(new URL(endpoint.url));
+  if (error) {
+    error = `Not sent: ${error}`;
+  } else {
+    try {
+      const timestamp = Math.floor(Date.now() / 1000);
+      const response = await fetch(endpoint.url, {
+        method: "POST",
+        headers: {
+          "Content-Type": "application/json",
+          "X-Chronosplit-Event": delivery.event,
+          "X-Chronosplit-Delivery": String(delivery.id),
+          "X-Chronosplit-Timestamp": String(timestamp),
+          "X-Chronosplit-Signature": `sha256=${signDelivery(endpoint.secret, timestamp, delivery.payload)}`,
+        },
+        body: delivery.payload,
+        // A redirect could lead anywhere, including the private addresses refused above
+        redirect: "manual",
+        signal: AbortSignal.timeout(REQUEST_TIMEOUT_MS),
+      });
+      responseStatus = response.status;
+      if (!response.ok) {
+        const detail = (await response.text().catch(() => "")).slice(0, 200);
+        error = `HTTP ${response.status}${detail ? `: ${detail}` : ""}`;
+      }
+    } catch (caught) {
+      error = caught.name === "TimeoutError" ? `No answer within ${REQUEST_TIMEOUT_MS / 1000} seconds` : caught.message;
+    }
+  }
+
+  if (!error) {
+    await prisma.notificationDelivery.update({
+      where: { id: delivery.id },
+      data: { status: "DELIVERED", attempts, responseStatus, error: null, deliveredAt: new Date() },
+    });
+    return;
+  }
+
+  const giveUp = attempts > RETRY_DELAYS_MS.length || isPermanentFailure(responseStatus);
+  console.log(`📭 ${delivery.event} notification to '${endpoint.name}' failed (${error})${giveUp ? ", giving up" : ""}`);
+  await prisma.notificationDelivery.update({
+    where: { id: delivery.id },
+    data: {
+      status: giveUp ? "FAILED" : "PENDING",
+      attempts,
+      responseStatus,
+      error,
+      nextAttemptAt: giveUp ? delivery.nextAttemptAt : new Date(Date.now() + RETRY_DELAYS_MS[attempts - 1]),
+    },
+  });
+}
+
+// Send every delivery that is due, oldest first, until none are left
+export async function runDueNotifications() {
+  if (delivering) return;
+  delivering = true;
+
+  try {
+    let due;
+    while ((due = await prisma.notificationDelivery.findMany({
+      where: { status: "PENDING", nextAttemptAt: { lte: new Date() } },
+      orderBy: { nextAttemptAt: "asc" },
+      take: BATCH_SIZE,
+      include: { endpoint: true },
+    })).length > 0) {
+      for (const delivery of due) {
+        await attemptDelivery(delivery);
+      }
+    }
+  } finally {
+    delivering = false;
+  }
+}
+
+export function kickDeliveries() {
+  setImmediate(() => {
+    runDueNotifications().catch((error) => console.error("❌ Sending notifications failed:", error));
+  });
+}
+
+// Send a failed delivery again from the start of its retry schedule
+export async function retryNotificationDelivery(shop, id) {
+  const { count } = await prisma.notificationDelivery.updateMany({
+    where: { id, shop, status: "FAILED" },
+    data: { status: "PENDING", attempts: 0, nextAttemptAt: new Date(), error: null },
+  });
+  if (count > 0) kickDeliveries();
+  return count > 0;
+}
+
+// A sample event straight to one endpoint, whatever it subscribed to
+export async function sendTestNotification(shop, endpointId) {
+  const endpoint = await prisma.notificationEndpoint.findFirst({ where: { id: endpointId, shop } });
+  if (!endpoint) return false;
+
+  const event = {
+    id: randomUUID(),
+    type: "test",
+    shop,
+    occurredAt: new Date().toISOString(),
+    text: `Test notification from the pre-sale app for ${shop}`,
+    data: {},
+  };
+  await prisma.notificationDelivery.create({
+    data: { shop, endpointId: endpoint.id, event: "test", payload: deliveryBody(endpoint, event) },
+  });
+  kickDeliveries();
+  return true;
+}
+
+// orders/create placed holds on an order. Counts come from the held order cache, which
+// the hold has just refreshed.
+export async function notifyHoldPlaced(shop, { orderId, orderName }) {
+  await notify(shop, "hold.placed", async () => {
+    const startOfDay = new Date(`${dayOf(new Date())}T00:00:00Z`);
+    const [rows, heldToday] = await Promise.all([
+      prisma.heldFulfillmentOrder.findMany({
+        where: { shop, orderId },
+        select: { fulfillmentOrderId: true, locationId: true, lines: true },
+      }),
+      prisma.holdPeriod.groupBy({ by: ["orderId"], where: { shop, heldAt: { gte: startOfDay } } }),
+    ]);
+    const { units } = heldLineTotals(rows.flatMap((row) => JSON.parse(row.lines)));
+
+    return {
+      text: `Order ${orderName} placed on pre-sale hold (${units} units). ` +
+        `${heldToday.length} orders placed on pre-sale hold today.`,
+      data: {
+        orderId,
+        orderName,
+        units,
+        heldToday: heldToday.length,
+        fulfillmentOrders: rows.map((row) => ({
+          id: row.fulfillmentOrderId,
+          locationId: row.locationId,
+          lines: JSON.parse(row.lines).map((line) => ({ sku: line.sku, title: line.title, quantity: line.remainingQuantity })),
+        })),
+      },
+    };
+  });
+}
+
+// A release job or scheduled release finished. With nothing released it counts as failed.
+export async function notifyReleaseFinished(shop, { description, source, jobId = null, results = [], error = null }) {
+  const succeeded = results.filter((result) => result.status !== "FAILED");
+  const failed = results.filter((result) => result.status === "FAILED");
+  const releaseFailed = Boolean(error) || (succeeded.length === 0 && failed.length > 0);
+
+  const text = error
+    ? `${description} failed: ${error}`
+    : `${description}: released ${succeeded.length} orders` +
+      `${failed.length > 0 ? ` (${failed.length} failed: ${orderNamesText(failed.map((result) => result.orderName))})` : ""}`;
+
+  await notify(shop, releaseFailed ? "release.failed" : "release.completed", {
+    text,
+    data: {
+      jobId,
+      source,
+      description,
+      released: succeeded.length,
+      failed: failed.length,
+      split: results.filter((result) => result.split).length,
+      error,
+      orders: results.map((result) => ({
+        orderId: result.orderId,
+        orderName: result.orderName,
+        status: result.status,
+        error: result.error || null,
+      })),
+    },
+  });
+}
+
+// Scheduler tick: report holds older than each shop's threshold, once per stretch on hold.
+// Only shops with an endpoint for the alert are checked, so it covers old holds when one is added.
+export async function runLongHeldAlerts(now = new Date()) {
+  const endpoints = await prisma.notificationEndpoint.findMany({
+    where: { enabled: true, events: { contains: '"hold.long_held"' } },
+    select: { shop: true },
+  });
+
+  for (const shop of new Set(endpoints.map((endpoint) => endpoint.shop))) {
+    const days = await getLongHeldAlertDays(shop);
+    const periods = await prisma.holdPeriod.findMany({
+      where: { shop, releasedAt: null, alertedAt: null, heldAt: { lt: new Date(now - days * DAY_MS) } },
+      orderBy: { heldAt: "asc" },
+    });
+    if (periods.length === 0) continue;
+
+    const orders = new Map();
+    for (const period of periods) {
+      const order = orders.get(period.orderId) ||
+        { orderId: period.orderId, orderName: period.orderName, heldAt: period.heldAt.toISOString(), units: 0 };
+      order.units += period.units;
+      orders.set(period.orderId, order);
+    }
+
+    await notify(shop, "hold.long_held", {
+      text: `${orders.size} orders have been on pre-sale hold for more than ${days} days: ` +
+        orderNamesText([...orders.values()].map((order) => order.orderName)),
+      data: { thresholdDays: days, orders: [...orders.values()] },
+    });
+    await prisma.holdPeriod.updateMany({
+      where: { id: { in: periods.map((period) => period.id) } },
+      data: { alertedAt: now },
+    });
+  }
+}
@@ -0,0 +1,272 @@
+import prisma from "../db.server";
+import { createAuditLog } from "../models/AuditLog.server";
+
+// Shopify sends shop/redact 48 hours after an uninstall; a reinstall before then keeps the data
+const PURGE_DELAY_MS = 48 * 60 * 60 * 1000;
+
+const REDACTED = "[redacted]";
+
+const orderGid = (id) => `gid://shopify/Order/${id}`;
+
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+
+// Replace order names such as #1001 without touching #10010
+function scrubNames(text, names) {
+  return names.reduce(
+    (scrubbed, name) => scrubbed.replace(new RegExp(`${escapeRegExp(name)}(?!\\d)`, "g"), REDACTED),
+    text
+  );
+}
+
+// Recorded webhook deliveries about these orders; their payloads hold the customer's details
+function orderWebhookEvents(shop, orderGids) {
+  return prisma.webhookEvent.findMany({
+    where: {
+      shop,
+      OR: orderGids.map((gid) => ({ payload: { contains: `"admin_graphql_api_id":"${gid}"` } })),
+    },
+  });
+}
+
+// Everything stored about these orders, as the set a data request reports and a redaction
+// scrubs. Order names are gathered too, for the records that only name their orders.
+async function findOrderData(shop, orderGids) {
+  const [orderRecords, events] = await Promise.all([
+    prisma.auditLogOrder.findMany({
+      where: { orderId: { in: orderGids }, auditLog: { shop } },
+      select: { orderName: true },
+    }),
+    orderWebhookEvents(shop, orderGids),
+  ]);
+  const names = [...new Set([
+    ...orderRecords.map((order) => order.orderName),
+    ...events.map((event) => JSON.parse(event.payload).name),
+  ])].filter((name) => name && name !== REDACTED);
+
+  // Stored JSON quotes each ID, which keeps Order/100 from matching Order/1001
+  const mentionsOrder = (field) => orderGids.map((gid) => ({ [field]: { contains: `"${gid}"` } }));
+  const ofOrders = { shop, orderId: { in: orderGids } };
+
+  const [logs, jobs, reports, runs, deliveries, relocks, periods, heldFulfillmentOrders] = await Promise.all([
+    prisma.auditLog.findMany({
+      where: {
+        shop,
+        OR: [
+          { orders: { some: { orderId: { in: orderGids } } } },
+          // Entries from before per-order records only name their orders in the description
+          ...names.map((name) => ({ description: { contains: name } })),
+        ],
+      },
+      orderBy: { createdAt: "asc" },
+      include: { orders: { where: { orderId: { in: orderGids } } } },
+    }),
+    prisma.releaseJob.findMany({ where: { shop, OR: mentionsOrder("plan") }, orderBy: { createdAt: "asc" } }),
+    prisma.allocationReport.findMany({ where: { shop, OR: mentionsOrder("orders") }, orderBy: { createdAt: "asc" } }),
+    prisma.scheduledReleaseRun.findMany({ where: { shop, OR: mentionsOrder("processedOrderIds") } }),
+    // Slack messages only carry the order names
+    prisma.notificationDelivery.findMany({
+      where: { shop, OR: [...mentionsOrder("payload"), ...names.map((name) => ({ payload: { contains: name } }))] },
+      orderBy: { createdAt: "asc" },
+    }),
+    prisma.fulfillmentOrderRelock.findMany({ where: ofOrders }),
+    prisma.holdPeriod.findMany({ where: ofOrders, orderBy: { heldAt: "asc" } }),
+    prisma.heldFulfillmentOrder.findMany({ where: ofOrders }),
+  ]);
+
+  return { names, events, logs, jobs, reports, runs, deliveries, relocks, periods, heldFulfillmentOrders };
+}
+
+// customers/data_request: everything this app recorded about the customer's orders,
+// returned in the webhook response and noted in the activity history for the merchant
+export async function customerDataReport(shop, payload) {
+  const orderGids = (payload.orders_requested || []).map(orderGid);
+  const data = await findOrderData(shop, orderGids);
+  const forOrders = (json) => JSON.parse(json).filter((entry) => orderGids.includes(entry.orderId));
+
+  const found = data.logs.length + data.events.length + data.heldFulfillmentOrders.length + data.periods.length +
+    data.relocks.length + data.jobs.length + data.reports.length + data.runs.length + data.deliveries.length;
+  await createAuditLog(shop, {
+    action: "PRIVACY",
+    description: `Customer data request ${payload.data_request?.id ?? ""} for ${orderGids.length} orders: ` +
+      `${found} records found`,
+    intent: "customers_data_request",
+  });
+
+  return {
+    customerId: payload.customer?.id ?? null,
+    orders: orderGids,
+    activity: data.logs.map((log) => ({
+      time: log.createdAt.toISOString(),
+      action: log.action,
+      description: log.description,
+      orders: log.orders.map((order) => ({
+        orderId: order.orderId,
+        orderName: order.orderName,
+        outcome: order.outcome,
+        releasedLines: JSON.parse(order.releasedLines),
+        error: order.error,
+      })),
+    })),
+    webhookEvents: data.events.map((event) => ({
+      topic: event.topic,
+      receivedAt: event.receivedAt.toISOString(),
+      payload: JSON.parse(event.payload),
+    })),
+    heldFulfillmentOrders: data.heldFulfillmentOrders.map((row) => ({
+      fulfillmentOrderId: row.fulfillmentOrderId,
+      orderId: row.orderId,
+      orderName: row.orderName,
+      customerName: row.customerName,
+      customerEmail: row.customerEmail,
+      customerTags: JSON.parse(row.customerTags),
+      customerOrderCount: row.customerOrderCount,
+      holdNotes: row.holdNotes,
+      lines: JSON.parse(row.lines),
+    })),
+    holdPeriods: data.periods.map((period) => ({
+      fulfillmentOrderId: period.fulfillmentOrderId,
+      orderId: period.orderId,
+      orderName: period.orderName,
+      units: period.units,
+      heldAt: period.heldAt.toISOString(),
+      releasedAt: period.releasedAt?.toISOString() || null,
+    })),
+    pendingHolds: data.relocks.map((relock) => ({
+      fulfillmentOrderId: relock.fulfillmentOrderId,
+      orderId: relock.orderId,
+      orderName: relock.orderName,
+      createdAt: relock.createdAt.toISOString(),
+    })),
+    releaseJobs: data.jobs.map((job) => ({
+      description: job.description,
+      createdAt: job.createdAt.toISOString(),
+      plan: forOrders(job.plan),
+      results: forOrders(job.results),
+    })),
+    allocationReports: data.reports.map((report) => ({
+      createdAt: report.createdAt.toISOString(),
+      orders: forOrders(report.orders),
+    })),
+    scheduledReleases: data.runs.map((run) => ({
+      releaseAt: run.releaseAt.toISOString(),
+      results: forOrders(run.results),
+    })),
+    notifications: data.deliveries.map((delivery) => ({
+      event: delivery.event,
+      createdAt: delivery.createdAt.toISOString(),
+      payload: JSON.parse(delivery.payload),
+    })),
+  };
+}
+
+// customers/redact: remove the customer's order names from everything stored about
+// those orders and drop the webhook payloads that carry their details
+export async function redactCustomerData(shop, payload) {
+  const orderGids = (payload.orders_to_redact || []).map(orderGid);
+  if (orderGids.length === 0) return { redactedOrders: 0 };
+
+  const { names, events, logs, jobs, reports, runs, deliveries } = await findOrderData(shop, orderGids);
+
+  await prisma.$transaction([
+    prisma.auditLogOrder.updateMany({
+      where: { orderId: { in: orderGids }, auditLog: { shop } },
+      data: { orderName: REDACTED },
+    }),
+    ...logs.map((log) => prisma.auditLog.update({
+      where: { id: log.id },
+      data: { description: scrubNames(log.description, names) },
+    })),
+    ...events.map((event) => prisma.webhookEvent.update({
+      where: { id: event.id },
+      data: { payload: JSON.stringify({ redacted: true }) },
+    })),
+    ...jobs.map((job) => prisma.releaseJob.update({
+      where: { id: job.id },
+      data: {
+        description: scrubNames(job.description, names),
+        plan: scrubNames(job.plan, names),
+        results: scrubNames(job.results, names),
+      },
+    })),
+    ...reports.map((report) => prisma.allocationReport.update({
+      where: { id: report.id },
+      data: { orders: scrubNames(report.orders, names) },
+    })),
+    ...runs.map((run) => prisma.scheduledReleaseRun.update({
+      where: { id: run.id },
+      data: {
+        releasedOrderNames: scrubNames(run.releasedOrderNames, names),
+        results: scrubNames(run.results, names),
+      },
+    })),
+    ...deliveries.map((delivery) => prisma.notificationDelivery.update({
+      where: { id: delivery.id },
+      data: { payload: scrubNames(delivery.payload, names) },
+    })),
+    prisma.fulfillmentOrderRelock.updateMany({
+      where: { shop, orderId: { in: orderGids } },
+      data: { orderName: REDACTED },
+    }),
+    prisma.holdPeriod.updateMany({
+      where: { shop, orderId: { in: orderGids } },
+      data: { orderName: REDACTED },
+    }),
+    // The cached copy comes back from Shopify, already redacted there, on the next resync
+    prisma.heldFulfillmentOrder.deleteMany({ where: { shop, orderId: { in: orderGids } } }),
+    createAuditLog(shop, {
+      action: "PRIVACY",
+      description: `Redacted ${orderGids.length} orders for a customer redaction request`,
+      intent: "customers_redact",
+    }),
+  ]);
+
+  console.log(`🧽 ${shop}: redacted ${orderGids.length} orders (${events.length} webhook payloads)`);
+  return { redactedOrders: orderGids.length };
+}
+
+// Delete everything stored for a shop. New shop-scoped models need adding here.
+export async function purgeShopData(shop) {
+  await prisma.$transaction([
+    prisma.auditLogOrder.deleteMany({ where: { auditLog: { shop } } }),
+    prisma.auditLog.deleteMany({ where: { shop } }),
+    prisma.scheduledReleaseRun.deleteMany({ where: { shop } }),
+    prisma.presaleRule.deleteMany({ where: { shop } }),
+    prisma.presaleLocation.deleteMany({ where: { shop } }),
+    prisma.configuration.deleteMany({ where: { shop } }),
+    prisma.inventoryLevelSnapshot.deleteMany({ where: { shop } }),
+    prisma.webhookEvent.deleteMany({ where: { shop } }),
+    prisma.releaseJob.deleteMany({ where: { shop } }),
+    prisma.allocationReport.deleteMany({ where: { shop } }),
+    prisma.fulfillmentOrderRelock.deleteMany({ where: { shop } }),
+    prisma.heldFulfillmentOrder.deleteMany({ where: { shop } }),
+    prisma.holdPeriod.deleteMany({ where: { shop } }),
+    prisma.heldBacklogSnapshot.deleteMany({ where: { shop } }),
+    prisma.apiKey.deleteMany({ where: { shop } }),
+    prisma.notificationDelivery.deleteMany({ where: { shop } }),
+    prisma.notificationEndpoint.deleteMany({ where: { shop } }),
+    prisma.session.deleteMany({ where: { shop } }),
+    prisma.shopPurge.deleteMany({ where: { shop } }),
+  ]);
+  console.log(`🗑️ Purged all data for ${shop}`);
+}
+
+export async function scheduleShopPurge(shop) {
+  const purgeAt = new Date(Date.now() + PURGE_DELAY_MS);
+  await prisma.shopPurge.upsert({
+    where: { shop },
+    update: { purgeAt },
+    create: { shop, purgeAt },
+  });
+}
+
+// The shop installed the app again, so its settings and history stay
+export async function cancelShopPurge(shop) {
+  await prisma.shopPurge.deleteMany({ where: { shop } });
+}
+
+export async function runDuePurges(now = new Date()) {
+  const due = await prisma.shopPurge.findMany({ where: { purgeAt: { lte: now } } });
+  for (const { shop } of due) {
+    await purgeShopData(shop);
+  }
+}
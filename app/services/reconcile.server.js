@@ -0,0 +1,246 @@
+import prisma from "../db.server";
+import { createAuditLog } from "../models/AuditLog.server";
+import { getHoldSettings } from "../models/Configuration.server";
+import { getEnabledLocationIds } from "../models/PresaleLocation.server";
+import { getPresaleRules, ruleMatchesLine } from "../models/PresaleRule.server";
+import { fillHoldNotes } from "../utils/holds";
+import { graphqlWithRetry } from "./graphql.server";
+import {
+  hasPresaleHold,
+  removePresaleTags,
+  addPresaleTag,
+  holdFulfillmentOrder,
+  refreshHeldOrderQuietly,
+} from "./release.server";
+
+// A release this recent explains a hold_released webhook without anyone touching the admin
+const RECENT_RELEASE_MS = 60 * 60 * 1000;
+
+async function fetchOrder(admin, orderId) {
+  const data = await graphqlWithRetry(
+    admin,
+    `#graphql
+      query order($id: ID!) {
+        order(id: $id) { id name tags cancelledAt }
+      }
+    `,
+    { id: orderId }
+  );
+  return data.order;
+}
+
+async function fetchFulfillmentOrder(admin, id) {
+  const data = await graphqlWithRetry(
+    admin,
+    `#graphql
+      query fulfillmentOrder($id: ID!) {
+        fulfillmentOrder(id: $id) {
+          id
+          status
+          assignedLocation { name location { id } }
+          order { id name }
+          lineItems(first: 50) { nodes { lineItem { title } } }
+        }
+      }
+    `,
+    { id }
+  );
+  return data.fulfillmentOrder;
+}
+
+const orderRecord = (order, fulfillmentOrderIds = []) => ({
+  orderId: order.id,
+  orderName: order.name,
+  fulfillmentOrderIds,
+  status: "SYNCED",
+});
+
+// A release is between unlocking a fulfillment order and holding the rest again
+const releaseInFlight = async (orderId) =>
+  (await prisma.fulfillmentOrderRelock.count({ where: { orderId } })) > 0;
+
+// Match the pre-sale tag to whether the order still has a pre-sale hold. Returns what
+// changed, or null when the tag was already right.
+async function syncPresaleTag(admin, shop, order) {
+  const settings = await getHoldSettings(shop);
+  const presaleTags = [settings.presaleTag, ...settings.retagFrom];
+  const tagged = order.tags.some((tag) => presaleTags.includes(tag));
+  const held = !order.cancelledAt && await hasPresaleHold(admin, order.id);
+
+  if (held && !order.tags.includes(settings.presaleTag)) {
+    const errors = await addPresaleTag(admin, order.id, settings.presaleTag);
+    if (errors.length > 0) throw new Error(errors.join("; "));
+    return "pre-sale tag added";
+  }
+  if (!held && tagged) {
+    const errors = await removePresaleTags(admin, order.id, settings);
+    if (errors.length > 0) throw new Error(errors.join("; "));
+    return "pre-sale tag removed";
+  }
+  return null;
+}
+
+// Bring one order's tag and cached holds in line with Shopify and note any tag change in the audit trail
+async function reconcileOrder(admin, shop, orderId, { action, describe, fulfillmentOrderIds }) {
+  if (await releaseInFlight(orderId)) return null;
+
+  const order = await fetchOrder(admin, orderId);
+  if (!order) return null;
+
+  const change = await syncPresaleTag(admin, shop, order);
+  if (change) {
+    await createAuditLog(shop, {
+      action,
+      description: `${describe(order)}; ${change}`,
+      intent: "order_sync",
+      orders: [orderRecord(order, fulfillmentOrderIds)],
+    });
+    console.log(`🔄 ${order.name}: ${change}`);
+  }
+  await refreshHeldOrderQuietly(admin, shop, orderId);
+  return change;
+}
+
+// orders/cancelled: the cancelled order's holds are gone, so are its tag and any pending re-hold
+export async function handleOrderCancelled(admin, shop, payload) {
+  const orderId = payload.admin_graphql_api_id;
+  await prisma.fulfillmentOrderRelock.deleteMany({ where: { shop, orderId } });
+
+  return reconcileOrder(admin, shop, orderId, {
+    action: "ORDER_CANCELLED",
+    describe: (order) => `${order.name} was cancelled while on pre-sale hold`,
+  });
+}
+
+// orders/updated: an edit can remove the held items. Only tagged or cached orders are
+// looked up, since every tag change this app makes is an update too.
+export async function handleOrderUpdated(admin, shop, payload) {
+  const settings = await getHoldSettings(shop);
+  const presaleTags = [settings.presaleTag, ...settings.retagFrom];
+  const tags = String(payload.tags || "").split(",").map((tag) => tag.trim());
+  const cached = await prisma.heldFulfillmentOrder.count({ where: { shop, orderId: payload.admin_graphql_api_id } });
+  if (!tags.some((tag) => presaleTags.includes(tag)) && cached === 0) return null;
+
+  return reconcileOrder(admin, shop, payload.admin_graphql_api_id, {
+    action: "ORDER_EDITED",
+    describe: (order) => `${order.name} was changed in Shopify`,
+  });
+}
+
+// The pre-sale hold this app placed on a fulfillment order, as the cache or hold history knows
+// it. Holds placed by staff or other apps have neither.
+async function trackedHold(shop, fulfillmentOrderId) {
+  const [cached, openPeriods] = await Promise.all([
+    prisma.heldFulfillmentOrder.findFirst({ where: { shop, fulfillmentOrderId }, select: { lines: true } }),
+    prisma.holdPeriod.count({ where: { shop, fulfillmentOrderId, releasedAt: null } }),
+  ]);
+  if (!cached && openPeriods === 0) return null;
+  return { lines: cached ? JSON.parse(cached.lines) : [] };
+}
+
+// Scheduled releases have no plan to look in: one covers the fulfillment order once it has
+// processed the order or its rule matches one of the held lines
+async function inScheduledRun(shop, orderId, lines) {
+  const runs = await prisma.scheduledReleaseRun.findMany({
+    where: { shop, status: "RUNNING" },
+    select: { ruleId: true, processedOrderIds: true },
+  });
+  if (runs.length === 0) return false;
+
+  const rules = await getPresaleRules(shop);
+  return runs.some((run) => {
+    if (JSON.parse(run.processedOrderIds).includes(orderId)) return true;
+    const rule = rules.find((r) => r.id === run.ruleId);
+    return Boolean(rule) && lines.some((line) => ruleMatchesLine(rule, line));
+  });
+}
+
+// Whether this app released the fulfillment order itself, going by releases in progress that
+// include it and the fulfillment orders recent audit entries record as released
+async function releasedByApp(shop, orderId, fulfillmentOrderId, lines) {
+  const [relocks, runningJobs, scheduled, recentRelease] = await Promise.all([
+    prisma.fulfillmentOrderRelock.count({ where: { orderId } }),
+    // Plans quote each ID, so one fulfillment order can't match another that starts the same
+    prisma.releaseJob.count({ where: { shop, status: "RUNNING", plan: { contains: `"${fulfillmentOrderId}"` } } }),
+    inScheduledRun(shop, orderId, lines),
+    prisma.auditLogOrder.count({
+      where: {
+        releasedHolds: { contains: `"${fulfillmentOrderId}"` },
+        auditLog: { shop, createdAt: { gte: new Date(Date.now() - RECENT_RELEASE_MS) } },
+      },
+    }),
+  ]);
+  return scheduled || relocks + runningJobs + recentRelease > 0;
+}
+
+// fulfillment_orders/hold_released: a pre-sale hold lifted in the Shopify admin is recorded, and
+// the tag goes once no pre-sale hold is left. Releases by this app tidy the tag themselves, and
+// holds this app didn't place are none of its business.
+export async function handleHoldReleased(admin, shop, payload) {
+  const hold = await trackedHold(shop, payload.fulfillment_order.id);
+  if (!hold) return null;
+
+  const fo = await fetchFulfillmentOrder(admin, payload.fulfillment_order.id);
+  if (!fo || await releasedByApp(shop, fo.order.id, fo.id, hold.lines)) return null;
+
+  const order = await fetchOrder(admin, fo.order.id);
+  const change = await syncPresaleTag(admin, shop, order);
+  await refreshHeldOrderQuietly(admin, shop, order.id);
+
+  await createAuditLog(shop, {
+    action: "MANUAL_RELEASE",
+    description: `A pre-sale hold on ${order.name} was released in the Shopify admin${change ? `; ${change}` : ""}`,
+    intent: "order_sync",
+    orders: [orderRecord(order, [fo.id])],
+  });
+  return change;
+}
+
+// fulfillment_orders/split: the split parts keep or lose holds of their own, so only the tag needs checking
+export async function handleFulfillmentOrderSplit(admin, shop, payload) {
+  const fo = await fetchFulfillmentOrder(admin, payload.fulfillment_order.id);
+  if (!fo) return null;
+
+  return reconcileOrder(admin, shop, fo.order.id, {
+    action: "ORDER_SPLIT",
+    describe: (order) => `A fulfillment order of ${order.name} was split in Shopify`,
+    fulfillmentOrderIds: [fo.id, payload.remaining_fulfillment_order?.id].filter(Boolean),
+  });
+}
+
+// fulfillment_orders/moved: items moved into a pre-sale location are held like a new order's,
+// and the tag follows whatever holds the order has afterwards
+export async function handleFulfillmentOrderMoved(admin, shop, payload) {
+  const fo = await fetchFulfillmentOrder(admin, payload.moved_fulfillment_order.id);
+  if (!fo || await releaseInFlight(fo.order.id)) return null;
+
+  const presaleLocationIds = await getEnabledLocationIds(shop);
+  const intoPresaleLocation = fo.status === "OPEN" && presaleLocationIds.includes(fo.assignedLocation.location?.id);
+
+  if (intoPresaleLocation) {
+    const settings = await getHoldSettings(shop);
+    const errors = await holdFulfillmentOrder(admin, fo.id, {
+      reason: settings.holdReason,
+      reasonNotes: fillHoldNotes(settings.holdNotes, {
+        order: fo.order.name,
+        products: [...new Set(fo.lineItems.nodes.map((node) => node.lineItem.title))].join(", "),
+        location: fo.assignedLocation.name,
+      }),
+    });
+    if (errors.length > 0) throw new Error(`Could not hold ${fo.id}: ${errors.join("; ")}`);
+  }
+
+  const order = await fetchOrder(admin, fo.order.id);
+  const change = await syncPresaleTag(admin, shop, order);
+  await refreshHeldOrderQuietly(admin, shop, order.id);
+  if (!intoPresaleLocation && !change) return null;
+
+  const changes = [intoPresaleLocation && "put on hold", change].filter(Boolean).join("; ");
+  await createAuditLog(shop, {
+    action: "ORDER_MOVED",
+    description: `Items of ${order.name} were moved to ${fo.assignedLocation.name}; ${changes}`,
+    intent: "order_sync",
+    orders: [orderRecord(order, [fo.id])],
+  });
+  return changes;
+}
@@ -0,0 +1,812 @@
+import prisma from "../db.server";
+import { unauthenticated } from "../shopify.server";
+import { lineFromNode } from "../models/PresaleRule.server";
+import { createAuditLog } from "../models/AuditLog.server";
+import { getHoldSettings, getPriorityTags } from "../models/Configuration.server";
+import { saveHeldOrder, replaceHeldOrders, getHeldOrders } from "../models/HeldFulfillmentOrder.server";
+import { fillHoldNotes } from "../utils/holds";
+import { graphqlWithRetry } from "./graphql.server";
+
+// Holds placed by this app, whether by a pre-sale location or a rule
+export const isPresaleHold = (fo) =>
+  fo.status === "ON_HOLD" && fo.fulfillmentHolds.some((hold) => hold.heldByRequestingApp);
+
+// The hold put back on what a split release leaves behind, from the shop's settings
+const remainingItemsHold = (settings, values) => ({
+  reason: settings.holdReason,
+  reasonNotes: fillHoldNotes(settings.remainingNotes, values),
+});
+
+// Plans made before holds were recorded fall back to the shop's pre-sale hold
+const presaleHold = (settings, values) => ({
+  reason: settings.holdReason,
+  reasonNotes: fillHoldNotes(settings.holdNotes, values),
+});
+
+const productTitles = (lines) => [...new Set(lines.map((line) => line.title))].join(", ");
+
+// Page sizes keep each query well under Shopify's single query cost limit
+const ORDER_PAGE_SIZE = 25;
+const FULFILLMENT_ORDER_PAGE_SIZE = 10;
+const LINE_ITEM_PAGE_SIZE = 25;
+
+// Open orders with something left to ship. Partially fulfilled ones count: once the
+// shippable part of a split release ships, the rest is still on hold.
+const HELD_ORDER_SEARCH = "status:open AND (fulfillment_status:unfulfilled OR fulfillment_status:partial)";
+
+const FULFILLMENT_ORDER_FIELDS = `
+  id
+  status
+  assignedLocation { location { id } }
+  fulfillmentHolds { heldByRequestingApp reason reasonNotes }
+`;
+
+const ORDER_FIELDS = `
+  id
+  name # Need name for logs
+  createdAt
+  customer { displayName email numberOfOrders tags }
+  fulfillmentOrders(first: $foFirst) {
+    nodes { ${FULFILLMENT_ORDER_FIELDS} }
+    pageInfo { hasNextPage endCursor }
+  }
+`;
+
+// Follow a connection's cursor until every page has been read
+export async function fetchAllNodes(fetchPage, firstPage = null) {
+  const nodes = [];
+  let page = firstPage ?? await fetchPage(null);
+
+  for (;;) {
+    nodes.push(...page.nodes);
+    if (!page.pageInfo.hasNextPage) return nodes;
+    page = await fetchPage(page.pageInfo.endCursor);
+  }
+}
+
+async function fetchOrderPage(admin, after) {
+  const data = await graphqlWithRetry(
+    admin,
+    `#graphql
+      query getHeldOrders($query: String!, $first: Int!, $after: String, $foFirst: Int!) {
+        orders(first: $first, after: $after, query: $query) {
+          nodes { ${ORDER_FIELDS} }
+          pageInfo { hasNextPage endCursor }
+        }
+      }
+    `,
+    {
+      query: HELD_ORDER_SEARCH,
+      first: ORDER_PAGE_SIZE,
+      after,
+      foFirst: FULFILLMENT_ORDER_PAGE_SIZE,
+    }
+  );
+  return data.orders;
+}
+
+async function fetchOrder(admin, id) {
+  const data = await graphqlWithRetry(
+    admin,
+    `#graphql
+      query getHeldOrder($id: ID!, $foFirst: Int!) {
+        order(id: $id) { ${ORDER_FIELDS} }
+      }
+    `,
+    { id, foFirst: FULFILLMENT_ORDER_PAGE_SIZE }
+  );
+  return data.order;
+}
+
+async function fetchFulfillmentOrderPage(admin, orderId, after) {
+  const data = await graphqlWithRetry(
+    admin,
+    `#graphql
+      query getOrderFulfillmentOrders($id: ID!, $first: Int!, $after: String) {
+        order(id: $id) {
+          fulfillmentOrders(first: $first, after: $after) {
+            nodes { ${FULFILLMENT_ORDER_FIELDS} }
+            pageInfo { hasNextPage endCursor }
+          }
+        }
+      }
+    `,
+    { id: orderId, first: FULFILLMENT_ORDER_PAGE_SIZE, after }
+  );
+  return data.order.fulfillmentOrders;
+}
+
+export async function fetchLineItemPage(admin, fulfillmentOrderId, after) {
+  const data = await graphqlWithRetry(
+    admin,
+    `#graphql
+      query getHeldLineItems($id: ID!, $first: Int!, $after: String) {
+        fulfillmentOrder(id: $id) {
+          lineItems(first: $first, after: $after) {
+            nodes {
+              id
+              remainingQuantity
+              lineItem {
+                title
+                variantTitle
+                sku
+                discountedUnitPriceSet { shopMoney { amount } }
+                variant { id inventoryItem { id } }
+                product {
+                  id
+                  tags
+                  collections(first: 25) { nodes { id } }
+                }
+              }
+            }
+            pageInfo { hasNextPage endCursor }
+          }
+        }
+      }
+    `,
+    { id: fulfillmentOrderId, first: LINE_ITEM_PAGE_SIZE, after }
+  );
+  return data.fulfillmentOrder.lineItems;
+}
+
+// Position of the first priority tier the customer's tags put them in. Customers in
+// no tier come after every tier.
+export function priorityTier(customerTags, priorityTags) {
+  const tags = customerTags.map((tag) => tag.toLowerCase());
+  const index = priorityTags.findIndex((tag) => tags.includes(tag.toLowerCase()));
+  return index === -1 ? priorityTags.length : index;
+}
+
+// Priority tiers first, then oldest first. Orders without a tier rank sort as top tier,
+// which keeps plain oldest-first order when no tiers are set up.
+const releaseQueue = (heldOrders) =>
+  [...heldOrders].sort((a, b) =>
+    (a.priority ?? 0) - (b.priority ?? 0) || new Date(a.createdAt) - new Date(b.createdAt));
+
+// Every open order with at least one pre-sale hold, flattened for planning and in
+// release order: priority tiers first, oldest first within a tier.
+// Orders, their fulfillment orders and line items are all paged through, and line
+// items are only fetched for the fulfillment orders that are actually held.
+export async function fetchHeldOrders(admin, { priorityTags = [] } = {}) {
+  const orders = await fetchAllNodes((after) => fetchOrderPage(admin, after));
+  const heldOrders = [];
+
+  for (const order of orders) {
+    const heldOrder = await heldOrderFromNode(admin, order, priorityTags);
+    if (heldOrder) heldOrders.push(heldOrder);
+  }
+
+  return releaseQueue(heldOrders);
+}
+
+// One order in the same shape, or null once it has no pre-sale hold left
+export async function fetchHeldOrder(admin, orderId, { priorityTags = [] } = {}) {
+  const order = await fetchOrder(admin, orderId);
+  return order ? heldOrderFromNode(admin, order, priorityTags) : null;
+}
+
+// Bring the cached copy of one order up to date with Shopify
+export async function refreshHeldOrder(admin, shop, orderId) {
+  const heldOrder = await fetchHeldOrder(admin, orderId, { priorityTags: await getPriorityTags(shop) });
+  await saveHeldOrder(shop, orderId, heldOrder);
+  return heldOrder;
+}
+
+// Rebuild the shop's whole held order cache from Shopify
+export async function resyncHeldOrders(admin, shop) {
+  const heldOrders = await fetchHeldOrders(admin, { priorityTags: await getPriorityTags(shop) });
+  await replaceHeldOrders(shop, heldOrders);
+  console.log(`🔄 ${shop}: cached ${heldOrders.length} held orders`);
+  return heldOrders;
+}
+
+// Keeping the cache current must never fail the change that was already made in Shopify
+export async function refreshHeldOrderQuietly(admin, shop, orderId) {
+  try {
+    await refreshHeldOrder(admin, shop, orderId);
+  } catch (error) {
+    console.error(`❌ Could not refresh cached holds of ${orderId}:`, error);
+  }
+}
+
+async function heldOrderFromNode(admin, order, priorityTags) {
+  const fulfillmentOrders = await fetchAllNodes(
+    (after) => fetchFulfillmentOrderPage(admin, order.id, after),
+    order.fulfillmentOrders
+  );
+
+  const heldFulfillmentOrders = [];
+  for (const fo of fulfillmentOrders.filter(isPresaleHold)) {
+    const locationId = fo.assignedLocation.location?.id;
+    const lineNodes = await fetchAllNodes((after) => fetchLineItemPage(admin, fo.id, after));
+    const { reason, reasonNotes } = fo.fulfillmentHolds.find((hold) => hold.heldByRequestingApp);
+    heldFulfillmentOrders.push({
+      id: fo.id,
+      locationId,
+      hold: { reason, reasonNotes },
+      lines: lineNodes.map((node) => lineFromNode(node, locationId)),
+    });
+  }
+  if (heldFulfillmentOrders.length === 0) return null;
+
+  const customerTags = order.customer?.tags || [];
+  const priority = priorityTier(customerTags, priorityTags);
+  return {
+    id: order.id,
+    name: order.name,
+    createdAt: order.createdAt,
+    customer: {
+      name: order.customer?.displayName || "Guest",
+      email: order.customer?.email || "",
+      orderCount: Number(order.customer?.numberOfOrders || 0),
+      tags: customerTags,
+    },
+    priority,
+    tier: priorityTags[priority] || null,
+    fulfillmentOrders: heldFulfillmentOrders,
+  };
+}
+
+const clampQuantity = (quantity, max) => Math.min(Math.max(Math.floor(Number(quantity) || 0), 0), max);
+
+// `lines` ship now; `heldLines` stay on hold, which is what makes a split necessary.
+// A line can be in both when only some of its units ship.
+function planFulfillmentOrder(fo, linesToRelease, quantityFor = (line) => line.remainingQuantity) {
+  const lines = [];
+  const heldLines = [];
+
+  for (const line of fo.lines) {
+    const planned = { id: line.id, title: line.title, variantId: line.variantId, productId: line.productId };
+    const quantity = linesToRelease.includes(line) ? clampQuantity(quantityFor(line), line.remainingQuantity) : 0;
+    if (quantity > 0) lines.push({ ...planned, quantity });
+    if (quantity < line.remainingQuantity) heldLines.push({ ...planned, quantity: line.remainingQuantity - quantity });
+  }
+
+  return { id: fo.id, locationId: fo.locationId, hold: fo.hold, split: heldLines.length > 0, lines, heldLines };
+}
+
+// Work out which held fulfillment orders to release, and which need a split first.
+// `matchLine(line, order)` picks the line items that should ship and `quantityFor` how many
+// of each; an empty `locationIds` means everywhere. Plans follow the release queue order.
+export function buildReleasePlan(heldOrders, { orderIds = null, locationIds = [], matchLine = () => true, quantityFor }) {
+  const plan = [];
+
+  for (const order of releaseQueue(heldOrders)) {
+    if (orderIds && !orderIds.includes(order.id)) continue;
+
+    const fulfillmentOrders = [];
+    for (const fo of order.fulfillmentOrders) {
+      if (locationIds.length > 0 && !locationIds.includes(fo.locationId)) continue;
+
+      const linesToRelease = fo.lines.filter((line) => matchLine(line, order));
+      if (linesToRelease.length === 0) continue;
+
+      const planned = planFulfillmentOrder(fo, linesToRelease, quantityFor);
+      if (planned.lines.length > 0) fulfillmentOrders.push(planned);
+    }
+
+    if (fulfillmentOrders.length > 0) {
+      plan.push({ orderId: order.id, orderName: order.name, fulfillmentOrders });
+    }
+  }
+
+  return plan;
+}
+
+// Order fields a held orders search looks at, besides the item names
+const orderSearchText = (order) =>
+  [order.name, order.customer.name, order.customer.email, ...order.customer.tags].join(" ").toLowerCase();
+
+// Plan a release of cached held orders picked the way the dashboard filters them. A search
+// that found the order by its name or customer releases all of it, one that matched item
+// names releases only those items. `skus` and `productIds` narrow the lines further.
+export async function planHeldOrderRelease(
+  shop,
+  { search = "", locationIds = [], orderIds = null, skus = [], productIds = [], unitsPerLine = null } = {}
+) {
+  const heldOrders = await getHeldOrders(shop, { search, locationIds, orderIds }, await getPriorityTags(shop));
+  const text = search.toLowerCase();
+
+  return buildReleasePlan(heldOrders, {
+    locationIds,
+    matchLine: (line, order) =>
+      (skus.length === 0 || skus.includes(line.sku)) &&
+      (productIds.length === 0 || productIds.includes(line.productId)) &&
+      (!text || orderSearchText(order).includes(text) || line.title.toLowerCase().includes(text)),
+    ...(unitsPerLine ? { quantityFor: () => unitsPerLine } : {}),
+  });
+}
+
+// Ship fewer units of some planned lines, keyed by line ID; the difference stays held.
+// Only lowers quantities, so a confirmed plan never releases more than was previewed.
+export function adjustPlanQuantities(plan, quantities) {
+  return plan
+    .map((entry) => ({
+      ...entry,
+      fulfillmentOrders: entry.fulfillmentOrders
+        .map((fo) => {
+          const totals = new Map();
+          for (const line of [...fo.lines, ...(fo.heldLines ?? [])]) {
+            const total = totals.get(line.id) ?? { ...line, remainingQuantity: 0 };
+            total.remainingQuantity += line.quantity;
+            totals.set(line.id, total);
+          }
+
+          const planned = Object.fromEntries(fo.lines.map((line) => [line.id, line.quantity]));
+          const lines = [...totals.values()];
+          return planFulfillmentOrder(
+            { ...fo, lines },
+            lines.filter((line) => line.id in planned),
+            (line) => Math.min(quantities[line.id] ?? planned[line.id], planned[line.id])
+          );
+        })
+        .filter((fo) => fo.lines.length > 0),
+    }))
+    .filter((entry) => entry.fulfillmentOrders.length > 0);
+}
+
+// Held units per product and variant, to choose what limited stock goes to
+export function summarizeHeldDemand(heldOrders) {
+  const products = new Map();
+
+  for (const order of heldOrders) {
+    for (const line of order.fulfillmentOrders.flatMap((fo) => fo.lines)) {
+      if (!line.productId || !line.variantId) continue;
+
+      const product = products.get(line.productId) ??
+        { id: line.productId, title: line.title, heldUnits: 0, orderIds: new Set(), variants: new Map() };
+      const variant = product.variants.get(line.variantId) ??
+        { id: line.variantId, title: line.variantTitle || line.sku || "Default", sku: line.sku, heldUnits: 0, orderIds: new Set() };
+
+      product.heldUnits += line.remainingQuantity;
+      product.orderIds.add(order.id);
+      variant.heldUnits += line.remainingQuantity;
+      variant.orderIds.add(order.id);
+      product.variants.set(line.variantId, variant);
+      products.set(line.productId, product);
+    }
+  }
+
+  const withOrderCount = ({ orderIds, ...rest }) => ({ ...rest, orderCount: orderIds.size });
+  return [...products.values()]
+    .map((product) => ({ ...withOrderCount(product), variants: [...product.variants.values()].map(withOrderCount) }))
+    .sort((a, b) => a.title.localeCompare(b.title));
+}
+
+
+// Share limited stock across held orders in release queue order. `allocations` maps a variant or
+// product ID to the units available, a variant entry taking precedence over its product's.
+// The order that spans the boundary ships what is left and the rest of its line stays held.
+export function buildAllocationPlan(heldOrders, { allocations, locationId = null }) {
+  const remaining = { ...allocations };
+  const plan = [];
+
+  for (const order of releaseQueue(heldOrders)) {
+    if (Object.values(remaining).every((units) => units <= 0)) break;
+
+    const fulfillmentOrders = [];
+    for (const fo of order.fulfillmentOrders) {
+      if (locationId && fo.locationId !== locationId) continue;
+
+      const quantities = new Map();
+      for (const line of fo.lines) {
+        const key = [line.variantId, line.productId].find((id) => id && id in remaining);
+        if (!key || remaining[key] <= 0) continue;
+
+        const quantity = Math.min(remaining[key], line.remainingQuantity);
+        remaining[key] -= quantity;
+        quantities.set(line.id, quantity);
+      }
+      if (quantities.size === 0) continue;
+
+      fulfillmentOrders.push(planFulfillmentOrder(
+        fo,
+        fo.lines.filter((line) => quantities.has(line.id)),
+        (line) => quantities.get(line.id)
+      ));
+    }
+
+    if (fulfillmentOrders.length > 0) {
+      plan.push({ orderId: order.id, orderName: order.name, createdAt: order.createdAt, tier: order.tier, fulfillmentOrders });
+    }
+  }
+
+  return { plan, remaining };
+}
+
+// Release held orders in queue order, using at most `units` of one inventory item at one
+// location. Stops at the first order that doesn't fit so no one is skipped in the queue.
+export function buildStockReleasePlan(heldOrders, { locationId, inventoryItemId, units }) {
+  const plan = [];
+  let remainingUnits = units;
+
+  for (const order of releaseQueue(heldOrders)) {
+    const fulfillmentOrders = [];
+    let unitsNeeded = 0;
+
+    for (const fo of order.fulfillmentOrders) {
+      if (fo.locationId !== locationId) continue;
+
+      const linesToRelease = fo.lines.filter((line) => line.inventoryItemId === inventoryItemId);
+      if (linesToRelease.length === 0) continue;
+
+      unitsNeeded += linesToRelease.reduce((sum, line) => sum + line.remainingQuantity, 0);
+      fulfillmentOrders.push(planFulfillmentOrder(fo, linesToRelease));
+    }
+
+    if (fulfillmentOrders.length === 0) continue;
+    if (unitsNeeded > remainingUnits) break;
+
+    remainingUnits -= unitsNeeded;
+    plan.push({ orderId: order.id, orderName: order.name, fulfillmentOrders });
+  }
+
+  return { plan, unitsUsed: units - remainingUnits };
+}
+
+const messages = (userErrors) => userErrors.map((e) => e.message);
+
+async function releaseHold(admin, id) {
+  const data = await graphqlWithRetry(
+    admin,
+    `#graphql
+      mutation releaseHold($id: ID!) {
+        fulfillmentOrderReleaseHold(id: $id) { userErrors { message } }
+      }
+    `,
+    { id },
+    { mutation: true }
+  );
+  return messages(data.fulfillmentOrderReleaseHold.userErrors);
+}
+
+// Holding `fulfillmentOrderLineItems` only splits them into a fulfillment order of their own
+export async function holdFulfillmentOrder(admin, id, { reason, reasonNotes, fulfillmentOrderLineItems }) {
+  const data = await graphqlWithRetry(
+    admin,
+    `#graphql
+      mutation hold($id: ID!, $hold: FulfillmentOrderHoldInput!) {
+        fulfillmentOrderHold(id: $id, fulfillmentHold: $hold) { userErrors { message } }
+      }
+    `,
+    { id, hold: { reason, reasonNotes, ...(fulfillmentOrderLineItems ? { fulfillmentOrderLineItems } : {}) } },
+    { mutation: true }
+  );
+  return messages(data.fulfillmentOrderHold.userErrors);
+}
+
+export async function addPresaleTag(admin, orderId, tag) {
+  const data = await graphqlWithRetry(
+    admin,
+    `#graphql
+      mutation tagsAdd($id: ID!, $tags: [String!]!) {
+        tagsAdd(id: $id, tags: $tags) { userErrors { message } }
+      }
+    `,
+    { id: orderId, tags: [tag] },
+    { mutation: true }
+  );
+  return messages(data.tagsAdd.userErrors);
+}
+
+// Put a split fulfillment order back on hold and forget it once that worked.
+// Returns the errors if it is still unlocked; the row stays for the repair sweep.
+async function relock(admin, fulfillmentOrderId, hold) {
+  let errors;
+  try {
+    errors = await holdFulfillmentOrder(admin, fulfillmentOrderId, hold);
+  } catch (error) {
+    errors = [error.message];
+  }
+
+  if (errors.length === 0) {
+    await prisma.fulfillmentOrderRelock.deleteMany({ where: { fulfillmentOrderId } });
+  } else {
+    await prisma.fulfillmentOrderRelock.updateMany({
+      where: { fulfillmentOrderId },
+      data: { attempts: { increment: 1 }, error: errors.join("; ") },
+    });
+  }
+  return errors;
+}
+
+// Release one fulfillment order, splitting off the planned lines when only some ship.
+// Returns whether it was released, the ID of the fulfillment order that now ships, any
+// userErrors Shopify sent back on the way and, when something went wrong, a reason for
+// the results table.
+async function releaseFulfillmentOrder(admin, shop, entry, fo, settings) {
+  if (!fo.split) {
+    const releaseErrors = await releaseHold(admin, fo.id);
+    if (releaseErrors.length > 0) {
+      return { released: false, userErrors: releaseErrors, problem: `Hold not released: ${releaseErrors.join("; ")}` };
+    }
+    return { released: true, releasedId: fo.id, userErrors: [] };
+  }
+
+  // Remember the unlock first, so a crash before the re-hold still gets repaired
+  await prisma.fulfillmentOrderRelock.upsert({
+    where: { fulfillmentOrderId: fo.id },
+    update: {},
+    create: { shop, fulfillmentOrderId: fo.id, orderId: entry.orderId, orderName: entry.orderName },
+  });
+
+  // Unlock
+  const releaseErrors = await releaseHold(admin, fo.id);
+  if (releaseErrors.length > 0) {
+    await prisma.fulfillmentOrderRelock.deleteMany({ where: { fulfillmentOrderId: fo.id } });
+    return { released: false, userErrors: releaseErrors, problem: `Hold not released: ${releaseErrors.join("; ")}` };
+  }
+
+  // Split
+  let splitErrors;
+  let releasedId = null;
+  try {
+    const splitData = await graphqlWithRetry(
+      admin,
+      `#graphql
+        mutation fulfillmentOrderSplit($fulfillmentOrderSplits: [FulfillmentOrderSplitInput!]!) {
+          fulfillmentOrderSplit(fulfillmentOrderSplits: $fulfillmentOrderSplits) {
+            fulfillmentOrderSplits {
+              fulfillmentOrder { id }
+              remainingFulfillmentOrder { id }
+            }
+            userErrors { message }
+          }
+        }
+      `,
+      {
+        fulfillmentOrderSplits: [{
+          fulfillmentOrderId: fo.id,
+          fulfillmentOrderLineItems: fo.lines.map((line) => ({ id: line.id, quantity: line.quantity })),
+        }],
+      },
+      { mutation: true }
+    );
+    splitErrors = messages(splitData.fulfillmentOrderSplit.userErrors);
+    // The original keeps the held items, the other one holds what was split off
+    const [splitResult] = splitData.fulfillmentOrderSplit.fulfillmentOrderSplits || [];
+    releasedId = [splitResult?.fulfillmentOrder, splitResult?.remainingFulfillmentOrder]
+      .find((splitFo) => splitFo && splitFo.id !== fo.id)?.id;
+  } catch (error) {
+    splitErrors = [error.message];
+  }
+
+  // Nothing was split off, so the whole fulfillment order goes back on hold
+  if (splitErrors.length > 0) {
+    const relockErrors = await relock(admin, fo.id, fo.hold || presaleHold(settings, {}));
+    return {
+      released: false,
+      userErrors: [...splitErrors, ...relockErrors],
+      problem: `Split failed: ${splitErrors.join("; ")}` +
+        (relockErrors.length > 0 ? ". It is unlocked and will be put back on hold automatically" : ". It was put back on hold"),
+    };
+  }
+
+  // Re-lock original
+  const relockErrors = await relock(admin, fo.id, remainingItemsHold(settings, {
+    order: entry.orderName,
+    products: productTitles(fo.heldLines),
+  }));
+  return {
+    released: true,
+    releasedId,
+    userErrors: relockErrors,
+    problem: relockErrors.length > 0
+      ? `Remaining items are not on hold yet and will be re-held automatically: ${relockErrors.join("; ")}`
+      : null,
+  };
+}
+
+export async function hasPresaleHold(admin, orderId) {
+  const fulfillmentOrders = await fetchAllNodes((after) => fetchFulfillmentOrderPage(admin, orderId, after));
+  return fulfillmentOrders.some(isPresaleHold);
+}
+
+// Remove the pre-sale tag and any former one still being moved
+export async function removePresaleTags(admin, orderId, settings) {
+  const data = await graphqlWithRetry(
+    admin,
+    `#graphql
+      mutation tagsRemove($id: ID!, $tags: [String!]!) {
+        tagsRemove(id: $id, tags: $tags) { userErrors { message } }
+      }
+    `,
+    { id: orderId, tags: [settings.presaleTag, ...settings.retagFrom] },
+    { mutation: true }
+  );
+  return messages(data.tagsRemove.userErrors);
+}
+
+// Drop the pre-sale tags once no pre-sale hold is left
+async function cleanupTag(admin, orderId, settings) {
+  if (await hasPresaleHold(admin, orderId)) return [];
+  return removePresaleTags(admin, orderId, settings);
+}
+
+// Release every planned fulfillment order of one order, then tidy its tag.
+// Partial means something shipped but not everything went to plan.
+export async function releaseOrder(admin, shop, entry, settings) {
+  let releasedCount = 0;
+  let split = false;
+  const userErrors = [];
+  const problems = [];
+  const releasedHolds = [];
+
+  for (const fo of entry.fulfillmentOrders) {
+    let outcome;
+    try {
+      outcome = await releaseFulfillmentOrder(admin, shop, entry, fo, settings);
+    } catch (error) {
+      outcome = { released: false, userErrors: [], problem: error.message };
+    }
+
+    userErrors.push(...outcome.userErrors);
+    if (outcome.problem) problems.push(outcome.problem);
+    if (outcome.released) {
+      releasedCount++;
+      if (fo.split) split = true;
+      if (outcome.releasedId) releasedHolds.push({ id: outcome.releasedId, ...(fo.hold || presaleHold(settings, {})) });
+    }
+  }
+
+  if (releasedCount > 0) {
+    try {
+      const tagErrors = await cleanupTag(admin, entry.orderId, settings);
+      if (tagErrors.length > 0) {
+        userErrors.push(...tagErrors);
+        problems.push(`Pre-sale tag not removed: ${tagErrors.join("; ")}`);
+      }
+    } catch (error) {
+      problems.push(`Pre-sale tag not removed: ${error.message}`);
+    }
+    await refreshHeldOrderQuietly(admin, shop, entry.orderId);
+  }
+
+  return {
+    released: releasedCount > 0,
+    split,
+    partial: releasedCount > 0 && problems.length > 0,
+    reason: problems.join(". ") || (releasedCount === 0 ? "No fulfillment order could be released" : null),
+    fulfillmentOrderIds: entry.fulfillmentOrders.map((fo) => fo.id),
+    releasedHolds,
+    userErrors,
+  };
+}
+
+const outcomeStatus = (outcome) => {
+  if (!outcome.released) return "FAILED";
+  if (outcome.partial) return "PARTIAL";
+  return outcome.split ? "SPLIT" : "RELEASED";
+};
+
+// One order's outcome, in the shape jobs, scheduled runs and the audit log store
+export function orderResult(entry, outcome) {
+  return {
+    orderId: entry.orderId,
+    orderName: entry.orderName,
+    fulfillmentOrderIds: outcome.fulfillmentOrderIds,
+    status: outcomeStatus(outcome),
+    split: outcome.split,
+    releasedLines: entry.fulfillmentOrders.flatMap((fo) => fo.lines),
+    releasedHolds: outcome.releasedHolds,
+    userErrors: outcome.userErrors,
+    error: outcome.reason,
+  };
+}
+
+// Run a plan order by order. `onOrderProcessed` fires after each order so callers can checkpoint.
+export async function executeReleasePlan(admin, shop, plan, { onOrderProcessed } = {}) {
+  let releasedCount = 0;
+  let splitCount = 0;
+  const releasedOrderNames = [];
+  const settings = await getHoldSettings(shop);
+
+  for (const entry of plan) {
+    const outcome = await releaseOrder(admin, shop, entry, settings);
+
+    if (outcome.released) {
+      releasedCount++;
+      if (outcome.split) splitCount++;
+      releasedOrderNames.push(entry.orderName);
+    }
+
+    if (onOrderProcessed) await onOrderProcessed(entry, outcome);
+  }
+
+  return { releasedCount, splitCount, releasedOrderNames };
+}
+
+// Give a release this long to re-hold on its own before the sweep steps in
+const RELOCK_GRACE_MS = 2 * 60 * 1000;
+const MAX_RELOCK_ATTEMPTS = 10;
+
+export async function fetchFulfillmentOrderStatus(admin, id) {
+  const data = await graphqlWithRetry(
+    admin,
+    `#graphql
+      query fulfillmentOrderStatus($id: ID!) {
+        fulfillmentOrder(id: $id) { status }
+      }
+    `,
+    { id }
+  );
+  return data.fulfillmentOrder?.status ?? null;
+}
+
+async function repairRelock(row) {
+  const { admin } = await unauthenticated.admin(row.shop);
+  const status = await fetchFulfillmentOrderStatus(admin, row.fulfillmentOrderId);
+
+  // Already held again, or nothing left to hold
+  if (status !== "OPEN") {
+    await prisma.fulfillmentOrderRelock.delete({ where: { id: row.id } });
+    if (status !== "ON_HOLD") {
+      console.log(`🧹 ${row.orderName}: fulfillment order is ${status ?? "gone"}, nothing to re-hold`);
+    }
+    return;
+  }
+
+  const settings = await getHoldSettings(row.shop);
+  const errors = await holdFulfillmentOrder(admin, row.fulfillmentOrderId, remainingItemsHold(settings, { order: row.orderName }));
+  if (errors.length > 0) throw new Error(errors.join("; "));
+
+  await prisma.$transaction([
+    prisma.fulfillmentOrderRelock.delete({ where: { id: row.id } }),
+    createAuditLog(row.shop, {
+      action: "REPAIR",
+      description: `Put the remaining items of ${row.orderName} back on hold after an interrupted release`,
+      intent: "relock_repair",
+      orders: [{
+        orderId: row.orderId,
+        orderName: row.orderName,
+        fulfillmentOrderIds: [row.fulfillmentOrderId],
+        status: "RELEASED",
+      }],
+    }),
+  ]);
+  await refreshHeldOrderQuietly(admin, row.shop, row.orderId);
+  console.log(`🔒 ${row.orderName}: remaining items put back on hold`);
+}
+
+// Find fulfillment orders a release unlocked but never re-held (a failed re-hold or a
+// crash mid-split) and hold them again, so unreleased items cannot ship early.
+export async function repairUnlockedFulfillmentOrders() {
+  const rows = await prisma.fulfillmentOrderRelock.findMany({
+    where: { updatedAt: { lt: new Date(Date.now() - RELOCK_GRACE_MS) } },
+    orderBy: { createdAt: "asc" },
+  });
+
+  for (const row of rows) {
+    try {
+      await repairRelock(row);
+    } catch (error) {
+      const attempts = row.attempts + 1;
+      console.error(`❌ Re-hold of ${row.orderName} failed, attempt ${attempts}:`, error);
+
+      if (attempts < MAX_RELOCK_ATTEMPTS) {
+        await prisma.fulfillmentOrderRelock.update({
+          where: { id: row.id },
+          data: { attempts, error: error.message },
+        });
+        continue;
+      }
+
+      await prisma.$transaction([
+        prisma.fulfillmentOrderRelock.delete({ where: { id: row.id } }),
+        createAuditLog(row.shop, {
+          action: "REPAIR",
+          description: `Could not put the remaining items of ${row.orderName} back on hold after ${attempts} attempts; ` +
+            `place the hold by hand: ${error.message}`,
+          intent: "relock_repair",
+          orders: [{
+            orderId: row.orderId,
+            orderName: row.orderName,
+            fulfillmentOrderIds: [row.fulfillmentOrderId],
+            status: "FAILED",
+            error: error.message,
+          }],
+        }),
+      ]);
+    }
+  }
+}
@@ -0,0 +1,95 @@
+import { unauthenticated } from "../shopify.server";
+import { getPendingRetags, finishRetag } from "../models/Configuration.server";
+import { createAuditLog } from "../models/AuditLog.server";
+import { graphqlWithRetry } from "./graphql.server";
+
+const ORDER_PAGE_SIZE = 50;
+// Pages per run; whatever is left is picked up on the next scheduler tick
+const MAX_PAGES = 10;
+
+let retagging = false;
+
+async function fetchTaggedOrders(admin, tag) {
+  const data = await graphqlWithRetry(
+    admin,
+    `#graphql
+      query taggedOrders($query: String!, $first: Int!) {
+        orders(first: $first, query: $query) {
+          nodes { id }
+        }
+      }
+    `,
+    { query: `tag:${JSON.stringify(tag)}`, first: ORDER_PAGE_SIZE }
+  );
+  return data.orders.nodes;
+}
+
+async function retagOrder(admin, orderId, fromTag, toTag) {
+  const data = await graphqlWithRetry(
+    admin,
+    `#graphql
+      mutation retag($id: ID!, $add: [String!]!, $remove: [String!]!) {
+        tagsAdd(id: $id, tags: $add) { userErrors { message } }
+        tagsRemove(id: $id, tags: $remove) { userErrors { message } }
+      }
+    `,
+    { id: orderId, add: [toTag], remove: [fromTag] },
+    { mutation: true }
+  );
+  const userErrors = [...data.tagsAdd.userErrors, ...data.tagsRemove.userErrors];
+  if (userErrors.length > 0) throw new Error(userErrors.map((e) => e.message).join("; "));
+}
+
+// Move existing orders from a former pre-sale tag to the current one. Always starts from
+// the first page, since every order handled drops out of the search.
+async function retagShop({ shop, presaleTag, retagFrom }) {
+  const { admin } = await unauthenticated.admin(shop);
+
+  for (const fromTag of retagFrom) {
+    let moved = 0;
+
+    for (let page = 0; page < MAX_PAGES; page++) {
+      const orders = await fetchTaggedOrders(admin, fromTag);
+      if (orders.length === 0) {
+        await finishRetag(shop, fromTag);
+        await createAuditLog(shop, {
+          action: "SETTINGS",
+          description: `Finished moving orders from tag '${fromTag}' to '${presaleTag}'`,
+          intent: "retag_orders",
+        });
+        console.log(`🏷️ ${shop}: no orders left tagged '${fromTag}'`);
+        break;
+      }
+
+      for (const order of orders) {
+        await retagOrder(admin, order.id, fromTag, presaleTag);
+        moved++;
+      }
+    }
+
+    if (moved > 0) console.log(`🏷️ ${shop}: moved ${moved} orders from '${fromTag}' to '${presaleTag}'`);
+  }
+}
+
+export async function runPendingRetags() {
+  if (retagging) return;
+  retagging = true;
+
+  try {
+    for (const pending of await getPendingRetags()) {
+      try {
+        await retagShop(pending);
+      } catch (error) {
+        console.error(`❌ Retagging orders for ${pending.shop} failed:`, error);
+      }
+    }
+  } finally {
+    retagging = false;
+  }
+}
+
+export function kickRetag() {
+  setImmediate(() => {
+    runPendingRetags().catch((error) => console.error("❌ Retagging orders failed:", error));
+  });
+}
@@ -0,0 +1,181 @@
+import prisma from "../db.server";
+import { unauthenticated } from "../shopify.server";
+import { getDueReleaseRules, ruleMatchesLine } from "../models/PresaleRule.server";
+import { createAuditLog } from "../models/AuditLog.server";
+import { runBacklogSnapshots } from "../models/HoldHistory.server";
+import { getPriorityTags } from "../models/Configuration.server";
+import {
+  fetchHeldOrders,
+  buildReleasePlan,
+  executeReleasePlan,
+  orderResult,
+  repairUnlockedFulfillmentOrders,
+} from "./release.server";
+import { runWorker, kickWorker } from "./jobs.server";
+import { runPendingRetags } from "./retag.server";
+import { notifyReleaseFinished, runDueNotifications, runLongHeldAlerts } from "./notifications.server";
+import { runDuePurges } from "./privacy.server";
+
+const TICK_MS = 60 * 1000;
+const MAX_ATTEMPTS = 5;
+
+let ticking = false;
+
+// Release every held order matching a rule whose launch date has passed
+async function runScheduledRelease(rule) {
+  const key = { ruleId_releaseAt: { ruleId: rule.id, releaseAt: rule.releaseAt } };
+
+  // Pick up where an interrupted run stopped instead of starting over
+  let run = await prisma.scheduledReleaseRun.findUnique({ where: key });
+  // A run that gave up waits until it is retried from the rules page
+  if (run?.status === "FAILED") return;
+  if (!run) {
+    run = await prisma.scheduledReleaseRun.create({
+      data: { shop: rule.shop, ruleId: rule.id, releaseAt: rule.releaseAt },
+    });
+  }
+
+  const processedOrderIds = JSON.parse(run.processedOrderIds);
+  const releasedOrderNames = JSON.parse(run.releasedOrderNames);
+  const results = JSON.parse(run.results);
+  let splitCount = run.splitCount;
+
+  try {
+    const { admin } = await unauthenticated.admin(rule.shop);
+    const heldOrders = await fetchHeldOrders(admin, { priorityTags: await getPriorityTags(rule.shop) });
+    const plan = buildReleasePlan(heldOrders, {
+      matchLine: (line) => ruleMatchesLine(rule, line),
+      ...(rule.releaseUnitsPerLine ? { quantityFor: () => rule.releaseUnitsPerLine } : {}),
+    }).filter((entry) => !processedOrderIds.includes(entry.orderId));
+
+    await executeReleasePlan(admin, rule.shop, plan, {
+      onOrderProcessed: async (entry, outcome) => {
+        processedOrderIds.push(entry.orderId);
+        if (outcome.released) releasedOrderNames.push(entry.orderName);
+        if (outcome.split) splitCount++;
+        results.push(orderResult(entry, outcome));
+
+        await prisma.scheduledReleaseRun.update({
+          where: { id: run.id },
+          data: {
+            processedOrderIds: JSON.stringify(processedOrderIds),
+            releasedOrderNames: JSON.stringify(releasedOrderNames),
+            results: JSON.stringify(results),
+            splitCount,
+          },
+        });
+      },
+    });
+
+    await prisma.$transaction([
+      prisma.scheduledReleaseRun.update({
+        where: { id: run.id },
+        data: { status: "COMPLETED", error: null, finishedAt: new Date() },
+      }),
+      prisma.presaleRule.update({
+        where: { id: rule.id },
+        data: { releasedAt: new Date() },
+      }),
+      createAuditLog(rule.shop, {
+        action: "SCHEDULED_RELEASE",
+        description: `Scheduled release for rule '${rule.name}' released ${releasedOrderNames.length} orders` +
+          `${splitCount > 0 ? ` (${splitCount} split)` : ""}: ${releasedOrderNames.join(", ")}`,
+        intent: "scheduled_release",
+        orders: results,
+      }),
+    ]);
+
+    console.log(`⏰ Scheduled release for '${rule.name}' (${rule.shop}) released ${releasedOrderNames.length} orders`);
+    await notifyReleaseFinished(rule.shop, { description: `Scheduled release for rule '${rule.name}'`, source: "SCHEDULE", results });
+  } catch (error) {
+    const attempts = run.attempts + 1;
+    const failed = attempts >= MAX_ATTEMPTS;
+    console.error(`❌ Scheduled release for '${rule.name}' (${rule.shop}) failed, attempt ${attempts}:`, error);
+
+    await prisma.scheduledReleaseRun.update({
+      where: { id: run.id },
+      data: {
+        attempts,
+        error: error.message,
+        status: failed ? "FAILED" : "RUNNING",
+        finishedAt: failed ? new Date() : null,
+      },
+    });
+
+    if (failed) {
+      await createAuditLog(rule.shop, {
+        action: "SCHEDULED_RELEASE",
+        description: `Scheduled release for rule '${rule.name}' failed after ${attempts} attempts ` +
+          `(${releasedOrderNames.length} orders released before the failure): ${error.message}`,
+        intent: "scheduled_release",
+        orders: results,
+      });
+      await notifyReleaseFinished(rule.shop, {
+        description: `Scheduled release for rule '${rule.name}'`,
+        source: "SCHEDULE",
+        results,
+        error: `Gave up after ${attempts} attempts: ${error.message}`,
+      });
+    }
+  }
+}
+
+// Runs that gave up on a rule's current launch date, keyed by rule, for the rules page
+export async function getFailedScheduledRuns(shop) {
+  const runs = await prisma.scheduledReleaseRun.findMany({
+    where: { shop, status: "FAILED", rule: { releasedAt: null } },
+    include: { rule: { select: { releaseAt: true } } },
+  });
+  return new Map(runs
+    .filter((run) => run.rule.releaseAt?.getTime() === run.releaseAt.getTime())
+    .map((run) => [run.ruleId, run]));
+}
+
+// Let a run that gave up try again on the next tick. It resumes after the orders it already did.
+export async function retryScheduledRelease(shop, ruleId) {
+  const rule = await prisma.presaleRule.findFirst({ where: { id: ruleId, shop } });
+  if (!rule?.releaseAt) return false;
+
+  const { count } = await prisma.scheduledReleaseRun.updateMany({
+    where: { ruleId, releaseAt: rule.releaseAt, status: "FAILED" },
+    data: { status: "RUNNING", attempts: 0, error: null, finishedAt: null },
+  });
+  return count > 0;
+}
+
+export async function runDueReleases(now = new Date()) {
+  // A slow run must not overlap with the next tick
+  if (ticking) return;
+  ticking = true;
+
+  try {
+    const rules = await getDueReleaseRules(now);
+    for (const rule of rules) {
+      await runScheduledRelease(rule);
+    }
+  } finally {
+    ticking = false;
+  }
+}
+
+// Start the in-process scheduler once, even if this module is loaded again in dev
+export function startScheduler() {
+  if (global.presaleScheduler) return;
+
+  global.presaleScheduler = setInterval(() => {
+    runDueReleases().catch((error) => console.error("❌ Scheduler tick failed:", error));
+    // Also picks up release jobs if the worker was never kicked after a restart
+    runWorker().catch((error) => console.error("❌ Release job worker failed:", error));
+    repairUnlockedFulfillmentOrders().catch((error) => console.error("❌ Re-hold repair failed:", error));
+    runPendingRetags().catch((error) => console.error("❌ Retagging orders failed:", error));
+    runDuePurges().catch((error) => console.error("❌ Shop data purge failed:", error));
+    runBacklogSnapshots().catch((error) => console.error("❌ Held backlog snapshot failed:", error));
+    runLongHeldAlerts().catch((error) => console.error("❌ Long-held order alerts failed:", error));
+    // Retries that came due, and anything queued before a restart
+    runDueNotifications().catch((error) => console.error("❌ Sending notifications failed:", error));
+  }, TICK_MS);
+  global.presaleScheduler.unref?.();
+
+  // Resume release jobs a restart interrupted
+  kickWorker();
+}
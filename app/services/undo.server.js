@@ -0,0 +1,122 @@
+import prisma from "../db.server";
+import { createAuditLog } from "../models/AuditLog.server";
+import {
+  fetchFulfillmentOrderStatus,
+  holdFulfillmentOrder,
+  addPresaleTag,
+  refreshHeldOrderQuietly,
+} from "./release.server";
+
+// Only these can take a hold again; anything fulfilled or closed has already shipped
+const HOLDABLE_STATUSES = ["OPEN", "SCHEDULED"];
+
+// Hold every fulfillment order the batch released for one order again, then restore the tag.
+// `entry` is one order of an undo job's plan, carrying the holds the batch released.
+export async function undoOrder(admin, shop, entry, tag) {
+  const holds = entry.fulfillmentOrders;
+  const userErrors = [];
+  const notReversible = [];
+  let reheld = 0;
+
+  for (const hold of holds) {
+    const status = await fetchFulfillmentOrderStatus(admin, hold.id);
+    if (status === "ON_HOLD") {
+      reheld++;
+      continue;
+    }
+    if (!HOLDABLE_STATUSES.includes(status)) {
+      notReversible.push(status ? status.toLowerCase().replace(/_/g, " ") : "deleted");
+      continue;
+    }
+
+    const errors = await holdFulfillmentOrder(admin, hold.id, hold);
+    if (errors.length > 0) userErrors.push(...errors);
+    else reheld++;
+  }
+
+  if (reheld > 0) {
+    userErrors.push(...await addPresaleTag(admin, entry.orderId, tag));
+    await refreshHeldOrderQuietly(admin, shop, entry.orderId);
+  }
+
+  let status = "REHELD";
+  let error = null;
+  if (notReversible.length > 0) {
+    status = reheld > 0 ? "PARTIAL" : "NOT_REVERSIBLE";
+    error = `Already ${[...new Set(notReversible)].join(", ")}, cannot be held again`;
+  } else if (reheld < holds.length) {
+    status = reheld > 0 ? "PARTIAL" : "FAILED";
+    error = "Hold not placed again";
+  }
+
+  return {
+    orderId: entry.orderId,
+    orderName: entry.orderName,
+    fulfillmentOrderIds: holds.map((hold) => hold.id),
+    status,
+    userErrors,
+    error,
+  };
+}
+
+export const undoFailure = (entry, error) => ({
+  orderId: entry.orderId,
+  orderName: entry.orderName,
+  fulfillmentOrderIds: entry.fulfillmentOrders.map((hold) => hold.id),
+  status: "FAILED",
+  userErrors: [],
+  error: error.message,
+});
+
+// Claim a release batch for undoing and turn its released orders into a job plan, one entry
+// per order with the holds to put back. The claim keeps a second click from undoing it twice.
+export async function planUndo(shop, auditLogId) {
+  const log = await prisma.auditLog.findFirst({
+    where: { id: auditLogId, shop },
+    include: { orders: { where: { releasedHolds: { not: "[]" } }, orderBy: { id: "asc" } } },
+  });
+  if (!log || log.orders.length === 0) return { error: "That entry has no released orders to undo." };
+
+  const { count } = await prisma.auditLog.updateMany({
+    where: { id: auditLogId, shop, undoneAt: null },
+    data: { undoneAt: new Date() },
+  });
+  if (count === 0) return { error: "That release has already been undone." };
+
+  return {
+    log,
+    plan: log.orders.map((order) => ({
+      orderId: order.orderId,
+      orderName: order.orderName,
+      fulfillmentOrders: JSON.parse(order.releasedHolds),
+    })),
+  };
+}
+
+// Let the batch be undone again, for when the undo job could not finish it
+export const reopenUndo = (job) =>
+  prisma.auditLog.updateMany({ where: { id: job.auditLogId, shop: job.shop }, data: { undoneAt: null } });
+
+// What a finished undo job writes: the audit entry, and the batch reopened when orders failed.
+// Holds already back in place are skipped next time, so failures can simply be retried.
+export function undoRecords(job, results) {
+  const reheld = results.filter((r) => r.status === "REHELD" || r.status === "PARTIAL");
+  const notReversible = results.filter((r) => r.status === "NOT_REVERSIBLE");
+  const failed = results.filter((r) => r.status === "FAILED");
+
+  const description = `${job.description}: put ${reheld.length} orders back on hold` +
+    `${notReversible.length > 0 ? `, ${notReversible.length} not reversible (${notReversible.map((r) => r.orderName).join(", ")})` : ""}` +
+    `${failed.length > 0 ? `, ${failed.length} failed (${failed.map((r) => r.orderName).join(", ")})` : ""}`;
+  console.log(`↩️ ${description}`);
+
+  return [
+    ...(failed.length > 0 ? [reopenUndo(job)] : []),
+    createAuditLog(job.shop, {
+      action: "UNDO",
+      description,
+      actor: job,
+      intent: job.intent,
+      orders: results,
+    }),
+  ];
+}
@@ -0,0 +1,154 @@
+import { createHash } from "node:crypto";
+import prisma from "../db.server";
+import { unauthenticated } from "../shopify.server";
+import { placePresaleHolds } from "./holds.server";
+import { releaseArrivedStock } from "./inventory.server";
+import { notifyHoldPlaced } from "./notifications.server";
+import {
+  handleOrderCancelled,
+  handleOrderUpdated,
+  handleHoldReleased,
+  handleFulfillmentOrderSplit,
+  handleFulfillmentOrderMoved,
+} from "./reconcile.server";
+
+// A delivery still marked as processing after this long is assumed to have crashed
+export const STALE_PROCESSING_MS = 5 * 60 * 1000;
+
+// Topic handlers, keyed by the topic name authenticate.webhook reports
+const HANDLERS = {
+  ORDERS_CREATE: async (admin, shop, payload) => {
+    const result = await placePresaleHolds(admin, shop, {
+      orderGid: payload.admin_graphql_api_id,
+      placedAt: new Date(payload.created_at),
+    });
+    if (result.holdApplied) await notifyHoldPlaced(shop, result);
+    return result;
+  },
+
+  INVENTORY_LEVELS_UPDATE: async (admin, shop, payload) => {
+    const result = await releaseArrivedStock(admin, shop, {
+      inventoryItemId: `gid://shopify/InventoryItem/${payload.inventory_item_id}`,
+      locationId: `gid://shopify/Location/${payload.location_id}`,
+      available: payload.available ?? 0,
+    });
+    if (result) {
+      console.log(`📦 Stock arrived: queued release of ${result.orderCount} orders using ${result.unitsUsed} units.`);
+    }
+    return result;
+  },
+
+  ORDERS_CANCELLED: handleOrderCancelled,
+  ORDERS_UPDATED: handleOrderUpdated,
+  FULFILLMENT_ORDERS_HOLD_RELEASED: handleHoldReleased,
+  FULFILLMENT_ORDERS_SPLIT: handleFulfillmentOrderSplit,
+  FULFILLMENT_ORDERS_MOVED: handleFulfillmentOrderMoved,
+};
+
+const hashPayload = (payload) => createHash("sha256").update(JSON.stringify(payload)).digest("hex");
+
+// Run the topic handler and record the outcome on the ledger row
+async function runHandler(event, admin, payload) {
+  const handler = HANDLERS[event.topic];
+  const startedAt = Date.now();
+
+  try {
+    if (!handler) throw new Error(`No handler for topic ${event.topic}`);
+    await handler(admin, event.shop, payload);
+
+    await prisma.webhookEvent.update({
+      where: { id: event.id },
+      data: {
+        status: "PROCESSED",
+        error: null,
+        processedAt: new Date(),
+        durationMs: Date.now() - startedAt,
+      },
+    });
+  } catch (error) {
+    console.error(`❌ ${event.topic} webhook ${event.id} failed:`, error);
+
+    await prisma.webhookEvent.update({
+      where: { id: event.id },
+      data: {
+        status: "FAILED",
+        error: error.message,
+        processedAt: new Date(),
+        durationMs: Date.now() - startedAt,
+      },
+    });
+    throw error;
+  }
+}
+
+// Failed events, and ones left processing by a crash, can be run again
+export const replayableWhere = (now = Date.now()) => ({
+  OR: [
+    { status: "FAILED" },
+    { status: "PROCESSING", startedAt: { lt: new Date(now - STALE_PROCESSING_MS) } },
+  ],
+});
+
+// Process a delivery once. Retries of a delivery that already succeeded, or is still
+// running, are skipped; retries of a failed one run the handler again.
+export async function processWebhook({ webhookId, topic, shop, admin, payload }) {
+  console.log("------------------------------------------------");
+  console.log(`🚀 WEBHOOK RECEIVED: ${topic} (${webhookId})`);
+
+  // The app may already be uninstalled
+  if (!admin) return;
+
+  const existing = await prisma.webhookEvent.findUnique({ where: { id: webhookId } });
+
+  let event = existing;
+  if (existing) {
+    // Claim it with the status check, so two retries of a failed delivery can't both run
+    const { count } = await prisma.webhookEvent.updateMany({
+      where: { id: webhookId, ...replayableWhere() },
+      data: { status: "PROCESSING", attempts: { increment: 1 }, startedAt: new Date() },
+    });
+    if (count === 0) {
+      console.log(`🔁 Duplicate delivery of ${webhookId} (${existing.status}). skipping.`);
+      return;
+    }
+  } else {
+    try {
+      event = await prisma.webhookEvent.create({
+        data: {
+          id: webhookId,
+          shop,
+          topic,
+          payload: JSON.stringify(payload),
+          payloadHash: hashPayload(payload),
+        },
+      });
+    } catch (error) {
+      // Another delivery of the same webhook claimed the row first
+      if (error.code === "P2002") {
+        console.log(`🔁 Concurrent delivery of ${webhookId}. skipping.`);
+        return;
+      }
+      throw error;
+    }
+  }
+
+  await runHandler(event, admin, payload);
+  console.log("------------------------------------------------");
+}
+
+// Re-run a recorded event against its stored payload, from the admin. The status check
+// claims the event, so a double click or a running delivery can't run the handler twice.
+export async function replayWebhookEvent(shop, id) {
+  const event = await prisma.webhookEvent.findFirst({ where: { id, shop } });
+  if (!event) throw new Error("Webhook event not found");
+
+  const { admin } = await unauthenticated.admin(shop);
+  const { count } = await prisma.webhookEvent.updateMany({
+    where: { id, shop, ...replayableWhere() },
+    data: { status: "PROCESSING", attempts: { increment: 1 }, startedAt: new Date() },
+  });
+  if (count === 0) throw new Error("Only failed events, or ones stuck processing, can be replayed");
+
+  console.log(`🔁 Replaying ${event.topic} webhook ${id}`);
+  await runHandler(event, admin, JSON.parse(event.payload));
+}
@@ -0,0 +1,28 @@
+// Shared by the dashboard settings and the hold services; safe to use in the browser
+
+export const HOLD_DEFAULTS = {
+  holdReason: "INVENTORY_OUT_OF_STOCK",
+  holdNotes: "Automatic Hold: Pre-Sale Item",
+  remainingNotes: "Remaining Items",
+  presaleTag: "⚠️ Pre-Sale Hold",
+};
+
+// Shopify's FulfillmentHoldReason values
+export const HOLD_REASONS = [
+  { label: "Inventory out of stock", value: "INVENTORY_OUT_OF_STOCK" },
+  { label: "Unknown delivery date", value: "UNKNOWN_DELIVERY_DATE" },
+  { label: "Awaiting payment", value: "AWAITING_PAYMENT" },
+  { label: "Other", value: "OTHER" },
+];
+
+export const HOLD_PLACEHOLDERS = ["{order}", "{products}", "{location}", "{release_date}"];
+
+// Fill in {order}, {products}, {location} and {release_date}. Values that are not known
+// where the hold is placed come out empty, along with the spacing around them.
+export function fillHoldNotes(template, values = {}) {
+  return template
+    .replace(/\{(order|products|location|release_date)\}/g, (_, key) => values[key] || "")
+    .replace(/\s{2,}/g, " ")
+    .replace(/\s+([,.;:)])/g, "$1")
+    .trim();
+}
@@ -0,0 +1,7 @@
+// Shared by the dashboard and the job pages; safe to use in the browser
+
+export const JOB_TONES = { QUEUED: "info", RUNNING: "attention", COMPLETED: "success", FAILED: "critical" };
+
+export const isActiveJob = (job) => job.status === "QUEUED" || job.status === "RUNNING";
+
+export const jobProgress = (job) => (job.total > 0 ? (job.processed / job.total) * 100 : 100);
@@ -0,0 +1,17 @@
+// Shared by the notifications page and the notification services; safe to use in the browser
+
+export const NOTIFICATION_EVENTS = [
+  { value: "hold.placed", label: "Hold placed", helpText: "A new order was put on pre-sale hold" },
+  { value: "release.completed", label: "Release completed", helpText: "A release job or scheduled release finished" },
+  { value: "release.failed", label: "Release failed", helpText: "A release could not run, or every order in it failed" },
+  { value: "hold.long_held", label: "Long-held orders", helpText: "Orders have been on hold longer than the alert threshold" },
+];
+
+export const NOTIFICATION_FORMATS = [
+  { label: "Signed JSON", value: "JSON" },
+  { label: "Slack incoming webhook", value: "SLACK" },
+];
+
+export const DELIVERY_TONES = { PENDING: "attention", DELIVERED: "success", FAILED: "critical" };
+
+export const eventLabel = (value) => NOTIFICATION_EVENTS.find((event) => event.value === value)?.label || value;
@@ -0,0 +1,208 @@
+import "@shopify/ui-extensions/preact";
+import { render } from "preact";
+import { useCallback, useEffect, useState } from "preact/hooks";
+
+// How often the running release job is checked on
+const POLL_MS = 2000;
+const ACTIVE_STATUSES = ["QUEUED", "RUNNING"];
+
+const RESULT_TONES = { RELEASED: "success", SPLIT: "info", PARTIAL: "warning", FAILED: "critical" };
+
+export default async () => {
+  render(<Extension />, document.body);
+};
+
+// Requests to the app's own URL carry the staff member's session token
+async function postRelease(body) {
+  const response = await fetch("/extensions/releases", {
+    method: "POST",
+    headers: { "Content-Type": "application/json" },
+    body: JSON.stringify(body),
+  });
+  const json = await response.json();
+  if (!response.ok) throw new Error(json.error || `HTTP ${response.status}`);
+  return json;
+}
+
+function lineList(i18n, lines) {
+  if (lines.length === 0) return <s-text color="subdued">-</s-text>;
+  return (
+    <s-stack direction="block" gap="none">
+      {lines.map((line, index) => (
+        <s-text key={index}>{i18n.translate("line", line)}</s-text>
+      ))}
+    </s-stack>
+  );
+}
+
+function Extension() {
+  const { i18n, close } = shopify;
+
+  const [preview, setPreview] = useState(null);
+  const [unitsPerLine, setUnitsPerLine] = useState("");
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState("");
+  const [job, setJob] = useState(null);
+
+  const loadPreview = useCallback(async (units) => {
+    setLoading(true);
+    setError("");
+    try {
+      // The selection stays the same while the modal is open
+      const orderIds = shopify.data.selected.map((selected) => selected.id);
+      setPreview(await postRelease({ intent: "preview", orderIds, unitsPerLine: units || null }));
+    } catch (caught) {
+      setError(caught.message);
+    } finally {
+      setLoading(false);
+    }
+  }, []);
+
+  useEffect(() => { loadPreview(""); }, [loadPreview]);
+
+  // Follow the release until every order is done
+  useEffect(() => {
+    if (!job || !ACTIVE_STATUSES.includes(job.status)) return undefined;
+    const timer = setTimeout(async () => {
+      try {
+        const response = await fetch(`/extensions/jobs/${job.id}`);
+        if (!response.ok) throw new Error(`HTTP ${response.status}`);
+        setJob((await response.json()).job);
+      } catch (caught) {
+        setError(caught.message);
+      }
+    }, POLL_MS);
+    return () => clearTimeout(timer);
+  }, [job]);
+
+  const updatePreview = async () => {
+    // Each preview is saved as a draft, so drop the one being replaced
+    if (preview?.jobId) postRelease({ intent: "cancel", jobId: preview.jobId }).catch(() => {});
+    await loadPreview(unitsPerLine);
+  };
+
+  const confirm = async () => {
+    setLoading(true);
+    setError("");
+    try {
+      const { jobId } = await postRelease({ intent: "confirm", jobId: preview.jobId });
+      setJob({ id: jobId, status: "QUEUED", processed: 0, total: preview.orders.length });
+    } catch (caught) {
+      setError(caught.message);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const cancel = async () => {
+    if (!job && preview?.jobId) await postRelease({ intent: "cancel", jobId: preview.jobId }).catch(() => {});
+    close();
+  };
+
+  const running = job && ACTIVE_STATUSES.includes(job.status);
+  const orders = preview?.orders || [];
+  const results = new Map((job?.results || []).map((result) => [result.orderId, result]));
+
+  return (
+    <s-admin-action heading={i18n.translate("heading")} loading={loading && !preview}>
+      <s-stack direction="block" gap="base">
+        {error && <s-banner tone="critical">{i18n.translate("failed", { error })}</s-banner>}
+
+        {job && (
+          <s-banner tone={running ? "info" : job.error || job.failed > 0 ? "warning" : "success"}>
+            {running && i18n.translate("running", { processed: job.processed, total: job.total })}
+            {!running && (job.error || i18n.translate("done", { succeeded: job.succeeded, failed: job.failed }))}
+          </s-banner>
+        )}
+
+        {!preview && !error && <s-text color="subdued">{i18n.translate("previewing")}</s-text>}
+
+        {preview && orders.length === 0 && <s-text>{i18n.translate("nothingHeld")}</s-text>}
+
+        {orders.length > 0 && !job && (
+          <s-stack direction="block" gap="small">
+            <s-text>
+              {i18n.translate("summary", {
+                count: orders.length,
+                splitCount: orders.filter((order) => order.split).length,
+              })}
+            </s-text>
+            <s-stack direction="inline" gap="base" alignItems="end">
+              <s-number-field
+                label={i18n.translate("unitsPerLine")}
+                details={i18n.translate("unitsPerLineHelp")}
+                min={1}
+                value={unitsPerLine}
+                onChange={(event) => setUnitsPerLine(event.currentTarget.value)}
+              />
+              <s-button onClick={updatePreview} loading={loading} disabled={loading}>
+                {i18n.translate("updatePreview")}
+              </s-button>
+            </s-stack>
+          </s-stack>
+        )}
+
+        {preview?.notHeldCount > 0 && !job && (
+          <s-text color="subdued">{i18n.translate("notHeld", { count: preview.notHeldCount })}</s-text>
+        )}
+
+        {orders.length > 0 && (
+          <s-table>
+            <s-table-header-row>
+              <s-table-header>{i18n.translate("order")}</s-table-header>
+              <s-table-header>{i18n.translate("releasing")}</s-table-header>
+              <s-table-header>{i18n.translate("keeping")}</s-table-header>
+              <s-table-header>{i18n.translate("result")}</s-table-header>
+            </s-table-header-row>
+            <s-table-body>
+              {orders.map((order) => {
+                const result = results.get(order.orderId);
+                return (
+                  <s-table-row key={order.orderId}>
+                    <s-table-cell>{order.orderName}</s-table-cell>
+                    <s-table-cell>{lineList(i18n, order.releasing)}</s-table-cell>
+                    <s-table-cell>{lineList(i18n, order.keeping)}</s-table-cell>
+                    <s-table-cell>
+                      {result ? (
+                        <s-stack direction="block" gap="small-200">
+                          <s-badge tone={RESULT_TONES[result.status]}>{result.status}</s-badge>
+                          {result.error && <s-text color="subdued">{result.error}</s-text>}
+                        </s-stack>
+                      ) : (
+                        <s-badge tone={order.split ? "info" : "neutral"}>
+                          {i18n.translate(order.split ? "split" : "full")}
+                        </s-badge>
+                      )}
+                    </s-table-cell>
+                  </s-table-row>
+                );
+              })}
+            </s-table-body>
+          </s-table>
+        )}
+      </s-stack>
+
+      {!job && (
+        <s-button
+          slot="primary-action"
+          variant="primary"
+          onClick={confirm}
+          loading={loading && Boolean(preview)}
+          disabled={loading || !preview?.jobId}
+        >
+          {i18n.translate("release", { count: orders.length })}
+        </s-button>
+      )}
+      {job && (
+        <s-button slot="primary-action" onClick={() => close()}>
+          {i18n.translate("close")}
+        </s-button>
+      )}
+      {!job && (
+        <s-button slot="secondary-actions" onClick={cancel}>
+          {i18n.translate("cancel")}
+        </s-button>
+      )}
+    </s-admin-action>
+  );
+}
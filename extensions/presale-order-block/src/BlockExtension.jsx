@@ -0,0 +1,159 @@
+import "@shopify/ui-extensions/preact";
+import { render } from "preact";
+import { useCallback, useEffect, useState } from "preact/hooks";
+
+// How often a running release job is checked on
+const POLL_MS = 3000;
+const HOUR_MS = 60 * 60 * 1000;
+
+const RESULT_TONES = { RELEASED: "success", SPLIT: "info", PARTIAL: "warning", FAILED: "critical" };
+
+export default async () => {
+  render(<Extension />, document.body);
+};
+
+function heldForText(i18n, heldAt) {
+  if (!heldAt) return i18n.translate("heldForUnknown");
+  const hours = Math.max(Math.floor((Date.now() - new Date(heldAt).getTime()) / HOUR_MS), 0);
+  const duration = hours < 48
+    ? i18n.translate("duration.hours", { hours })
+    : i18n.translate("duration.days", { days: Math.floor(hours / 24) });
+  return i18n.translate("heldFor", { duration });
+}
+
+function Extension() {
+  const { i18n, data } = shopify;
+  // Requests to the app's own URL carry the staff member's session token
+  const url = `/extensions/orders/${data.selected[0]?.id.split("/").pop()}`;
+
+  const [status, setStatus] = useState(null);
+  const [loadError, setLoadError] = useState("");
+  const [actionError, setActionError] = useState("");
+  const [pendingIntent, setPendingIntent] = useState("");
+
+  const load = useCallback(async () => {
+    try {
+      const response = await fetch(url);
+      if (!response.ok) throw new Error(`HTTP ${response.status}`);
+      setStatus(await response.json());
+      setLoadError("");
+    } catch (error) {
+      setLoadError(error.message);
+    }
+  }, [url]);
+
+  useEffect(() => { load(); }, [load]);
+
+  // Follow a queued or running release until it is done
+  useEffect(() => {
+    if (!status?.job?.active) return undefined;
+    const timer = setTimeout(load, POLL_MS);
+    return () => clearTimeout(timer);
+  }, [status, load]);
+
+  const release = async (intent) => {
+    setPendingIntent(intent);
+    setActionError("");
+    try {
+      const response = await fetch(url, {
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify({ intent }),
+      });
+      if (!response.ok) setActionError((await response.json()).error);
+      await load();
+    } catch (error) {
+      setActionError(error.message);
+    } finally {
+      setPendingIntent("");
+    }
+  };
+
+  if (!status) {
+    return (
+      <s-admin-block heading={i18n.translate("heading")}>
+        {loadError
+          ? <s-banner tone="critical">{i18n.translate("loadFailed", { error: loadError })}</s-banner>
+          : <s-text color="subdued">{i18n.translate("loading")}</s-text>}
+      </s-admin-block>
+    );
+  }
+
+  const { job } = status;
+  const busy = Boolean(pendingIntent) || Boolean(job?.active);
+
+  return (
+    <s-admin-block
+      heading={i18n.translate("heading")}
+      collapsedSummary={status.held
+        ? i18n.translate("summary", { count: status.fulfillmentOrders.length })
+        : i18n.translate("notHeld")}
+    >
+      <s-stack direction="block" gap="base">
+        {job && (
+          <s-banner tone={job.active ? "info" : RESULT_TONES[job.result?.status] || (job.error ? "critical" : "success")}>
+            {job.active && i18n.translate("jobActive", { description: job.description, id: job.id })}
+            {!job.active && job.error && i18n.translate("jobFailed", { description: job.description, error: job.error })}
+            {!job.active && !job.error && i18n.translate("jobDone", {
+              description: job.description,
+              status: [job.result?.status, job.result?.error].filter(Boolean).join(": "),
+            })}
+          </s-banner>
+        )}
+        {actionError && <s-banner tone="critical">{actionError}</s-banner>}
+
+        {!status.held && <s-text color="subdued">{i18n.translate("notHeld")}</s-text>}
+
+        {status.fulfillmentOrders.map((fo, index) => (
+          <s-stack direction="block" gap="small-200" key={fo.id}>
+            {index > 0 && <s-divider />}
+            <s-stack direction="inline" gap="small" alignItems="center">
+              <s-text type="strong">{fo.locationName}</s-text>
+              <s-badge tone="warning">{heldForText(i18n, fo.heldAt)}</s-badge>
+            </s-stack>
+            <s-text color="subdued">
+              {fo.releaseAt
+                ? i18n.translate("releaseAt", { date: i18n.formatDate(new Date(fo.releaseAt), { dateStyle: "medium" }) })
+                : i18n.translate("noReleaseDate")}
+            </s-text>
+            {fo.lines.map(line => (
+              <s-stack direction="inline" gap="small" key={line.id}>
+                <s-text>
+                  {i18n.translate("line", {
+                    quantity: line.quantity,
+                    title: [line.title, line.variantTitle].filter(Boolean).join(" - "),
+                  })}
+                </s-text>
+                <s-text color="subdued">
+                  {line.shippable > 0
+                    ? i18n.translate("inStock", { units: line.shippable })
+                    : i18n.translate("outOfStock")}
+                </s-text>
+              </s-stack>
+            ))}
+          </s-stack>
+        ))}
+
+        {status.held && (
+          <s-stack direction="inline" gap="base">
+            <s-button
+              variant="primary"
+              onClick={() => release("release")}
+              loading={pendingIntent === "release"}
+              disabled={busy}
+            >
+              {i18n.translate("releaseNow")}
+            </s-button>
+            <s-button
+              onClick={() => release("ship_available")}
+              loading={pendingIntent === "ship_available"}
+              disabled={busy || status.shippableUnits === 0}
+            >
+              {i18n.translate("shipAvailable")}
+            </s-button>
+          </s-stack>
+        )}
+      </s-stack>
+    </s-admin-block>
+  );
+}
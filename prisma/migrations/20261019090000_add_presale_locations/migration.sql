@@ -0,0 +1,30 @@
+-- CreateTable
+CREATE TABLE "PresaleLocation" (
+    "id" INTEGER NOT NULL PRIMARY KEY AUTOINCREMENT,
+    "shop" TEXT NOT NULL,
+    "locationId" TEXT NOT NULL,
+    "label" TEXT NOT NULL,
+    "enabled" BOOLEAN NOT NULL DEFAULT true,
+    "createdAt" DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Carry over the single location each shop had configured
+INSERT INTO "PresaleLocation" ("shop", "locationId", "label", "enabled")
+SELECT "shop", "locationId", 'Pre-Sale', 1 FROM "Configuration" WHERE "locationId" <> '';
+
+-- RedefineTables
+PRAGMA defer_foreign_keys=ON;
+PRAGMA foreign_keys=OFF;
+CREATE TABLE "new_Configuration" (
+    "id" INTEGER NOT NULL PRIMARY KEY AUTOINCREMENT,
+    "shop" TEXT NOT NULL
+);
+INSERT INTO "new_Configuration" ("id", "shop") SELECT "id", "shop" FROM "Configuration";
+DROP TABLE "Configuration";
+ALTER TABLE "new_Configuration" RENAME TO "Configuration";
+CREATE UNIQUE INDEX "Configuration_shop_key" ON "Configuration"("shop");
+PRAGMA foreign_keys=ON;
+PRAGMA defer_foreign_keys=OFF;
+
+-- CreateIndex
+CREATE UNIQUE INDEX "PresaleLocation_shop_locationId_key" ON "PresaleLocation"("shop", "locationId");
@@ -0,0 +1,20 @@
+-- CreateTable
+CREATE TABLE "PresaleRule" (
+    "id" INTEGER NOT NULL PRIMARY KEY AUTOINCREMENT,
+    "shop" TEXT NOT NULL,
+    "name" TEXT NOT NULL,
+    "enabled" BOOLEAN NOT NULL DEFAULT true,
+    "holdScope" TEXT NOT NULL DEFAULT 'LINE_ITEMS',
+    "productTags" TEXT NOT NULL DEFAULT '[]',
+    "variantIds" TEXT NOT NULL DEFAULT '[]',
+    "skus" TEXT NOT NULL DEFAULT '[]',
+    "collectionIds" TEXT NOT NULL DEFAULT '[]',
+    "locationIds" TEXT NOT NULL DEFAULT '[]',
+    "startsAt" DATETIME,
+    "endsAt" DATETIME,
+    "createdAt" DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" DATETIME NOT NULL
+);
+
+-- CreateIndex
+CREATE INDEX "PresaleRule_shop_idx" ON "PresaleRule"("shop");
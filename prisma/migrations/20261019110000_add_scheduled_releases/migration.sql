@@ -0,0 +1,24 @@
+-- AlterTable
+ALTER TABLE "PresaleRule" ADD COLUMN "releaseAt" DATETIME;
+ALTER TABLE "PresaleRule" ADD COLUMN "releaseTimezone" TEXT;
+ALTER TABLE "PresaleRule" ADD COLUMN "releasedAt" DATETIME;
+
+-- CreateTable
+CREATE TABLE "ScheduledReleaseRun" (
+    "id" INTEGER NOT NULL PRIMARY KEY AUTOINCREMENT,
+    "shop" TEXT NOT NULL,
+    "ruleId" INTEGER NOT NULL,
+    "releaseAt" DATETIME NOT NULL,
+    "status" TEXT NOT NULL DEFAULT 'RUNNING',
+    "processedOrderIds" TEXT NOT NULL DEFAULT '[]',
+    "releasedOrderNames" TEXT NOT NULL DEFAULT '[]',
+    "splitCount" INTEGER NOT NULL DEFAULT 0,
+    "attempts" INTEGER NOT NULL DEFAULT 0,
+    "error" TEXT,
+    "startedAt" DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "finishedAt" DATETIME,
+    CONSTRAINT "ScheduledReleaseRun_ruleId_fkey" FOREIGN KEY ("ruleId") REFERENCES "PresaleRule" ("id") ON DELETE CASCADE ON UPDATE CASCADE
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "ScheduledReleaseRun_ruleId_releaseAt_key" ON "ScheduledReleaseRun"("ruleId", "releaseAt");
@@ -0,0 +1,12 @@
+-- CreateTable
+CREATE TABLE "InventoryLevelSnapshot" (
+    "id" INTEGER NOT NULL PRIMARY KEY AUTOINCREMENT,
+    "shop" TEXT NOT NULL,
+    "inventoryItemId" TEXT NOT NULL,
+    "locationId" TEXT NOT NULL,
+    "available" INTEGER NOT NULL,
+    "updatedAt" DATETIME NOT NULL
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "InventoryLevelSnapshot_shop_inventoryItemId_locationId_key" ON "InventoryLevelSnapshot"("shop", "inventoryItemId", "locationId");
@@ -0,0 +1,18 @@
+-- CreateTable
+CREATE TABLE "WebhookEvent" (
+    "id" TEXT NOT NULL PRIMARY KEY,
+    "shop" TEXT NOT NULL,
+    "topic" TEXT NOT NULL,
+    "payload" TEXT NOT NULL,
+    "payloadHash" TEXT NOT NULL,
+    "status" TEXT NOT NULL DEFAULT 'PROCESSING',
+    "error" TEXT,
+    "attempts" INTEGER NOT NULL DEFAULT 1,
+    "receivedAt" DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "startedAt" DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "processedAt" DATETIME,
+    "durationMs" INTEGER
+);
+
+-- CreateIndex
+CREATE INDEX "WebhookEvent_shop_status_idx" ON "WebhookEvent"("shop", "status");
@@ -0,0 +1,26 @@
+-- CreateTable
+CREATE TABLE "ReleaseJob" (
+    "id" INTEGER NOT NULL PRIMARY KEY AUTOINCREMENT,
+    "shop" TEXT NOT NULL,
+    "source" TEXT NOT NULL,
+    "action" TEXT NOT NULL,
+    "description" TEXT NOT NULL,
+    "status" TEXT NOT NULL DEFAULT 'QUEUED',
+    "plan" TEXT NOT NULL,
+    "total" INTEGER NOT NULL,
+    "processed" INTEGER NOT NULL DEFAULT 0,
+    "succeeded" INTEGER NOT NULL DEFAULT 0,
+    "failed" INTEGER NOT NULL DEFAULT 0,
+    "splitCount" INTEGER NOT NULL DEFAULT 0,
+    "results" TEXT NOT NULL DEFAULT '[]',
+    "error" TEXT,
+    "createdAt" DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "startedAt" DATETIME,
+    "finishedAt" DATETIME
+);
+
+-- CreateIndex
+CREATE INDEX "ReleaseJob_status_idx" ON "ReleaseJob"("status");
+
+-- CreateIndex
+CREATE INDEX "ReleaseJob_shop_createdAt_idx" ON "ReleaseJob"("shop", "createdAt");
@@ -0,0 +1,35 @@
+-- AlterTable
+ALTER TABLE "AuditLog" ADD COLUMN "actorEmail" TEXT;
+ALTER TABLE "AuditLog" ADD COLUMN "actorName" TEXT;
+ALTER TABLE "AuditLog" ADD COLUMN "actorUserId" TEXT;
+ALTER TABLE "AuditLog" ADD COLUMN "filterText" TEXT;
+ALTER TABLE "AuditLog" ADD COLUMN "intent" TEXT;
+
+-- AlterTable
+ALTER TABLE "ReleaseJob" ADD COLUMN "actorEmail" TEXT;
+ALTER TABLE "ReleaseJob" ADD COLUMN "actorName" TEXT;
+ALTER TABLE "ReleaseJob" ADD COLUMN "actorUserId" TEXT;
+ALTER TABLE "ReleaseJob" ADD COLUMN "filterText" TEXT;
+ALTER TABLE "ReleaseJob" ADD COLUMN "intent" TEXT;
+
+-- AlterTable
+ALTER TABLE "ScheduledReleaseRun" ADD COLUMN "results" TEXT NOT NULL DEFAULT '[]';
+
+-- CreateTable
+CREATE TABLE "AuditLogOrder" (
+    "id" INTEGER NOT NULL PRIMARY KEY AUTOINCREMENT,
+    "auditLogId" INTEGER NOT NULL,
+    "orderId" TEXT NOT NULL,
+    "orderName" TEXT NOT NULL,
+    "fulfillmentOrderIds" TEXT NOT NULL DEFAULT '[]',
+    "outcome" TEXT NOT NULL,
+    "userErrors" TEXT NOT NULL DEFAULT '[]',
+    "error" TEXT,
+    CONSTRAINT "AuditLogOrder_auditLogId_fkey" FOREIGN KEY ("auditLogId") REFERENCES "AuditLog" ("id") ON DELETE CASCADE ON UPDATE CASCADE
+);
+
+-- CreateIndex
+CREATE INDEX "AuditLogOrder_orderId_idx" ON "AuditLogOrder"("orderId");
+
+-- CreateIndex
+CREATE INDEX "AuditLog_shop_createdAt_idx" ON "AuditLog"("shop", "createdAt");
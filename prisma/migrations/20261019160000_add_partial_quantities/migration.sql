@@ -0,0 +1,5 @@
+-- AlterTable
+ALTER TABLE "AuditLogOrder" ADD COLUMN "releasedLines" TEXT NOT NULL DEFAULT '[]';
+
+-- AlterTable
+ALTER TABLE "PresaleRule" ADD COLUMN "releaseUnitsPerLine" INTEGER;
@@ -0,0 +1,17 @@
+-- CreateTable
+CREATE TABLE "AllocationReport" (
+    "id" INTEGER NOT NULL PRIMARY KEY AUTOINCREMENT,
+    "shop" TEXT NOT NULL,
+    "jobId" INTEGER NOT NULL,
+    "locationId" TEXT,
+    "allocations" TEXT NOT NULL,
+    "orders" TEXT NOT NULL,
+    "unitsRequested" INTEGER NOT NULL,
+    "unitsAllocated" INTEGER NOT NULL,
+    "orderCount" INTEGER NOT NULL,
+    "actorName" TEXT,
+    "createdAt" DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP
+);
+
+-- CreateIndex
+CREATE INDEX "AllocationReport_shop_createdAt_idx" ON "AllocationReport"("shop", "createdAt");
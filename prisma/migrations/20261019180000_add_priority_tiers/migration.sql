@@ -0,0 +1,2 @@
+-- AlterTable
+ALTER TABLE "Configuration" ADD COLUMN "priorityTags" TEXT NOT NULL DEFAULT '[]';
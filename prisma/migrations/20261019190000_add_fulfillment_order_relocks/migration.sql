@@ -0,0 +1,15 @@
+-- CreateTable
+CREATE TABLE "FulfillmentOrderRelock" (
+    "id" INTEGER NOT NULL PRIMARY KEY AUTOINCREMENT,
+    "shop" TEXT NOT NULL,
+    "fulfillmentOrderId" TEXT NOT NULL,
+    "orderId" TEXT NOT NULL,
+    "orderName" TEXT NOT NULL,
+    "attempts" INTEGER NOT NULL DEFAULT 0,
+    "error" TEXT,
+    "createdAt" DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" DATETIME NOT NULL
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "FulfillmentOrderRelock_fulfillmentOrderId_key" ON "FulfillmentOrderRelock"("fulfillmentOrderId");
@@ -0,0 +1,5 @@
+-- AlterTable
+ALTER TABLE "AuditLog" ADD COLUMN "undoneAt" DATETIME;
+
+-- AlterTable
+ALTER TABLE "AuditLogOrder" ADD COLUMN "releasedHolds" TEXT NOT NULL DEFAULT '[]';
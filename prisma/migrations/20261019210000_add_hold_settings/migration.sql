@@ -0,0 +1,6 @@
+-- AlterTable
+ALTER TABLE "Configuration" ADD COLUMN "holdReason" TEXT NOT NULL DEFAULT 'INVENTORY_OUT_OF_STOCK';
+ALTER TABLE "Configuration" ADD COLUMN "holdNotes" TEXT NOT NULL DEFAULT 'Automatic Hold: Pre-Sale Item';
+ALTER TABLE "Configuration" ADD COLUMN "remainingNotes" TEXT NOT NULL DEFAULT 'Remaining Items';
+ALTER TABLE "Configuration" ADD COLUMN "presaleTag" TEXT NOT NULL DEFAULT '⚠️ Pre-Sale Hold';
+ALTER TABLE "Configuration" ADD COLUMN "retagFrom" TEXT NOT NULL DEFAULT '[]';
@@ -0,0 +1,10 @@
+-- CreateTable
+CREATE TABLE "ShopPurge" (
+    "id" INTEGER NOT NULL PRIMARY KEY AUTOINCREMENT,
+    "shop" TEXT NOT NULL,
+    "purgeAt" DATETIME NOT NULL,
+    "createdAt" DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "ShopPurge_shop_key" ON "ShopPurge"("shop");
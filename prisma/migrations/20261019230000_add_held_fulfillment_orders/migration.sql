@@ -0,0 +1,32 @@
+-- AlterTable
+ALTER TABLE "Configuration" ADD COLUMN "heldOrdersSyncedAt" DATETIME;
+
+-- CreateTable
+CREATE TABLE "HeldFulfillmentOrder" (
+    "id" INTEGER NOT NULL PRIMARY KEY AUTOINCREMENT,
+    "shop" TEXT NOT NULL,
+    "fulfillmentOrderId" TEXT NOT NULL,
+    "orderId" TEXT NOT NULL,
+    "orderName" TEXT NOT NULL,
+    "orderCreatedAt" DATETIME NOT NULL,
+    "customerName" TEXT NOT NULL,
+    "customerEmail" TEXT NOT NULL DEFAULT '',
+    "customerTags" TEXT NOT NULL DEFAULT '[]',
+    "customerOrderCount" INTEGER NOT NULL DEFAULT 0,
+    "priority" INTEGER NOT NULL DEFAULT 0,
+    "locationId" TEXT,
+    "holdReason" TEXT,
+    "holdNotes" TEXT,
+    "lines" TEXT NOT NULL,
+    "searchText" TEXT NOT NULL,
+    "syncedAt" DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "HeldFulfillmentOrder_fulfillmentOrderId_key" ON "HeldFulfillmentOrder"("fulfillmentOrderId");
+
+-- CreateIndex
+CREATE INDEX "HeldFulfillmentOrder_shop_priority_orderCreatedAt_idx" ON "HeldFulfillmentOrder"("shop", "priority", "orderCreatedAt");
+
+-- CreateIndex
+CREATE INDEX "HeldFulfillmentOrder_orderId_idx" ON "HeldFulfillmentOrder"("orderId");
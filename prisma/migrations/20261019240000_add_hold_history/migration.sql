@@ -0,0 +1,36 @@
+-- CreateTable
+CREATE TABLE "HoldPeriod" (
+    "id" INTEGER NOT NULL PRIMARY KEY AUTOINCREMENT,
+    "shop" TEXT NOT NULL,
+    "fulfillmentOrderId" TEXT NOT NULL,
+    "orderId" TEXT NOT NULL,
+    "orderName" TEXT NOT NULL,
+    "locationId" TEXT,
+    "units" INTEGER NOT NULL DEFAULT 0,
+    "heldAt" DATETIME NOT NULL,
+    "releasedAt" DATETIME
+);
+
+-- CreateTable
+CREATE TABLE "HeldBacklogSnapshot" (
+    "id" INTEGER NOT NULL PRIMARY KEY AUTOINCREMENT,
+    "shop" TEXT NOT NULL,
+    "day" TEXT NOT NULL,
+    "locationId" TEXT NOT NULL DEFAULT '',
+    "orders" INTEGER NOT NULL,
+    "units" INTEGER NOT NULL,
+    "value" REAL NOT NULL,
+    "updatedAt" DATETIME NOT NULL
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "HoldPeriod_fulfillmentOrderId_key" ON "HoldPeriod"("fulfillmentOrderId");
+
+-- CreateIndex
+CREATE INDEX "HoldPeriod_shop_releasedAt_idx" ON "HoldPeriod"("shop", "releasedAt");
+
+-- CreateIndex
+CREATE INDEX "HoldPeriod_orderId_idx" ON "HoldPeriod"("orderId");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "HeldBacklogSnapshot_shop_day_locationId_key" ON "HeldBacklogSnapshot"("shop", "day", "locationId");
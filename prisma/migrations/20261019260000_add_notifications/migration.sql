@@ -0,0 +1,44 @@
+-- AlterTable
+ALTER TABLE "Configuration" ADD COLUMN "longHeldAlertDays" INTEGER NOT NULL DEFAULT 14;
+
+-- AlterTable
+ALTER TABLE "HoldPeriod" ADD COLUMN "alertedAt" DATETIME;
+
+-- CreateTable
+CREATE TABLE "NotificationEndpoint" (
+    "id" INTEGER NOT NULL PRIMARY KEY AUTOINCREMENT,
+    "shop" TEXT NOT NULL,
+    "name" TEXT NOT NULL,
+    "url" TEXT NOT NULL,
+    "format" TEXT NOT NULL DEFAULT 'JSON',
+    "events" TEXT NOT NULL DEFAULT '[]',
+    "secret" TEXT NOT NULL,
+    "enabled" BOOLEAN NOT NULL DEFAULT true,
+    "createdAt" DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP
+);
+
+-- CreateTable
+CREATE TABLE "NotificationDelivery" (
+    "id" INTEGER NOT NULL PRIMARY KEY AUTOINCREMENT,
+    "shop" TEXT NOT NULL,
+    "endpointId" INTEGER NOT NULL,
+    "event" TEXT NOT NULL,
+    "payload" TEXT NOT NULL,
+    "status" TEXT NOT NULL DEFAULT 'PENDING',
+    "attempts" INTEGER NOT NULL DEFAULT 0,
+    "nextAttemptAt" DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "responseStatus" INTEGER,
+    "error" TEXT,
+    "createdAt" DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "deliveredAt" DATETIME,
+    CONSTRAINT "NotificationDelivery_endpointId_fkey" FOREIGN KEY ("endpointId") REFERENCES "NotificationEndpoint" ("id") ON DELETE CASCADE ON UPDATE CASCADE
+);
+
+-- CreateIndex
+CREATE INDEX "NotificationEndpoint_shop_idx" ON "NotificationEndpoint"("shop");
+
+-- CreateIndex
+CREATE INDEX "NotificationDelivery_status_nextAttemptAt_idx" ON "NotificationDelivery"("status", "nextAttemptAt");
+
+-- CreateIndex
+CREATE INDEX "NotificationDelivery_shop_createdAt_idx" ON "NotificationDelivery"("shop", "createdAt");
@@ -0,0 +1,2 @@
+-- AlterTable
+ALTER TABLE "ReleaseJob" ADD COLUMN "auditLogId" INTEGER;
@@ -0,0 +1,2 @@
+-- AlterTable
+ALTER TABLE "ReleaseJob" ADD COLUMN "attempts" INTEGER NOT NULL DEFAULT 0;
@@ -0,0 +1,9 @@
+import { defineConfig } from "vitest/config";
+
+// Unit tests load modules directly, without the React Router plugin from vite.config.js
+export default defineConfig({
+  test: {
+    include: ["app/**/*.test.{js,jsx}"],
+    environment: "node",
+  },
+});